@@ -1,446 +1,76 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import { APP_SCHEMA_VERSION, buildSessionExport, migrateSessionPayload } from "./lib/migrations";
+import {
+  APP_SCHEMA_VERSION,
+  buildSessionExport,
+  devToolsSkippedSteps,
+  migrateSessionPayload,
+  toDevToolsRecording
+} from "./lib/migrations";
 import {
   APP_BRIDGE_CHANNEL,
   APP_BRIDGE_REQUEST_TYPES,
   APP_BRIDGE_RESPONSE_TYPES,
   TEAM_SYNC_BACKEND_ACTIONS,
   TEAM_SYNC_AUTH_ERROR_CODES,
-  TEAM_SYNC_PROTOCOL_VERSION
+  TEAM_SYNC_PROTOCOL_VERSION,
+  REPLAY_RUNTIME_MESSAGE_TYPES,
+  SESSION_WRITE_RUNTIME_MESSAGE_TYPES
 } from "./lib/protocol";
-import { deleteStepById, moveStepInList, patchStepById, resequenceSteps } from "./editor/state/sessionReducer";
+import {
+  deleteStepById,
+  mergeStepWithNextById,
+  moveStepInList,
+  moveStepToTarget,
+  patchStepById,
+  resequenceSteps
+} from "./editor/state/sessionReducer";
+import { useEditHistory } from "./editor/state/useEditHistory";
+import {
+  LIVE_STORAGE_KEYS,
+  applyLiveStepUpdate,
+  createLiveStepFeed,
+  hasLiveStepChanges
+} from "./editor/state/liveSteps";
 import { StepList } from "./editor/components/StepList";
 import { StepDetails } from "./editor/components/StepDetails";
 import { AnnotationCanvas } from "./editor/components/AnnotationCanvas";
 import { ExportPanel } from "./editor/components/ExportPanel";
-import { Download, UploadCloud, Cloud, Moon, Sun, MonitorSmartphone, Share2, Trash2, GripVertical, FileCode2, FileText, FileJson } from "lucide-react";
-import jsPDF from "jspdf";
+import { HistoryPanel } from "./editor/components/HistoryPanel";
+import { DraftRestoreBanner } from "./editor/components/DraftRestoreBanner";
+import { clampUnit, normalizePayload, normalizeText } from "./lib/derivation";
+import {
+  asCypress,
+  asHtml,
+  asMarkdown,
+  asPlaywright,
+  asSeleniumSide,
+  buildPdfDocument,
+  documentFileName
+} from "./lib/exporters";
+import { burnInStepRedactions, flattenStepAnnotations } from "./lib/redaction";
+import { buildDocx, DOCX_MIME_TYPE } from "./lib/docx";
+import { buildConfluenceBundle, buildNotionBundle } from "./lib/wiki";
+import { asWalkthroughHtml } from "./lib/walkthrough";
+import { recordWebm, renderGif } from "./lib/slideshow";
+import {
+  deleteDraft,
+  draftKey,
+  expireDrafts,
+  loadDraft,
+  reattachDraftThumbnails,
+  saveDraft,
+  summarizeDraftChanges
+} from "./lib/drafts";
+import { Download, UploadCloud, Cloud, Moon, Sun, MonitorSmartphone, Share2, Trash2, GripVertical, FileCode2, FileText, FileJson, Play, Square, Save, Send } from "lucide-react";
 import "jspdf-autotable";
 
 // Purpose: provide a practical step editor for exported recorder sessions.
 // Inputs: exported session JSON files, extension storage sessions, and in-app edits.
-// Outputs: edited JSON export plus markdown/html procedure exports for team sharing.
-function normalizeText(value) {
-  return String(value ?? "").replace(/\s+/g, " ").trim();
-}
-
-function clampUnit(value) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) {
-    return 0;
-  }
-  return Math.min(1, Math.max(0, num));
-}
-
-function normalizeAnnotationType(value) {
-  return value === "redact" ? "redact" : "highlight";
-}
-
-function sanitizeLabel(value) {
-  const text = normalizeText(value);
-  if (!text) {
-    return "";
-  }
-
-  const lower = text.toLowerCase();
-  const looksLikeAsset =
-    /^\/?assets\/.+\.(js|css|map|png|jpg|jpeg|svg|webp)(\?.*)?$/i.test(text) ||
-    /^https?:\/\/.+\/assets\/.+\.(js|css|map|png|jpg|jpeg|svg|webp)(\?.*)?$/i.test(text);
-  const noisyTag = ["svg", "path", "use", "g"].includes(lower);
-
-  if (looksLikeAsset || noisyTag) {
-    return "";
-  }
-
-  return text;
-}
-
-function humanizeIdentifier(value) {
-  return normalizeText(
-    String(value ?? "")
-      .replace(/:nth-of-type\(\d+\)/g, " ")
-      .replace(/[#.[\]()"'`]/g, " ")
-      .replace(/[_-]+/g, " ")
-      .replace(/([a-z])([A-Z])/g, "$1 $2")
-      .replace(/\s+/g, " ")
-  );
-}
-
-const WEAK_LABELS = new Set([
-  "a",
-  "article",
-  "aside",
-  "button",
-  "div",
-  "form",
-  "g",
-  "header",
-  "i",
-  "img",
-  "input",
-  "label",
-  "li",
-  "nav",
-  "option",
-  "p",
-  "path",
-  "section",
-  "select",
-  "span",
-  "svg",
-  "textarea",
-  "ul"
-]);
-
-function cleanCandidate(value) {
-  const sanitized = sanitizeLabel(value);
-  if (!sanitized) {
-    return "";
-  }
-  const cleaned = humanizeIdentifier(sanitized);
-  if (!cleaned || cleaned.length < 2) {
-    return "";
-  }
-  if (/^[\d\W]+$/.test(cleaned)) {
-    return "";
-  }
-  return cleaned;
-}
-
-function isWeakLabel(value) {
-  const cleaned = cleanCandidate(value);
-  if (!cleaned) {
-    return true;
-  }
-  const lower = cleaned.toLowerCase();
-  if (WEAK_LABELS.has(lower)) {
-    return true;
-  }
-  if (lower.startsWith("icon ") || lower.endsWith(" icon")) {
-    return true;
-  }
-  return false;
-}
-
-function selectorToLabel(selector) {
-  const text = sanitizeLabel(selector);
-  if (!text) {
-    return "";
-  }
-
-  const attributeMatch = text.match(/(?:aria-label|data-testid|data-test|data-qa)=["']([^"']+)["']/i);
-  if (attributeMatch?.[1]) {
-    const candidate = cleanCandidate(attributeMatch[1]);
-    if (!isWeakLabel(candidate)) {
-      return candidate;
-    }
-  }
-
-  const segment = text.split(">").pop()?.trim() || text;
-  const idMatch = segment.match(/#([a-zA-Z0-9_-]+)/);
-  if (idMatch?.[1]) {
-    const candidate = cleanCandidate(idMatch[1]);
-    if (!isWeakLabel(candidate)) {
-      return candidate;
-    }
-  }
-
-  const classMatch = segment.match(/\.([a-zA-Z][a-zA-Z0-9_-]{2,})/);
-  if (classMatch?.[1]) {
-    const candidate = cleanCandidate(classMatch[1]);
-    if (!isWeakLabel(candidate)) {
-      return candidate;
-    }
-  }
-
-  const segmentLabel = cleanCandidate(segment);
-  if (!isWeakLabel(segmentLabel)) {
-    return segmentLabel;
-  }
-
-  return "";
-}
-
-function semanticFallback(step) {
-  const tag = normalizeText(step.target?.tag).toLowerCase();
-  const role = normalizeText(step.target?.role).toLowerCase();
-  const type = normalizeText(step.target?.type).toLowerCase();
-
-  if (role === "button" || tag === "button") {
-    return "button";
-  }
-  if (tag === "a") {
-    return "link";
-  }
-  if (tag === "input") {
-    return type ? `${type} input` : "input";
-  }
-  if (tag === "select") {
-    return "dropdown";
-  }
-  if (tag === "textarea") {
-    return "text area";
-  }
-  return "";
-}
-
-function targetLabel(step) {
-  const candidates = [
-    step.target?.label,
-    step.target?.text,
-    step.target?.placeholder,
-    step.target?.id,
-    step.target?.name,
-    selectorToLabel(step.selectors?.css),
-    selectorToLabel(step.selectors?.xpath)
-  ];
-
-  for (const raw of candidates) {
-    const candidate = cleanCandidate(raw);
-    if (!isWeakLabel(candidate)) {
-      return candidate;
-    }
-  }
-
-  const semantic = cleanCandidate(semanticFallback(step));
-  if (semantic) {
-    return semantic;
-  }
-
-  return "target";
-}
-
-function deriveTitle(step) {
-  const label = targetLabel(step);
-  if (step.type === "click") {
-    return `Click ${label}`;
-  }
-  if (step.type === "input") {
-    return `Enter text in ${label}`;
-  }
-  if (step.type === "key") {
-    return `Press ${step.key || "key"}`;
-  }
-  if (step.type === "select") {
-    return `Select ${step.optionText || step.optionValue || "option"}`;
-  }
-  if (step.type === "toggle") {
-    return `${step.checked ? "Enable" : "Disable"} ${label}`;
-  }
-  if (step.type === "navigate") {
-    return `Open ${step.pageTitle || step.url || "page"}`;
-  }
-  if (step.type === "scroll") {
-    return "Scroll page";
-  }
-  return `Perform ${step.type || "action"}`;
-}
-
-function deriveInstruction(step) {
-  const label = targetLabel(step);
-  if (step.type === "click") {
-    return `Click ${label}.`;
-  }
-  if (step.type === "input") {
-    return `Type "${step.value || ""}" into ${label}.`;
-  }
-  if (step.type === "key") {
-    return `Press ${step.key || "key"} on ${label}.`;
-  }
-  if (step.type === "select") {
-    return `Select "${step.optionText || step.optionValue || "option"}" in ${label}.`;
-  }
-  if (step.type === "toggle") {
-    return `${step.checked ? "Turn on" : "Turn off"} ${label}.`;
-  }
-  if (step.type === "navigate") {
-    return `Navigate to ${step.pageTitle || step.url || "the page"}.`;
-  }
-  if (step.type === "scroll") {
-    return `Scroll to x:${step.scrollX || 0}, y:${step.scrollY || 0}.`;
-  }
-  return `Perform ${step.type || "action"} on ${label}.`;
-}
-
-function normalizeAnnotations(raw) {
-  if (!Array.isArray(raw)) {
-    return [];
-  }
-
-  return raw
-    .map((annotation, idx) => {
-      if (!annotation || typeof annotation !== "object") {
-        return null;
-      }
-      const width = clampUnit(annotation.width);
-      const height = clampUnit(annotation.height);
-      if (width < 0.01 || height < 0.01) {
-        return null;
-      }
-      return {
-        id: annotation.id || `ann_${idx + 1}`,
-        x: clampUnit(annotation.x),
-        y: clampUnit(annotation.y),
-        width,
-        height,
-        label: normalizeText(annotation.label || ""),
-        type: normalizeAnnotationType(annotation.type)
-      };
-    })
-    .filter(Boolean);
-}
-
-function normalizePayload(raw) {
-  if (!raw || typeof raw !== "object" || !raw.session || !Array.isArray(raw.steps)) {
-    throw new Error("Expected payload shape: { session: {...}, steps: [...] }");
-  }
-
-  const steps = raw.steps.map((step, idx) => {
-    const id = step.id || `step_${idx + 1}`;
-    return {
-      ...step,
-      id,
-      stepIndex: idx + 1,
-      title: normalizeText(step.title) || deriveTitle(step),
-      instruction: normalizeText(step.instruction) || deriveInstruction(step),
-      note: normalizeText(step.note),
-      annotations: normalizeAnnotations(step.annotations)
-    };
-  });
-
-  return { ...raw, steps };
-}
-
+// Outputs: edited JSON export plus markdown/html procedure exports and Playwright/Cypress/Selenium IDE scripts.
 function resequence(steps) {
   return resequenceSteps(steps);
 }
 
-function asMarkdown(payload) {
-  const sessionTitle = payload.session?.lastTitle || payload.session?.startTitle || payload.session?.id || "Procedure";
-  const header = [`# ${sessionTitle}`, "", `Generated: ${new Date().toLocaleString()}`, ""];
-  const body = payload.steps.flatMap((step) => {
-    const lines = [`## ${step.stepIndex}. ${step.title}`, step.instruction || ""];
-    if (step.note) {
-      lines.push(`Note: ${step.note}`);
-    }
-    if (step.url) {
-      lines.push(`URL: ${step.url}`);
-    }
-    if (Array.isArray(step.annotations) && step.annotations.length) {
-      const highlights = step.annotations
-        .filter((ann) => ann?.type !== "redact")
-        .map((ann, idx) => ann.label || `Highlight ${idx + 1}`)
-        .join(", ");
-      const redactionCount = step.annotations.filter((ann) => ann?.type === "redact").length;
-      if (highlights) {
-        lines.push(`Highlights: ${highlights}`);
-      }
-      if (redactionCount > 0) {
-        lines.push(`Redactions: ${redactionCount}`);
-      }
-    }
-    lines.push("");
-    return lines;
-  });
-  return [...header, ...body].join("\n");
-}
-
-function escapeHtml(value) {
-  return String(value ?? "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-}
-
-function asHtml(payload) {
-  const sessionTitle = payload.session?.lastTitle || payload.session?.startTitle || payload.session?.id || "Procedure";
-  const lines = payload.steps
-    .map((step) => {
-      const note = step.note ? `<p class="note"><strong>Note:</strong> ${escapeHtml(step.note)}</p>` : "";
-      const url = step.url ? `<p class="url"><strong>URL:</strong> ${escapeHtml(step.url)}</p>` : "";
-      const screenshot =
-        step.thumbnailDataUrl && typeof step.thumbnailDataUrl === "string"
-          ? `<figure class="shot">
-              <div class="shot-frame">
-                <img src="${escapeHtml(step.thumbnailDataUrl)}" alt="Step ${step.stepIndex} screenshot" />
-                ${(Array.isArray(step.annotations) ? step.annotations : [])
-                  .map((ann, idx) => {
-                    const x = Math.min(1, Math.max(0, Number(ann?.x) || 0));
-                    const y = Math.min(1, Math.max(0, Number(ann?.y) || 0));
-                    const width = Math.min(1, Math.max(0.01, Number(ann?.width) || 0.01));
-                    const height = Math.min(1, Math.max(0.01, Number(ann?.height) || 0.01));
-                    const annotationType = ann?.type === "redact" ? "redact" : "highlight";
-                    const label = escapeHtml(
-                      ann?.label || (annotationType === "redact" ? `Redaction ${idx + 1}` : `Highlight ${idx + 1}`)
-                    );
-                    const className =
-                      annotationType === "redact"
-                        ? "shot-highlight shot-redaction"
-                        : "shot-highlight";
-                    return `<div class="${className}" style="left:${(x * 100).toFixed(3)}%;top:${(y * 100).toFixed(3)}%;width:${(width * 100).toFixed(3)}%;height:${(height * 100).toFixed(3)}%;">
-                        ${annotationType === "redact" ? "" : `<span class="shot-highlight-label">${label}</span>`}
-                      </div>`;
-                  })
-                  .join("")}
-              </div>
-            </figure>`
-          : "";
-      const annotationList = Array.isArray(step.annotations) ? step.annotations : [];
-      const highlightLabels = annotationList
-        .filter((ann) => ann?.type !== "redact")
-        .map((ann, idx) => ann.label || `Highlight ${idx + 1}`);
-      const redactionCount = annotationList.filter((ann) => ann?.type === "redact").length;
-      const highlights = highlightLabels.length
-        ? `<p class="note"><strong>Highlights:</strong> ${escapeHtml(highlightLabels.join(", "))}</p>`
-        : "";
-      const redactions = redactionCount
-        ? `<p class="note"><strong>Redactions:</strong> ${redactionCount}</p>`
-        : "";
-      return `
-        <section class="step">
-          <h2>${step.stepIndex}. ${escapeHtml(step.title)}</h2>
-          <p>${escapeHtml(step.instruction || "")}</p>
-          ${screenshot}
-          ${note}
-          ${url}
-          ${highlights}
-          ${redactions}
-        </section>`;
-    })
-    .join("\n");
-
-  return `<!doctype html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>${sessionTitle}</title>
-    <style>
-      body { font-family: "Segoe UI", sans-serif; max-width: 920px; margin: 24px auto; padding: 0 16px; color: #0f172a; }
-      h1 { margin-bottom: 6px; }
-      .meta { color: #475569; margin-top: 0; }
-      .step { border: 1px solid #dbe4f0; border-radius: 10px; padding: 12px 14px; margin: 12px 0; background: #f8fafc; }
-      .step h2 { margin: 0 0 6px; font-size: 18px; }
-      .step p { margin: 0 0 8px; line-height: 1.45; }
-      .note, .url { color: #334155; font-size: 14px; }
-      .shot { margin: 10px 0 12px; }
-      .shot-frame { position: relative; border: 1px solid #cbd5e1; border-radius: 8px; overflow: hidden; background: #fff; }
-      .shot-frame img { display: block; width: 100%; height: auto; }
-      .shot-highlight { position: absolute; border: 2px solid #2563eb; background: rgba(37, 99, 235, 0.16); box-sizing: border-box; }
-      .shot-redaction { border: none; background: rgba(15, 23, 42, 0.86); backdrop-filter: blur(2px); }
-      .shot-highlight-label { position: absolute; left: 0; top: 0; transform: translateY(-100%); background: #2563eb; color: #fff; font-size: 11px; line-height: 1; padding: 4px 6px; border-radius: 6px 6px 6px 0; white-space: nowrap; }
-    </style>
-  </head>
-  <body>
-    <h1>${escapeHtml(sessionTitle)}</h1>
-    <p class="meta">Generated ${new Date().toLocaleString()}</p>
-    ${lines}
-  </body>
-</html>`;
-}
-
 function getPalette(theme) {
   if (theme === "light") {
     return {
@@ -517,9 +147,113 @@ function loadSessionsViaPageBridge(timeoutMs = 1500) {
       },
       "*"
     );
+  });
+}
+
+function resolveThumbnailsViaRuntime(steps) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "RESOLVE_THUMBNAILS", payload: { steps } }, (response) => {
+      resolve(!chrome.runtime.lastError && response?.ok && Array.isArray(response.steps) ? response.steps : steps);
+    });
+  });
+}
+
+function resolveThumbnailsViaPageBridge(steps, timeoutMs = 5000) {
+  return new Promise((resolve) => {
+    const requestId = `cap_me_thumbs_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const finish = (resolved) => {
+      window.removeEventListener("message", onMessage);
+      clearTimeout(timer);
+      resolve(resolved);
+    };
+    const onMessage = (event) => {
+      const data = event.source === window ? event.data : null;
+      if (data?.channel !== APP_BRIDGE_CHANNEL || data.type !== APP_BRIDGE_RESPONSE_TYPES.thumbnails) {
+        return;
+      }
+      if (data.requestId === requestId) {
+        finish(data.ok && Array.isArray(data.steps) ? data.steps : steps);
+      }
+    };
+    const timer = setTimeout(() => finish(steps), timeoutMs);
+    window.addEventListener("message", onMessage);
+    window.postMessage(
+      {
+        channel: APP_BRIDGE_CHANNEL,
+        type: APP_BRIDGE_REQUEST_TYPES.thumbnails,
+        requestId,
+        protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+        payload: { steps }
+      },
+      "*"
+    );
   });
 }
 
+// Streams steps captured into `sessionId` after the editor loaded it. Extension pages watch storage directly; other
+// pages get the same storage snapshot/changes relayed by the content script. Returns an unsubscribe function.
+function subscribeToSessionSteps(sessionId, knownStepIds, useRuntime, onUpdate) {
+  const resolveThumbnails = useRuntime ? resolveThumbnailsViaRuntime : resolveThumbnailsViaPageBridge;
+  const feed = createLiveStepFeed(sessionId, knownStepIds, resolveThumbnails, onUpdate);
+
+  if (useRuntime) {
+    const onChanged = (changes, areaName) => {
+      if (areaName === "local") {
+        feed.apply(changes);
+      }
+    };
+    chrome.storage.onChanged.addListener(onChanged);
+    chrome.storage.local.get([...LIVE_STORAGE_KEYS], (result) => feed.start(result ?? {}));
+    return () => {
+      feed.close();
+      chrome.storage.onChanged.removeListener(onChanged);
+    };
+  }
+
+  const requestId = `cap_me_live_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const onMessage = (event) => {
+    if (event.source !== window) {
+      return;
+    }
+    const data = event.data;
+    if (!data || data.channel !== APP_BRIDGE_CHANNEL || data.type !== APP_BRIDGE_RESPONSE_TYPES.sessionLive) {
+      return;
+    }
+    if (data.requestId !== requestId || !data.ok) {
+      return;
+    }
+    if (data.snapshot) {
+      feed.start(data.snapshot);
+    } else if (data.changes) {
+      feed.apply(data.changes);
+    }
+  };
+  window.addEventListener("message", onMessage);
+  window.postMessage(
+    {
+      channel: APP_BRIDGE_CHANNEL,
+      type: APP_BRIDGE_REQUEST_TYPES.sessionSubscribe,
+      requestId,
+      protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+      payload: { sessionId }
+    },
+    "*"
+  );
+  return () => {
+    feed.close();
+    window.removeEventListener("message", onMessage);
+    window.postMessage(
+      {
+        channel: APP_BRIDGE_CHANNEL,
+        type: APP_BRIDGE_REQUEST_TYPES.sessionUnsubscribe,
+        requestId,
+        protocolVersion: TEAM_SYNC_PROTOCOL_VERSION
+      },
+      "*"
+    );
+  };
+}
+
 function buttonStyle(palette, disabled = false) {
   return {
     border: `1px solid ${palette.border}`,
@@ -585,6 +319,144 @@ function loadTeamAuthViaPageBridge(timeoutMs = 1500) {
   });
 }
 
+// Replay requests go straight to the runtime from extension pages and through the page bridge otherwise.
+function sendReplayRequest(type, payload, useRuntime, timeoutMs = 3000) {
+  if (useRuntime) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: REPLAY_RUNTIME_MESSAGE_TYPES[type], payload }, (response) => {
+        resolve(chrome.runtime.lastError ? { ok: false, error: "REPLAY_UNAVAILABLE" } : response ?? { ok: false });
+      });
+    });
+  }
+
+  return new Promise((resolve) => {
+    const requestId = `cap_me_replay_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    let settled = false;
+
+    const cleanup = () => {
+      window.removeEventListener("message", onMessage);
+      clearTimeout(timer);
+    };
+
+    const finish = (value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      cleanup();
+      resolve(value);
+    };
+
+    const onMessage = (event) => {
+      if (event.source !== window) {
+        return;
+      }
+      const data = event.data;
+      if (!data || data.channel !== APP_BRIDGE_CHANNEL || data.type !== APP_BRIDGE_RESPONSE_TYPES.replay) {
+        return;
+      }
+      if (data.requestId !== requestId) {
+        return;
+      }
+      finish(data);
+    };
+
+    const timer = setTimeout(() => {
+      finish({ ok: false, error: TEAM_SYNC_AUTH_ERROR_CODES.extensionUnavailable });
+    }, timeoutMs);
+
+    window.addEventListener("message", onMessage);
+    window.postMessage(
+      {
+        channel: APP_BRIDGE_CHANNEL,
+        type,
+        requestId,
+        protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+        payload
+      },
+      "*"
+    );
+  });
+}
+
+// Session writes (`saveSession` / `publishSession`) follow the same runtime-or-bridge routing as replay requests.
+function sendSessionWrite(kind, payload, useRuntime, timeoutMs = 5000) {
+  const requestType = APP_BRIDGE_REQUEST_TYPES[kind];
+  const unavailable = kind === "publishSession" ? "PUBLISH_UNAVAILABLE" : "SAVE_UNAVAILABLE";
+  if (useRuntime) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: SESSION_WRITE_RUNTIME_MESSAGE_TYPES[requestType], payload }, (response) => {
+        resolve(chrome.runtime.lastError ? { ok: false, error: unavailable } : response ?? { ok: false });
+      });
+    });
+  }
+
+  return new Promise((resolve) => {
+    const prefix = kind === "publishSession" ? "cap_me_publish" : "cap_me_save";
+    const requestId = `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    let settled = false;
+
+    const cleanup = () => {
+      window.removeEventListener("message", onMessage);
+      clearTimeout(timer);
+    };
+
+    const finish = (value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      cleanup();
+      resolve(value);
+    };
+
+    const onMessage = (event) => {
+      if (event.source !== window) {
+        return;
+      }
+      const data = event.data;
+      if (!data || data.channel !== APP_BRIDGE_CHANNEL || data.type !== APP_BRIDGE_RESPONSE_TYPES[kind]) {
+        return;
+      }
+      if (data.requestId !== requestId) {
+        return;
+      }
+      finish(data);
+    };
+
+    const timer = setTimeout(() => {
+      finish({ ok: false, error: TEAM_SYNC_AUTH_ERROR_CODES.extensionUnavailable });
+    }, timeoutMs);
+
+    window.addEventListener("message", onMessage);
+    window.postMessage(
+      {
+        channel: APP_BRIDGE_CHANNEL,
+        type: requestType,
+        requestId,
+        protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+        payload
+      },
+      "*"
+    );
+  });
+}
+
+function describeReplayState(replayState) {
+  if (!replayState?.runId) {
+    return "";
+  }
+  const results = replayState.results ?? [];
+  const failed = results.filter((result) => result.status === "failed").length;
+  const skipped = results.filter((result) => result.status === "skipped").length;
+  const progress = `${results.length}/${replayState.total} steps`;
+  if (replayState.status === "running") {
+    return `Replaying: ${progress}`;
+  }
+  const errorText = replayState.errorCode ? ` (${replayState.errorCode})` : "";
+  return `Replay ${replayState.status}: ${progress}, ${failed} failed, ${skipped} skipped${errorText}`;
+}
+
 function normalizeTeamAuthErrorCode(value) {
   const text = normalizeText(value).toUpperCase().replace(/[^A-Z0-9]+/g, "_");
   if (!text || text === "TOKEN_UNAVAILABLE") {
@@ -629,6 +501,17 @@ function explainTeamFailure(errorCode) {
         type: "token_unavailable",
         message: "No sync access token is available from the extension background."
       };
+    case "SYNC_DISABLED":
+    case "SYNC_ENDPOINT_MISSING":
+      return {
+        type: "sync_not_configured",
+        message: "Team sync is not configured in the extension. Enable it and set the endpoint in the inspector."
+      };
+    case "REVISION_CONFLICT":
+      return {
+        type: "revision_conflict",
+        message: "The team library already has a newer revision. Re-import it from the team library before publishing."
+      };
     default:
       return {
         type: "backend_library_failure",
@@ -637,6 +520,9 @@ function explainTeamFailure(errorCode) {
   }
 }
 
+// Short enough that a closed tab loses at most a moment of typing, long enough to not write on every keystroke.
+const DRAFT_AUTOSAVE_DELAY_MS = 800;
+
 function parseEditorHandoffFromUrl() {
   if (typeof window === "undefined") {
     return { source: "local", sessionId: "" };
@@ -650,7 +536,7 @@ function parseEditorHandoffFromUrl() {
 }
 
 export default function App() {
-  const [payload, setPayload] = useState(null);
+  const { payload, original, source, history, setPayload, applyEdit, rebase, undo, redo, travel } = useEditHistory();
   const [error, setError] = useState("");
   const [selectedId, setSelectedId] = useState(null);
   const [theme, setTheme] = useState(() => window.localStorage.getItem("cap_me_theme") || "light");
@@ -667,6 +553,13 @@ export default function App() {
   const [annotationMode, setAnnotationMode] = useState(null);
   const [draftAnnotation, setDraftAnnotation] = useState(null);
   const [activeAnnotationId, setActiveAnnotationId] = useState("");
+  const [replayState, setReplayState] = useState(null);
+  const [clipStatus, setClipStatus] = useState("");
+  const [draftOffer, setDraftOffer] = useState(null);
+  const [draftReadyKey, setDraftReadyKey] = useState("");
+  const [saveState, setSaveState] = useState(null);
+  const [publishState, setPublishState] = useState(null);
+  const [liveCapture, setLiveCapture] = useState(null);
   const [handoff] = useState(() => parseEditorHandoffFromUrl());
   const screenshotRef = useRef(null);
   const handoffAttemptedRef = useRef(false);
@@ -699,6 +592,25 @@ export default function App() {
     setActiveAnnotationId("");
   }, [selectedId]);
 
+  const replayResultsByStep = useMemo(() => {
+    const entries = (replayState?.results ?? []).map((result) => [result.stepId, result]);
+    return Object.fromEntries(entries);
+  }, [replayState]);
+
+  useEffect(() => {
+    if (replayState?.status !== "running") {
+      return undefined;
+    }
+    const timer = setInterval(async () => {
+      const request = APP_BRIDGE_REQUEST_TYPES.replayState;
+      const response = await sendReplayRequest(request, undefined, hasExtensionStorage);
+      if (response.ok && response.replayState?.runId === replayState.runId) {
+        setReplayState(response.replayState);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [hasExtensionStorage, replayState?.runId, replayState?.status]);
+
   useEffect(() => {
     const storedBase = window.localStorage.getItem("cap_me_team_api_base");
     if (storedBase) {
@@ -826,130 +738,325 @@ export default function App() {
     }
   }, [handoff.sessionId, payload]);
 
-  function patchStep(stepId, patchFn) {
-    setPayload((prev) => {
-      if (!prev) {
-        return prev;
-      }
-      return {
-        ...prev,
-        steps: patchStepById(prev.steps, stepId, patchFn)
-      };
-    });
+  function patchStep(stepId, patchFn, label, coalesceKey) {
+    applyEdit(label, (prev) => ({ ...prev, steps: patchStepById(prev.steps, stepId, patchFn) }), coalesceKey);
+  }
+
+  function stepNumber(stepId) {
+    return (payload?.steps?.findIndex((step) => step.id === stepId) ?? -1) + 1;
   }
 
   function updateStep(stepId, patch) {
-    patchStep(stepId, (step) => ({ ...step, ...patch }));
+    const fields = Object.keys(patch);
+    // Keystrokes in the same field fold into one history entry.
+    patchStep(
+      stepId,
+      (step) => ({ ...step, ...patch }),
+      `Edit step ${stepNumber(stepId)} ${fields.join(", ")}`,
+      `${stepId}:${fields.join(",")}`
+    );
   }
 
   function moveStep(stepId, direction) {
-    setPayload((prev) => {
-      if (!prev) {
-        return prev;
-      }
-      return { ...prev, steps: moveStepInList(prev.steps, stepId, direction) };
+    const label = `Move step ${stepNumber(stepId)} ${direction < 0 ? "up" : "down"}`;
+    applyEdit(label, (prev) => {
+      const steps = moveStepInList(prev.steps, stepId, direction);
+      return steps === prev.steps ? prev : { ...prev, steps };
     });
   }
 
   function moveStepTo(stepId, targetId, placement) {
-    setPayload((prev) => {
-      if (!prev || stepId === targetId) {
-        return prev;
-      }
-
-      const fromIndex = prev.steps.findIndex((step) => step.id === stepId);
-      const targetIndex = prev.steps.findIndex((step) => step.id === targetId);
-      if (fromIndex < 0 || targetIndex < 0) {
-        return prev;
-      }
-
-      let insertIndex = targetIndex + (placement === "after" ? 1 : 0);
-      const next = [...prev.steps];
-      const [moved] = next.splice(fromIndex, 1);
-      if (!moved) {
-        return prev;
-      }
-      if (fromIndex < insertIndex) {
-        insertIndex -= 1;
-      }
-      insertIndex = Math.min(Math.max(insertIndex, 0), next.length);
-      next.splice(insertIndex, 0, moved);
-      return { ...prev, steps: resequenceSteps(next) };
+    applyEdit(`Reorder step ${stepNumber(stepId)}`, (prev) => {
+      const steps = moveStepToTarget(prev.steps, stepId, targetId, placement);
+      return steps === prev.steps ? prev : { ...prev, steps };
     });
   }
 
   function deleteStep(stepId) {
-    setPayload((prev) => {
-      if (!prev) {
-        return prev;
-      }
-      const next = deleteStepById(prev.steps, stepId);
-      setSelectedId(next[0]?.id || null);
-      return { ...prev, steps: next };
-    });
+    if (!payload) {
+      return;
+    }
+    applyEdit(`Delete step ${stepNumber(stepId)}`, (prev) => ({ ...prev, steps: deleteStepById(prev.steps, stepId) }));
+    setSelectedId(payload.steps.find((step) => step.id !== stepId)?.id || null);
   }
 
   function mergeStepWithNext(stepId) {
-    setPayload((prev) => {
-      if (!prev) {
-        return prev;
-      }
-
-      const index = prev.steps.findIndex((step) => step.id === stepId);
-      if (index < 0 || index >= prev.steps.length - 1) {
-        return prev;
-      }
-
-      const current = prev.steps[index];
-      const next = prev.steps[index + 1];
-      if (!current || !next) {
-        return prev;
-      }
-
-      const mergedInstruction = [normalizeText(current.instruction), normalizeText(next.instruction)]
-        .filter(Boolean)
-        .join(" ");
-      const mergedNote = [normalizeText(current.note), normalizeText(next.note)]
-        .filter(Boolean)
-        .join("\n");
-
-      const merged = {
-        ...current,
-        title: normalizeText(current.title) || normalizeText(next.title) || "Merged step",
-        instruction: mergedInstruction || normalizeText(current.instruction) || normalizeText(next.instruction),
-        note: mergedNote,
-        pageTitle: current.pageTitle || next.pageTitle || "",
-        url: current.url || next.url || "",
-        thumbnailDataUrl: current.thumbnailDataUrl || next.thumbnailDataUrl || null,
-        annotations: [...(current.annotations ?? []), ...(next.annotations ?? [])]
-      };
-
-      const steps = [...prev.steps];
-      steps.splice(index, 2, merged);
-      return { ...prev, steps: resequenceSteps(steps) };
+    const number = stepNumber(stepId);
+    applyEdit(`Merge steps ${number} and ${number + 1}`, (prev) => {
+      const steps = mergeStepWithNextById(prev.steps, stepId);
+      return steps === prev.steps ? prev : { ...prev, steps };
     });
     setSelectedId(stepId);
   }
 
   function upsertAnnotation(stepId, annotationId, patch) {
-    patchStep(stepId, (step) => ({
-      ...step,
-      annotations: (step.annotations ?? []).map((annotation) =>
-        annotation.id === annotationId ? { ...annotation, ...patch } : annotation
-      )
-    }));
+    patchStep(
+      stepId,
+      (step) => ({
+        ...step,
+        annotations: (step.annotations ?? []).map((annotation) =>
+          annotation.id === annotationId ? { ...annotation, ...patch } : annotation
+        )
+      }),
+      `Edit step ${stepNumber(stepId)} highlight label`,
+      `${annotationId}:${Object.keys(patch).join(",")}`
+    );
   }
 
   function deleteAnnotation(stepId, annotationId) {
-    patchStep(stepId, (step) => ({
-      ...step,
-      annotations: (step.annotations ?? []).filter((annotation) => annotation.id !== annotationId)
-    }));
+    const step = payload?.steps?.find((item) => item.id === stepId);
+    const annotation = step?.annotations?.find((item) => item.id === annotationId);
+    patchStep(
+      stepId,
+      (step) => ({
+        ...step,
+        annotations: (step.annotations ?? []).filter((annotation) => annotation.id !== annotationId)
+      }),
+      `Remove ${annotation?.type === "redact" ? "redaction" : "highlight"} from step ${stepNumber(stepId)}`
+    );
     if (activeAnnotationId === annotationId) {
       setActiveAnnotationId("");
     }
   }
 
+  const originalDraftKey = original?.session?.id ? draftKey(source, original.session.id) : "";
+
+  useEffect(() => {
+    expireDrafts().catch((err) => console.warn("Draft cleanup failed:", err));
+  }, []);
+
+  useEffect(() => {
+    setDraftOffer(null);
+    setDraftReadyKey("");
+    if (!originalDraftKey) {
+      return undefined;
+    }
+    let cancelled = false;
+    loadDraft(originalDraftKey)
+      .then((record) => {
+        if (cancelled) {
+          return;
+        }
+        const changes = record ? summarizeDraftChanges(record.original, record.draft) : [];
+        // A draft that matches what just loaded (e.g. it was saved back to the extension) has nothing to restore.
+        if (record && changes.length && summarizeDraftChanges(original, record.draft).length) {
+          const upstreamChanged = summarizeDraftChanges(record.original, original).length > 0;
+          setDraftOffer({ record, changes, upstreamChanged });
+        }
+        setDraftReadyKey(originalDraftKey);
+      })
+      .catch((err) => {
+        console.warn("Draft lookup failed:", err);
+        if (!cancelled) {
+          setDraftReadyKey(originalDraftKey);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [original, originalDraftKey]);
+
+  useEffect(() => {
+    // Autosave waits until any recovered draft is restored or discarded so it is never overwritten unseen.
+    if (!payload || draftOffer || !originalDraftKey || draftReadyKey !== originalDraftKey) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      const write =
+        payload === original
+          ? deleteDraft(originalDraftKey)
+          : saveDraft({
+              key: originalDraftKey,
+              source,
+              sessionId: original.session.id,
+              savedAt: Date.now(),
+              original,
+              draft: payload
+            });
+      write.catch((err) => console.warn("Draft autosave failed:", err));
+    }, DRAFT_AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [payload, original, source, draftOffer, draftReadyKey, originalDraftKey]);
+
+  async function restoreDraft() {
+    if (!draftOffer) {
+      return;
+    }
+    const { record } = draftOffer;
+    // Drafts are stored without screenshots; steps the loaded session lacks are resolved from the extension.
+    let draft = reattachDraftThumbnails(record.draft, original);
+    const unresolved = draft.steps.filter((step) => step.thumbnailRef && !step.thumbnailDataUrl);
+    if (source === "local" && unresolved.length) {
+      const resolve = hasExtensionStorage ? resolveThumbnailsViaRuntime : resolveThumbnailsViaPageBridge;
+      const resolvedById = new Map((await resolve(unresolved)).map((step) => [step.id, step.thumbnailDataUrl]));
+      draft = {
+        ...draft,
+        steps: draft.steps.map((step) =>
+          resolvedById.get(step.id) ? { ...step, thumbnailDataUrl: resolvedById.get(step.id) } : step
+        )
+      };
+    }
+    // Restoring is itself an edit, so it can be undone back to the freshly imported session.
+    applyEdit(`Restore draft from ${new Date(record.savedAt).toLocaleTimeString()}`, () => draft);
+    setSelectedId(draft.steps[0]?.id || null);
+    setDraftOffer(null);
+  }
+
+  // Only sessions imported from this browser's extension can be written back to it.
+  const canSaveToExtension = source === "local" && original?.meta?.capturedBy === "extension-local";
+
+  // Team imports publish straight to the library; extension sessions go through the worker so its masking applies.
+  const canPublishToTeam = canSaveToExtension || (source === "team" && Boolean(normalizeText(teamApiBase)));
+
+  useEffect(() => {
+    setSaveState(null);
+    setPublishState(null);
+  }, [original]);
+
+  useEffect(() => {
+    setLiveCapture(null);
+    if (!canSaveToExtension) {
+      return undefined;
+    }
+    const knownStepIds = original.steps.map((step) => step.id);
+    // Live steps are not edits: they are folded into every history snapshot so undo never removes them.
+    return subscribeToSessionSteps(original.session.id, knownStepIds, hasExtensionStorage, (update) => {
+      if (hasLiveStepChanges(update)) {
+        rebase((current) => ({ ...current, steps: applyLiveStepUpdate(current.steps, update) }));
+      }
+      setLiveCapture(update.capture);
+    });
+  }, [original, canSaveToExtension, hasExtensionStorage, rebase]);
+
+  async function saveToExtension() {
+    if (!payload || saveState?.status === "saving") {
+      return;
+    }
+    setSaveState({ status: "saving", message: "Saving edits to the extension..." });
+    // Screenshots already live in the extension; steps keep their `thumbnailRef` so nothing large crosses the bridge.
+    const steps = payload.steps.map(({ thumbnailDataUrl, ...step }) => step);
+    const response = await sendSessionWrite("saveSession", { ...payload, steps }, hasExtensionStorage);
+    if (!response?.ok) {
+      const code = response?.errorCode || response?.error || "SAVE_UNAVAILABLE";
+      setSaveState({ status: "failed", message: `Save to extension failed (${code}).` });
+      return;
+    }
+    deleteDraft(originalDraftKey).catch((err) => console.warn("Draft cleanup failed:", err));
+    const queued = response.sync?.status === "pending";
+    setSaveState({
+      status: "saved",
+      message: `Saved ${response.stepsCount} steps to the extension${queued ? "; queued for team sync" : ""}.`
+    });
+  }
+
+  async function uploadToTeamLibrary(baseRevision) {
+    const auth = await ensureTeamAccessToken();
+    if (!auth.ok) {
+      return { ok: false, errorCode: auth.errorCode || TEAM_SYNC_AUTH_ERROR_CODES.tokenUnavailable };
+    }
+    // Redact annotations drawn in the editor are painted into the pixels; the library never gets the originals.
+    const steps = await burnInStepRedactions(payload.steps);
+    const body = {
+      schemaVersion: APP_SCHEMA_VERSION,
+      protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+      accessToken: auth.token,
+      payload: {
+        ...payload,
+        steps,
+        exportedAt: Date.now(),
+        meta: { ...payload.meta, syncRevision: baseRevision + 1, baseRevision }
+      },
+      client: { name: "cap-me-action-editor", version: APP_SCHEMA_VERSION }
+    };
+    try {
+      // text/plain keeps this a simple CORS request; Apps Script web apps cannot answer a preflight.
+      const response = await fetch(buildTeamEndpoint(TEAM_SYNC_BACKEND_ACTIONS.uploadSession), {
+        method: "POST",
+        headers: { "Content-Type": "text/plain;charset=utf-8" },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || result?.ok === false) {
+        return {
+          ok: false,
+          errorCode: result?.errorCode || result?.error || `HTTP_${response.status}`,
+          currentRevision: result?.currentRevision ?? null
+        };
+      }
+      return { ok: true, revision: Number(result?.revision ?? baseRevision + 1) };
+    } catch {
+      return { ok: false, errorCode: "NETWORK_ERROR" };
+    }
+  }
+
+  async function publishToTeamLibrary() {
+    if (!payload || publishState?.status === "publishing") {
+      return;
+    }
+    const publishedRevision = publishState?.revision;
+    setPublishState({ status: "publishing", message: "Publishing to the team library...", revision: publishedRevision });
+    let response;
+    if (source === "team") {
+      // Later publishes from the same import build on the revision this editor last published.
+      const baseRevision = publishedRevision ?? (Number(original?.meta?.syncRevision) || 0);
+      response = await uploadToTeamLibrary(baseRevision);
+    } else {
+      const steps = payload.steps.map(({ thumbnailDataUrl, ...step }) => step);
+      response = await sendSessionWrite("publishSession", { ...payload, steps }, hasExtensionStorage, 30000);
+    }
+    if (!response?.ok) {
+      const code = normalizeTeamAuthErrorCode(response?.errorCode || response?.error || "PUBLISH_UNAVAILABLE");
+      const current = code === "REVISION_CONFLICT" && response?.currentRevision;
+      const detail = current ? ` (library is at revision ${current})` : "";
+      setPublishState({
+        status: "failed",
+        message: `Publish failed${detail}: ${explainTeamFailure(code).message}`,
+        revision: publishedRevision
+      });
+      return;
+    }
+    deleteDraft(originalDraftKey).catch((err) => console.warn("Draft cleanup failed:", err));
+    setPublishState({
+      status: "published",
+      message: `Published revision ${response.revision} to the team library.`,
+      revision: response.revision
+    });
+  }
+
+  function discardDraft() {
+    deleteDraft(originalDraftKey).catch((err) => console.warn("Draft discard failed:", err));
+    setDraftOffer(null);
+  }
+
+  const hasPayload = Boolean(payload);
+  useEffect(() => {
+    if (!hasPayload) {
+      return undefined;
+    }
+    // Step field edits are in the history too, so the editor's undo replaces their native undo; every other
+    // editable control (search, settings, dialogs) keeps its own.
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+      }
+      const target = event.target instanceof Element ? event.target : null;
+      const editable = target?.closest("input, textarea, select, [contenteditable]:not([contenteditable='false'])");
+      if (editable && !editable.closest("[data-edit-history]")) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || (key === "y" && !event.shiftKey)) {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [hasPayload, undo, redo]);
+
   function onStepDragStart(stepId, event) {
     setDragState({ dragId: stepId, overId: stepId, placement: "after" });
     event.dataTransfer.effectAllowed = "move";
@@ -1034,10 +1141,14 @@ export default function App() {
         label: "",
         type: annotationMode || "highlight"
       };
-      patchStep(stepId, (step) => ({
-        ...step,
-        annotations: [...(step.annotations ?? []), annotation]
-      }));
+      patchStep(
+        stepId,
+        (step) => ({
+          ...step,
+          annotations: [...(step.annotations ?? []), annotation]
+        }),
+        `Add ${annotation.type === "redact" ? "redaction" : "highlight"} to step ${stepNumber(stepId)}`
+      );
       setActiveAnnotationId(annotation.id);
       setAnnotationMode(null);
     };
@@ -1095,76 +1206,182 @@ export default function App() {
     URL.revokeObjectURL(url);
   }
 
-  function exportPdf() {
-    if (!payload) return;
-    try {
-      const doc = new jsPDF();
-      const title = payload.session.lastTitle || payload.session.startTitle || "Cap Me Action Export";
-      
-      // Title
-      doc.setFontSize(24);
-      doc.text(title, 14, 20);
-      
-      // Metadata
-      doc.setFontSize(10);
-      doc.setTextColor(100);
-      doc.text(`${payload.steps.length} steps • Created on ${new Date(payload.session.startedAt || Date.now()).toLocaleDateString()}`, 14, 30);
-
-      // Reset text color
-      doc.setTextColor(0);
-
-      let yPos = 45;
-      const margin = 14;
-      const pageWidth = doc.internal.pageSize.width;
-      const contentWidth = pageWidth - (margin * 2);
-
-      payload.steps.forEach((step, index) => {
-        // Add new page if we're near the bottom
-        if (yPos > doc.internal.pageSize.height - 40) {
-          doc.addPage();
-          yPos = 20;
-        }
+  function exportPlaywright() {
+    if (!payload) {
+      return;
+    }
+    const blob = new Blob([asPlaywright(payload)], { type: "text/javascript" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `cap-me-${payload.session?.id || "session"}.spec.js`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
-        // Step number and title
-        doc.setFontSize(14);
-        doc.setFont(undefined, 'bold');
-        const stepTitle = `${step.stepIndex}. ${step.title || 'Untitled Step'}`;
-        const titleLines = doc.splitTextToSize(stepTitle, contentWidth);
-        doc.text(titleLines, margin, yPos);
-        yPos += (titleLines.length * 7) + 2;
-
-        // Step instruction
-        if (step.instruction) {
-          doc.setFontSize(11);
-          doc.setFont(undefined, 'normal');
-          const instructionLines = doc.splitTextToSize(step.instruction, contentWidth);
-          doc.text(instructionLines, margin, yPos);
-          yPos += (instructionLines.length * 6) + 4;
-        }
+  function exportDevToolsRecording() {
+    if (!payload) {
+      return;
+    }
+    const recording = toDevToolsRecording(payload);
+    const blob = new Blob([JSON.stringify(recording, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `cap-me-${payload.session?.id || "session"}.recording.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    const skipped = devToolsSkippedSteps(payload);
+    if (skipped.length) {
+      alert(
+        `Step${skipped.length === 1 ? "" : "s"} ${skipped.join(", ")} happened inside an iframe, which the DevTools ` +
+          "Recorder format cannot address from a captured selector; they were left out of the recording."
+      );
+    }
+  }
 
-        // Step note
-        if (step.note) {
-          doc.setFontSize(10);
-          doc.setTextColor(100);
-          const noteLines = doc.splitTextToSize(step.note, contentWidth - 10);
-          doc.text(noteLines, margin + 5, yPos);
-          doc.setTextColor(0);
-          yPos += (noteLines.length * 5) + 4;
-        }
+  function exportCypress() {
+    if (!payload) {
+      return;
+    }
+    const blob = new Blob([asCypress(payload)], { type: "text/javascript" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `cap-me-${payload.session?.id || "session"}.cy.js`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
-        // We can't easily embed images without loading them first and converting to base64
-        // If the thumbnailDataUrl is a data URL, we could theoretically embed it, but for now
-        // we'll just leave a placeholder or skip it since handling arbitrary URLs in jsPDF is tricky
-        yPos += 10;
-      });
+  function exportSeleniumSide() {
+    if (!payload) {
+      return;
+    }
+    const blob = new Blob([JSON.stringify(asSeleniumSide(payload), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `cap-me-${payload.session?.id || "session"}.side`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
-      doc.save(`${title.toLowerCase().replace(/[^a-z0-9]+/g, "-")}.pdf`);
+  async function exportPdf() {
+    if (!payload) return;
+    try {
+      const steps = await burnInStepRedactions(payload.steps);
+      buildPdfDocument({ ...payload, steps }, { redactionsBurnedIn: true }).save(documentFileName(payload, "pdf"));
     } catch (err) {
       console.error("PDF export failed:", err);
       alert("Failed to generate PDF. See console for details.");
     }
   }
 
+  async function exportWalkthrough() {
+    if (!payload) return;
+    try {
+      // Highlights stay interactive overlays; only redactions are painted into the pixels.
+      const steps = await burnInStepRedactions(payload.steps);
+      const html = asWalkthroughHtml({ ...payload, steps }, { redactionsBurnedIn: true });
+      const blob = new Blob([html], { type: "text/html" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `cap-me-walkthrough-${payload.session?.id || "session"}.html`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Walkthrough export failed:", err);
+      alert("Failed to generate the walkthrough. See console for details.");
+    }
+  }
+
+  async function exportDocx() {
+    if (!payload) return;
+    try {
+      const steps = await flattenStepAnnotations(payload.steps);
+      const blob = new Blob([buildDocx({ ...payload, steps }, { redactionsBurnedIn: true })], { type: DOCX_MIME_TYPE });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = documentFileName(payload, "docx");
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("DOCX export failed:", err);
+      alert("Failed to generate the Word document. See console for details.");
+    }
+  }
+
+  async function exportWikiBundle(buildBundle, suffix, label) {
+    if (!payload) return;
+    try {
+      const steps = await flattenStepAnnotations(payload.steps);
+      const blob = new Blob([buildBundle({ ...payload, steps }, { redactionsBurnedIn: true })], { type: "application/zip" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = documentFileName(payload, suffix);
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(`${label} export failed:`, err);
+      alert(`Failed to generate the ${label} bundle. See console for details.`);
+    }
+  }
+
+  async function exportClip(format) {
+    if (!payload || clipStatus) return;
+    const isGif = format === "gif";
+    const onProgress = (done, total) => {
+      const percent = Math.round((done / Math.max(1, total)) * 100);
+      setClipStatus(`${isGif ? "Encoding GIF" : "Recording video"} ${percent}%`);
+    };
+    try {
+      setClipStatus(isGif ? "Encoding GIF..." : "Recording video...");
+      const steps = await burnInStepRedactions(payload.steps);
+      const blob = isGif ? await renderGif(steps, { onProgress }) : await recordWebm(steps, { onProgress });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `cap-me-clip-${payload.session?.id || "session"}.${isGif ? "gif" : "webm"}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Clip export failed:", err);
+      alert(
+        err?.message === "WEBM_UNSUPPORTED"
+          ? "This browser cannot record WebM video. Try the animated GIF instead."
+          : "Failed to generate the clip. See console for details."
+      );
+    } finally {
+      setClipStatus("");
+    }
+  }
+
+  async function startReplay() {
+    if (!payload?.steps?.length) {
+      return;
+    }
+    // The editor's current order and deletions are what gets replayed; screenshots stay behind.
+    const steps = payload.steps.map(({ thumbnailDataUrl, annotations, ...step }) => step);
+    const response = await sendReplayRequest(
+      APP_BRIDGE_REQUEST_TYPES.replay,
+      { sessionId: payload.session?.id ?? null, session: { startUrl: payload.session?.startUrl ?? "" }, steps },
+      hasExtensionStorage
+    );
+    if (!response.ok) {
+      setError(`Replay failed to start: ${response.errorCode || response.error || "unknown error"}`);
+      return;
+    }
+    setError("");
+    setReplayState({ runId: response.runId, status: "running", total: steps.length, results: [] });
+  }
+
+  async function cancelReplay() {
+    await sendReplayRequest(APP_BRIDGE_REQUEST_TYPES.replayCancel, undefined, hasExtensionStorage);
+  }
+
   async function loadFromExtensionStorage(preferredSessionId = "") {
     try {
       let sessions = [];
@@ -1175,7 +1392,7 @@ export default function App() {
           chrome.storage.local.get(["sessions", "steps"], resolve)
         );
         sessions = (result.sessions ?? []).sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
-        steps = result.steps ?? [];
+        steps = await resolveThumbnailsViaRuntime(result.steps ?? []);
       } else {
         const response = await loadSessionsViaPageBridge();
         if (!response.ok) {
@@ -1197,6 +1414,11 @@ export default function App() {
       setExtensionSessions(sessions);
       setExtensionSteps(steps);
       setSelectedExtensionSessionId(selected);
+      // Drafts of sessions the extension no longer has (deleted or pruned by retention) go with them.
+      const sessionIds = new Set(sessions.map((session) => session.id));
+      expireDrafts((record) => record.source === "local" && !sessionIds.has(record.sessionId)).catch((err) =>
+        console.warn("Draft cleanup failed:", err)
+      );
       setExtensionStatus(
         sessions.length
           ? `Loaded ${sessions.length} session(s) from extension.`
@@ -1349,7 +1571,7 @@ export default function App() {
       const rawPayload = body?.payload ?? body;
       const migrated = migrateSessionPayload(rawPayload);
       const normalized = normalizePayload(migrated);
-      setPayload(normalized);
+      setPayload(normalized, "team");
       setSelectedId(normalized.steps[0]?.id || null);
       setError("");
       setTeamStatus(`Imported team session ${normalized.session.id}.`);
@@ -1406,13 +1628,70 @@ export default function App() {
           
           <div className="app-divider" />
 
+          {payload && canSaveToExtension && (
+            <button
+              type="button"
+              onClick={saveToExtension}
+              disabled={saveState?.status === "saving" || liveCapture?.recording}
+              className="app-button"
+              title={
+                liveCapture?.recording
+                  ? "Stop recording before saving edits back to the extension"
+                  : "Write these edits back to the captured session in the extension"
+              }
+            >
+              <Save size={16} />
+              Save to Extension
+            </button>
+          )}
+
+          {payload && canPublishToTeam && (
+            <button
+              type="button"
+              onClick={publishToTeamLibrary}
+              disabled={publishState?.status === "publishing" || liveCapture?.recording}
+              className="app-button"
+              title={
+                liveCapture?.recording
+                  ? "Stop recording before publishing to the team library"
+                  : "Upload this edited version to the team library as a new revision"
+              }
+            >
+              <Send size={16} />
+              Publish to Team
+            </button>
+          )}
+
+          {payload && (
+            <button
+              type="button"
+              onClick={replayState?.status === "running" ? cancelReplay : startReplay}
+              className="app-button"
+              title="Re-run these steps in a new browser tab"
+            >
+              {replayState?.status === "running" ? <Square size={16} /> : <Play size={16} />}
+              {replayState?.status === "running" ? "Stop Replay" : "Replay"}
+            </button>
+          )}
+
           {payload && (
             <ExportPanel 
               disabled={!payload}
               onJson={exportJson}
               onMarkdown={exportMarkdown}
               onHtml={exportHtml}
+              onWalkthrough={exportWalkthrough}
+              onPlaywright={exportPlaywright}
+              onDevTools={exportDevToolsRecording}
+              onCypress={exportCypress}
+              onSelenium={exportSeleniumSide}
+              onDocx={exportDocx}
+              onConfluence={() => exportWikiBundle(buildConfluenceBundle, "confluence.zip", "Confluence")}
+              onNotion={() => exportWikiBundle(buildNotionBundle, "notion.zip", "Notion")}
               onPdf={exportPdf}
+              onGif={() => exportClip("gif")}
+              onWebm={() => exportClip("webm")}
+              clipStatus={clipStatus}
             />
           )}
         </div>
@@ -1577,6 +1856,16 @@ export default function App() {
           </div>
         )}
 
+        {payload && draftOffer && (
+          <DraftRestoreBanner
+            savedAt={draftOffer.record.savedAt}
+            changes={draftOffer.changes}
+            upstreamChanged={draftOffer.upstreamChanged}
+            onRestore={restoreDraft}
+            onDiscard={discardDraft}
+          />
+        )}
+
         {payload && (
           <div className="editor-workspace">
             <aside className="editor-sidebar">
@@ -1588,6 +1877,21 @@ export default function App() {
                   {payload.steps.length} steps
                 </span>
               </div>
+              {saveState && (
+                <p className={`editor-sidebar__save editor-sidebar__save--${saveState.status}`} role="status">
+                  {saveState.message}
+                </p>
+              )}
+              {publishState && (
+                <p className={`editor-sidebar__save editor-sidebar__save--${publishState.status}`} role="status">
+                  {publishState.message}
+                </p>
+              )}
+              {replayState?.runId && (
+                <p className={`editor-sidebar__replay editor-sidebar__replay--${replayState.status}`}>
+                  {describeReplayState(replayState)}
+                </p>
+              )}
               <div className="editor-sidebar__list custom-scrollbar">
                 <StepList 
                   steps={payload.steps}
@@ -1601,8 +1905,17 @@ export default function App() {
                   onDrop={onStepDrop}
                   onDragEnd={onStepDragEnd}
                   dragState={dragState}
+                  replayResults={replayResultsByStep}
+                  liveCapture={liveCapture}
                 />
               </div>
+              <HistoryPanel
+                past={history.past}
+                future={history.future}
+                onUndo={undo}
+                onRedo={redo}
+                onTravel={travel}
+              />
             </aside>
 
             <article className="editor-main custom-scrollbar">
@@ -0,0 +1,43 @@
+// Purpose: offer to bring back unsaved editor edits found in the autosaved draft store.
+// Inputs: draft save time, change summary, upstream-change flag, restore/discard callbacks. Outputs: restore prompt.
+import React from "react";
+import { RotateCcw, X } from "lucide-react";
+
+export type DraftRestoreBannerProps = {
+  savedAt: number;
+  changes: string[];
+  // True when the session itself changed after the draft was saved; restoring replaces those changes.
+  upstreamChanged: boolean;
+  onRestore: () => void;
+  onDiscard: () => void;
+};
+
+export function DraftRestoreBanner({ savedAt, changes, upstreamChanged, onRestore, onDiscard }: DraftRestoreBannerProps) {
+  return (
+    <div className="status-banner draft-banner mb-6" role="alert">
+      <div className="draft-banner__body">
+        <strong>Unsaved edits from {new Date(savedAt).toLocaleString()} were recovered.</strong>
+        <ul className="draft-banner__changes">
+          {changes.map((change) => (
+            <li key={change}>{change}</li>
+          ))}
+        </ul>
+        {upstreamChanged && (
+          <p className="draft-banner__warning">
+            This session has changed since the draft was saved. Restoring replaces those changes with the draft.
+          </p>
+        )}
+      </div>
+      <div className="draft-banner__actions">
+        <button type="button" className="app-button app-button--primary" onClick={onRestore}>
+          <RotateCcw size={14} />
+          Restore draft
+        </button>
+        <button type="button" className="app-button" onClick={onDiscard}>
+          <X size={14} />
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
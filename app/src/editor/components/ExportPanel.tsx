@@ -1,17 +1,62 @@
 // Purpose: scaffold component boundary for grouped export actions and privacy messaging.
-// Inputs: export handlers + enable flags. Outputs: export controls block.
+// Inputs: export handlers + enable flags + clip progress. Outputs: document export buttons plus wiki, clip, and
+// test-script format pickers.
 import React from "react";
-import { Download, FileJson, FileCode2, FileText, File } from "lucide-react";
+import { Download, FileJson, FileCode2, FileText, FileType, File, MousePointerClick, Film } from "lucide-react";
 
 export type ExportPanelProps = {
   disabled: boolean;
   onJson: () => void;
   onMarkdown: () => void;
   onHtml: () => void;
+  onWalkthrough: () => void;
+  onPlaywright: () => void;
+  onDevTools: () => void;
+  onCypress: () => void;
+  onSelenium: () => void;
+  onDocx: () => void;
+  onConfluence: () => void;
+  onNotion: () => void;
   onPdf: () => void;
+  onGif: () => void;
+  onWebm: () => void;
+  // Non-empty while a clip is rendering; clip exports are one at a time.
+  clipStatus: string;
 };
 
-export function ExportPanel({ disabled, onJson, onMarkdown, onHtml, onPdf }: ExportPanelProps) {
+export function ExportPanel({
+  disabled,
+  onJson,
+  onMarkdown,
+  onHtml,
+  onWalkthrough,
+  onPlaywright,
+  onDevTools,
+  onCypress,
+  onSelenium,
+  onDocx,
+  onConfluence,
+  onNotion,
+  onPdf,
+  onGif,
+  onWebm,
+  clipStatus
+}: ExportPanelProps) {
+  const automationExports = [
+    { id: "playwright", label: "Playwright (.spec.js)", onExport: onPlaywright },
+    { id: "cypress", label: "Cypress (.cy.js)", onExport: onCypress },
+    { id: "selenium", label: "Selenium IDE (.side)", onExport: onSelenium },
+    { id: "devtools", label: "DevTools Recorder (.json)", onExport: onDevTools }
+  ];
+  const wikiExports = [
+    { id: "confluence", label: "Confluence (storage format .zip)", onExport: onConfluence },
+    { id: "notion", label: "Notion (Markdown .zip)", onExport: onNotion }
+  ];
+  const clipExports = [
+    { id: "gif", label: "Animated GIF (.gif)", onExport: onGif },
+    { id: "webm", label: "Video (.webm, plays in real time)", onExport: onWebm }
+  ];
+
   return (
     <div className="flex flex-wrap gap-2 items-center">
       <button 
@@ -41,7 +86,81 @@ export function ExportPanel({ disabled, onJson, onMarkdown, onHtml, onPdf }: Exp
         <FileCode2 size={16} />
         Export HTML
       </button>
-      <button 
+      <button
+        type="button"
+        onClick={onWalkthrough}
+        disabled={disabled}
+        className="app-button"
+        title="Single HTML file that walks through one step at a time"
+      >
+        <MousePointerClick size={16} />
+        Export Walkthrough
+      </button>
+      <select
+        value=""
+        onChange={(event) => {
+          automationExports.find((item) => item.id === event.target.value)?.onExport();
+        }}
+        disabled={disabled}
+        className="app-select"
+        title="Export the steps as a test script for an automation framework"
+      >
+        <option value="">Export test script...</option>
+        {automationExports.map((item) => (
+          <option key={item.id} value={item.id}>
+            {item.label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={onDocx}
+        disabled={disabled}
+        className="app-button"
+      >
+        <FileType size={16} />
+        Export Word
+      </button>
+      <select
+        value=""
+        onChange={(event) => {
+          wikiExports.find((item) => item.id === event.target.value)?.onExport();
+        }}
+        disabled={disabled}
+        className="app-select"
+        title="Export the procedure with its screenshots for import into a wiki"
+      >
+        <option value="">Export to wiki...</option>
+        {wikiExports.map((item) => (
+          <option key={item.id} value={item.id}>
+            {item.label}
+          </option>
+        ))}
+      </select>
+      {clipStatus ? (
+        <span className="app-button" role="status" aria-live="polite">
+          <Film size={16} />
+          {clipStatus}
+        </span>
+      ) : (
+        <select
+          value=""
+          onChange={(event) => {
+            clipExports.find((item) => item.id === event.target.value)?.onExport();
+          }}
+          disabled={disabled}
+          className="app-select"
+          title="Export the screenshots with captions as a short clip for chats and tickets"
+        >
+          <option value="">Export clip...</option>
+          {clipExports.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      )}
+      <button 
         type="button" 
         onClick={onPdf} 
         disabled={disabled}
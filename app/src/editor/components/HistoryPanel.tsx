@@ -0,0 +1,78 @@
+// Purpose: show the editor's undo/redo history and let the user jump back or forward to any entry.
+// Inputs: past/future history entries + travel callbacks. Outputs: collapsible history list with undo/redo controls.
+import React from "react";
+import { History, Redo2, Undo2 } from "lucide-react";
+
+export type HistoryPanelEntry = { label: string; at: number };
+
+export type HistoryPanelProps = {
+  past: HistoryPanelEntry[];
+  future: HistoryPanelEntry[];
+  onUndo: () => void;
+  onRedo: () => void;
+  // Negative values undo that many entries, positive values redo.
+  onTravel: (steps: number) => void;
+};
+
+function formatTime(at: number) {
+  return new Date(at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+}
+
+export function HistoryPanel({ past, future, onUndo, onRedo, onTravel }: HistoryPanelProps) {
+  // Newest first: redoable entries on top, then the current state, then older edits.
+  const rows = [
+    ...future.map((entry, idx) => ({ key: `f${idx}`, entry, offset: idx + 1, undone: true })).reverse(),
+    ...past.map((entry, idx) => ({ key: `p${idx}`, entry, offset: idx - (past.length - 1), undone: false })).reverse()
+  ];
+
+  return (
+    <details className="editor-history">
+      <summary className="editor-history__summary">
+        <History size={14} />
+        History
+        <span className="editor-history__count">{past.length}</span>
+      </summary>
+      <div className="editor-history__actions">
+        <button type="button" className="app-button" onClick={onUndo} disabled={!past.length} title="Undo (Ctrl+Z)">
+          <Undo2 size={14} />
+          Undo
+        </button>
+        <button
+          type="button"
+          className="app-button"
+          onClick={onRedo}
+          disabled={!future.length}
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <Redo2 size={14} />
+          Redo
+        </button>
+      </div>
+      <ol className="editor-history__list custom-scrollbar">
+        {rows.map(({ key, entry, offset, undone }) => (
+          <li key={key}>
+            <button
+              type="button"
+              onClick={() => onTravel(offset)}
+              aria-current={offset === 0 ? "step" : undefined}
+              className={`editor-history__entry ${undone ? "editor-history__entry--undone" : ""}`}
+            >
+              <span className="truncate">{entry.label}</span>
+              <span className="editor-history__time">{formatTime(entry.at)}</span>
+            </button>
+          </li>
+        ))}
+        <li>
+          <button
+            type="button"
+            onClick={() => onTravel(-past.length)}
+            aria-current={past.length === 0 ? "step" : undefined}
+            className="editor-history__entry"
+          >
+            <span className="truncate">Session loaded</span>
+          </button>
+        </li>
+      </ol>
+    </details>
+  );
+}
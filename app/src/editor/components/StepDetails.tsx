@@ -11,7 +11,7 @@ export type StepDetailsProps = {
 
 export function StepDetails({ title, instruction, note, onChange }: StepDetailsProps) {
   return (
-    <div className="editor-fields">
+    <div className="editor-fields" data-edit-history="">
       <div className="editor-field">
         <label htmlFor="title" className="editor-field__label">Title</label>
         <input
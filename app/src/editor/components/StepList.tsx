@@ -1,9 +1,11 @@
 // Purpose: scaffold component boundary for step list rendering and interactions.
-// Inputs: steps and callbacks. Outputs: UI section for selecting/reordering/deleting steps.
+// Inputs: steps, callbacks, optional replay results and live capture status. Outputs: UI section for
+// selecting/reordering/deleting steps.
 import React from "react";
 import { GripVertical, ArrowUp, ArrowDown, Trash2, Merge } from "lucide-react";
+import type { ReplayStepResult } from "../../lib/contracts";
 
-export type StepSummary = { id: string; stepIndex?: number; title?: string };
+export type StepSummary = { id: string; stepIndex?: number; title?: string; thumbnailDataUrl?: string | null };
 
 export type StepListProps = {
   steps: StepSummary[];
@@ -17,6 +19,9 @@ export type StepListProps = {
   onDrop: (stepId: string, e: React.DragEvent) => void;
   onDragEnd: () => void;
   dragState: { dragId: string; overId: string; placement: "before" | "after" };
+  replayResults?: Record<string, ReplayStepResult>;
+  // Set while the session is subscribed to its live capture; recording shows screenshots as steps stream in.
+  liveCapture?: { recording: boolean; paused: boolean } | null;
 };
 
 export function StepList({
@@ -31,7 +36,10 @@ export function StepList({
   onDrop,
   onDragEnd,
   dragState,
+  replayResults = {},
+  liveCapture = null,
 }: StepListProps) {
+  const recording = Boolean(liveCapture?.recording);
   return (
     <div className="step-list">
       {steps.map((step, idx) => {
@@ -68,7 +76,18 @@ export function StepList({
                 <span className="step-item__index">#{step.stepIndex ?? "?"}</span>
                 {step.title ?? "Untitled"}
               </button>
+              {replayResults[step.id] && (
+                <span
+                  className={`step-item__replay step-item__replay--${replayResults[step.id].status}`}
+                  title={replayResults[step.id].errorCode ?? `Matched via ${replayResults[step.id].strategy ?? "n/a"}`}
+                >
+                  {replayResults[step.id].status}
+                </span>
+              )}
             </div>
+            {recording && step.thumbnailDataUrl && (
+              <img src={step.thumbnailDataUrl} alt="" className="step-item__thumb" loading="lazy" />
+            )}
             
             <div className="step-item__actions">
               <button
@@ -113,6 +132,12 @@ export function StepList({
           </div>
         );
       })}
+      {recording && (
+        <p className={`step-list__live ${liveCapture?.paused ? "step-list__live--paused" : ""}`} role="status">
+          <span className="step-list__live-dot" />
+          {liveCapture?.paused ? "Recording paused" : "Recording: new steps appear here as they are captured"}
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,160 @@
+// Purpose: fold steps streamed from an in-progress capture into the edited session without overwriting edits.
+// Inputs: storage snapshots/changes relayed from `chrome.storage.local` (directly or via the page bridge). Outputs:
+// step deltas, capture status, and merged step lists.
+import { deriveInstruction, deriveTitle, normalizePayload, normalizeText } from "../../lib/derivation";
+import { resequenceSteps } from "./sessionReducer";
+
+type StoredStep = Record<string, any> & { id: string };
+type EditorStep = Record<string, any> & { id: string; stepIndex?: number };
+
+export type LiveCaptureStatus = { recording: boolean; paused: boolean };
+
+export type LiveStepUpdate = {
+  added: StoredStep[];
+  updated: StoredStep[];
+  removedIds: string[];
+  capture: LiveCaptureStatus;
+};
+
+// The `chrome.storage.local` keys a live feed reads, as a `get` result and as `storage.onChanged` changes.
+export type LiveStorageSnapshot = { steps?: unknown; captureState?: unknown; sessionByTab?: unknown };
+export type LiveStorageChanges = {
+  steps?: { oldValue?: unknown; newValue?: unknown };
+  captureState?: { newValue?: unknown };
+  sessionByTab?: { newValue?: unknown };
+};
+
+export const LIVE_STORAGE_KEYS = ["steps", "captureState", "sessionByTab"] as const;
+
+export function liveCaptureStatus(captureState: any, sessionByTab: any, sessionId: string): LiveCaptureStatus {
+  const recording =
+    Boolean(captureState?.isCapturing) && Object.values(sessionByTab ?? {}).some((mapped) => mapped === sessionId);
+  return { recording, paused: recording && Boolean(captureState?.isPaused) };
+}
+
+// `previous`/`next` are whole stored step lists (every session); only this session's steps are compared.
+export function diffSessionSteps(
+  previous: unknown,
+  next: unknown,
+  sessionId: string
+): Pick<LiveStepUpdate, "added" | "updated" | "removedIds"> {
+  const ofSession = (steps: unknown) =>
+    (Array.isArray(steps) ? steps : []).filter((step): step is StoredStep => step?.sessionId === sessionId);
+  const before = new Map(ofSession(previous).map((step) => [step.id, JSON.stringify(step)]));
+  const after = ofSession(next);
+  const afterIds = new Set(after.map((step) => step.id));
+  return {
+    added: after.filter((step) => !before.has(step.id)),
+    updated: after.filter((step) => before.has(step.id) && before.get(step.id) !== JSON.stringify(step)),
+    removedIds: [...before.keys()].filter((id) => !afterIds.has(id))
+  };
+}
+
+export function hasLiveStepChanges(update: Pick<LiveStepUpdate, "added" | "updated" | "removedIds">): boolean {
+  return Boolean(update.added.length || update.updated.length || update.removedIds.length);
+}
+
+function normalizeStoredSteps(steps: StoredStep[]): EditorStep[] {
+  return normalizePayload({ session: {}, steps }).steps;
+}
+
+// Capture fields come from storage (e.g. an input value masked after a later sensitive entry); titles and
+// instructions the user rewrote, notes, and annotations stay as edited.
+function refreshStep<T extends EditorStep>(current: T, stored: StoredStep): T {
+  const [fresh] = normalizeStoredSteps([stored]) as T[];
+  const titleEdited = normalizeText(current.title) !== deriveTitle(current);
+  const instructionEdited = normalizeText(current.instruction) !== deriveInstruction(current);
+  return {
+    ...fresh,
+    title: titleEdited ? current.title : fresh.title,
+    instruction: instructionEdited ? current.instruction : fresh.instruction,
+    note: current.note,
+    annotations: current.annotations,
+    thumbnailDataUrl:
+      fresh.thumbnailDataUrl ?? (fresh.thumbnailRef === current.thumbnailRef ? current.thumbnailDataUrl : null)
+  };
+}
+
+// Idempotent: steps already present are not added twice, and updates for steps the user deleted are ignored.
+export function applyLiveStepUpdate<T extends EditorStep>(
+  steps: T[],
+  update: Pick<LiveStepUpdate, "added" | "updated" | "removedIds">
+): T[] {
+  if (!hasLiveStepChanges(update)) {
+    return steps;
+  }
+  const removed = new Set(update.removedIds);
+  const updatedById = new Map(update.updated.map((step) => [step.id, step]));
+  const present = new Set(steps.map((step) => step.id));
+  const kept = steps
+    .filter((step) => !removed.has(step.id))
+    .map((step) => {
+      const stored = updatedById.get(step.id);
+      return stored ? refreshStep(step, stored) : step;
+    });
+  const added = normalizeStoredSteps(update.added.filter((step) => !present.has(step.id) && !removed.has(step.id)));
+  return resequenceSteps([...kept, ...(added as T[])]);
+}
+
+// Extension pages feed it from `chrome.storage` directly and web pages from the content-script relay, so both paths
+// share the diffing and ordering below.
+export function createLiveStepFeed(
+  sessionId: string,
+  knownStepIds: string[],
+  resolveThumbnails: (steps: StoredStep[]) => Promise<StoredStep[]>,
+  onUpdate: (update: LiveStepUpdate) => void
+) {
+  let captureState: unknown = null;
+  let sessionByTab: unknown = null;
+  let lastCapture = "";
+  let active = true;
+  let chain = Promise.resolve();
+
+  const publish = (diff: Pick<LiveStepUpdate, "added" | "updated" | "removedIds">) => {
+    const capture = liveCaptureStatus(captureState, sessionByTab, sessionId);
+    // Chained so a slow thumbnail lookup cannot deliver a later change before an earlier one.
+    chain = chain
+      .then(async () => {
+        if (!hasLiveStepChanges(diff) && JSON.stringify(capture) === lastCapture) {
+          return;
+        }
+        lastCapture = JSON.stringify(capture);
+        const [added, updated] = await Promise.all([resolveThumbnails(diff.added), resolveThumbnails(diff.updated)]);
+        if (active) {
+          onUpdate({ ...diff, added, updated, capture });
+        }
+      })
+      .catch((err) => console.warn("Live step update failed:", err));
+    return chain;
+  };
+
+  return {
+    // Steps captured between the editor's snapshot and the subscription arrive as the first update.
+    start(snapshot: LiveStorageSnapshot) {
+      captureState = snapshot.captureState;
+      sessionByTab = snapshot.sessionByTab;
+      const steps = Array.isArray(snapshot.steps) ? snapshot.steps : [];
+      const known = new Set(knownStepIds);
+      return publish(diffSessionSteps(steps.filter((step) => known.has(step?.id)), steps, sessionId));
+    },
+    apply(changes: LiveStorageChanges) {
+      if (!(changes.steps || changes.captureState || changes.sessionByTab)) {
+        return chain;
+      }
+      if (changes.captureState) {
+        captureState = changes.captureState.newValue;
+      }
+      if (changes.sessionByTab) {
+        sessionByTab = changes.sessionByTab.newValue;
+      }
+      return publish(
+        changes.steps
+          ? diffSessionSteps(changes.steps.oldValue, changes.steps.newValue, sessionId)
+          : { added: [], updated: [], removedIds: [] }
+      );
+    },
+    close() {
+      active = false;
+    }
+  };
+}
@@ -1,5 +1,7 @@
 // Purpose: isolate core step list mutations from UI components.
-// Inputs: current steps array + mutation intent. Outputs: immutable updated steps arrays.
+// Inputs: current steps array + mutation intent. Outputs: immutable updated steps arrays and undo/redo history.
+import { normalizeText } from "../../lib/derivation";
+
 export function resequenceSteps<T extends { stepIndex?: number }>(steps: T[]): T[] {
   return steps.map((step, idx) => ({ ...step, stepIndex: idx + 1 }));
 }
@@ -34,3 +36,140 @@ export function deleteStepById<T extends { id: string; stepIndex?: number }>(ste
   return resequenceSteps(steps.filter((step) => step.id !== stepId));
 }
 
+export function moveStepToTarget<T extends { id: string; stepIndex?: number }>(
+  steps: T[],
+  stepId: string,
+  targetId: string,
+  placement: "before" | "after"
+): T[] {
+  const fromIndex = steps.findIndex((step) => step.id === stepId);
+  const targetIndex = steps.findIndex((step) => step.id === targetId);
+  if (stepId === targetId || fromIndex < 0 || targetIndex < 0) {
+    return steps;
+  }
+  let insertIndex = targetIndex + (placement === "after" ? 1 : 0);
+  const next = [...steps];
+  const [moved] = next.splice(fromIndex, 1);
+  if (fromIndex < insertIndex) {
+    insertIndex -= 1;
+  }
+  insertIndex = Math.min(Math.max(insertIndex, 0), next.length);
+  next.splice(insertIndex, 0, moved);
+  return resequenceSteps(next);
+}
+
+type MergeableStep = {
+  id: string;
+  stepIndex?: number;
+  title?: string;
+  instruction?: string;
+  note?: string;
+  pageTitle?: string;
+  url?: string;
+  thumbnailDataUrl?: string | null;
+  thumbnailRef?: string | null;
+  annotations?: unknown[];
+};
+
+export function mergeStepWithNextById<T extends MergeableStep>(steps: T[], stepId: string): T[] {
+  const index = steps.findIndex((step) => step.id === stepId);
+  if (index < 0 || index >= steps.length - 1) {
+    return steps;
+  }
+  const current = steps[index];
+  const next = steps[index + 1];
+  const mergedInstruction = [normalizeText(current.instruction), normalizeText(next.instruction)]
+    .filter(Boolean)
+    .join(" ");
+  const mergedNote = [normalizeText(current.note), normalizeText(next.note)].filter(Boolean).join("\n");
+
+  const merged = {
+    ...current,
+    title: normalizeText(current.title) || normalizeText(next.title) || "Merged step",
+    instruction: mergedInstruction,
+    note: mergedNote,
+    pageTitle: current.pageTitle || next.pageTitle || "",
+    url: current.url || next.url || "",
+    thumbnailDataUrl: current.thumbnailDataUrl || next.thumbnailDataUrl || null,
+    // Keep the extension's blob reference in step with the screenshot the merged step shows.
+    thumbnailRef: current.thumbnailDataUrl || !next.thumbnailDataUrl ? current.thumbnailRef : next.thumbnailRef,
+    annotations: [...(current.annotations ?? []), ...(next.annotations ?? [])]
+  };
+  const nextSteps = [...steps];
+  nextSteps.splice(index, 2, merged);
+  return resequenceSteps(nextSteps);
+}
+
+// Undo history keeps whole-document snapshots; edits share unchanged steps, so snapshots stay cheap.
+export type HistoryEntry<T> = {
+  label: string;
+  before: T;
+  after: T;
+  at: number;
+  // Consecutive edits with the same key inside the coalesce window fold into one entry (e.g. typing in a field).
+  coalesceKey?: string;
+};
+
+export type EditHistory<T> = {
+  past: HistoryEntry<T>[];
+  future: HistoryEntry<T>[];
+};
+
+export const HISTORY_LIMIT = 100;
+export const HISTORY_COALESCE_MS = 1000;
+
+export function emptyHistory<T>(): EditHistory<T> {
+  return { past: [], future: [] };
+}
+
+export function recordEdit<T>(history: EditHistory<T>, entry: HistoryEntry<T>): EditHistory<T> {
+  const last = history.past[history.past.length - 1];
+  const coalesces =
+    Boolean(entry.coalesceKey) &&
+    last?.coalesceKey === entry.coalesceKey &&
+    !history.future.length &&
+    entry.at - last.at <= HISTORY_COALESCE_MS;
+  if (coalesces) {
+    return { past: [...history.past.slice(0, -1), { ...last, after: entry.after, at: entry.at }], future: [] };
+  }
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] };
+}
+
+export function undoEdit<T>(history: EditHistory<T>): { history: EditHistory<T>; state: T } | null {
+  const last = history.past[history.past.length - 1];
+  if (!last) {
+    return null;
+  }
+  // The undone entry loses its coalesce key so typing after a redo starts a fresh entry.
+  const undone = { ...last, coalesceKey: undefined };
+  return { history: { past: history.past.slice(0, -1), future: [undone, ...history.future] }, state: last.before };
+}
+
+export function redoEdit<T>(history: EditHistory<T>): { history: EditHistory<T>; state: T } | null {
+  const [next, ...future] = history.future;
+  if (!next) {
+    return null;
+  }
+  return { history: { past: [...history.past, next], future }, state: next.after };
+}
+
+// Applies a change that is not itself an edit (e.g. steps streamed from a live capture) to every snapshot, so undo
+// and redo move through the user's edits without dropping it. Shared snapshots are transformed once.
+export function rebaseHistory<T>(
+  history: EditHistory<T>,
+  state: T,
+  transform: (state: T) => T
+): { history: EditHistory<T>; state: T } {
+  const cache = new Map<T, T>();
+  const map = (state: T) => {
+    if (!cache.has(state)) {
+      cache.set(state, transform(state));
+    }
+    return cache.get(state) as T;
+  };
+  const rebaseEntry = (entry: HistoryEntry<T>) => ({ ...entry, before: map(entry.before), after: map(entry.after) });
+  return {
+    history: { past: history.past.map(rebaseEntry), future: history.future.map(rebaseEntry) },
+    state: map(state)
+  };
+}
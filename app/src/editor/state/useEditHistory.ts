@@ -0,0 +1,92 @@
+// Purpose: hold the edited session payload together with its undo/redo history.
+// Inputs: loaded payloads + labelled edits from the editor. Outputs: current and originally loaded payload, history
+// entries, and undo/redo/jump/rebase actions.
+import { useCallback, useReducer } from "react";
+import { emptyHistory, rebaseHistory, recordEdit, redoEdit, undoEdit, type EditHistory } from "./sessionReducer";
+
+export type PayloadSource = "local" | "team";
+
+type EditorState<T> = { payload: T | null; original: T | null; source: PayloadSource; history: EditHistory<T> };
+
+type EditorAction<T> =
+  | { type: "load"; payload: T | null; source: PayloadSource }
+  | { type: "edit"; label: string; edit: (payload: T) => T; coalesceKey?: string; at: number }
+  | { type: "rebase"; transform: (payload: T) => T }
+  | { type: "undo" }
+  | { type: "redo" };
+
+function editorReducer<T>(state: EditorState<T>, action: EditorAction<T>): EditorState<T> {
+  switch (action.type) {
+    case "load":
+      // A newly loaded session starts a fresh history; undo never crosses sessions.
+      return { payload: action.payload, original: action.payload, source: action.source, history: emptyHistory<T>() };
+    case "edit": {
+      if (!state.payload) {
+        return state;
+      }
+      const next = action.edit(state.payload);
+      if (next === state.payload) {
+        return state;
+      }
+      const entry = { label: action.label, before: state.payload, after: next, at: action.at };
+      return { ...state, payload: next, history: recordEdit(state.history, { ...entry, coalesceKey: action.coalesceKey }) };
+    }
+    case "rebase": {
+      if (!state.payload) {
+        return state;
+      }
+      const result = rebaseHistory(state.history, state.payload, action.transform);
+      return { ...state, payload: result.state, history: result.history };
+    }
+    case "undo": {
+      const result = undoEdit(state.history);
+      return result ? { ...state, payload: result.state, history: result.history } : state;
+    }
+    case "redo": {
+      const result = redoEdit(state.history);
+      return result ? { ...state, payload: result.state, history: result.history } : state;
+    }
+    default:
+      return state;
+  }
+}
+
+export function useEditHistory<T>() {
+  const [state, dispatch] = useReducer(editorReducer<T>, {
+    payload: null,
+    original: null,
+    source: "local",
+    history: emptyHistory<T>()
+  });
+
+  const setPayload = useCallback(
+    (payload: T | null, source: PayloadSource = "local") => dispatch({ type: "load", payload, source }),
+    []
+  );
+  const applyEdit = useCallback((label: string, edit: (payload: T) => T, coalesceKey?: string) => {
+    dispatch({ type: "edit", label, edit, coalesceKey, at: Date.now() });
+  }, []);
+  // Outside changes (live capture) apply to the payload and every history snapshot without adding an entry.
+  const rebase = useCallback((transform: (payload: T) => T) => dispatch({ type: "rebase", transform }), []);
+  const undo = useCallback(() => dispatch({ type: "undo" }), []);
+  const redo = useCallback(() => dispatch({ type: "redo" }), []);
+  // Positive steps redo, negative steps undo; used by the history panel to jump to an entry.
+  const travel = useCallback((steps: number) => {
+    for (let i = 0; i < Math.abs(steps); i += 1) {
+      dispatch({ type: steps < 0 ? "undo" : "redo" });
+    }
+  }, []);
+
+  return {
+    payload: state.payload,
+    original: state.original,
+    source: state.source,
+    history: state.history,
+    setPayload,
+    applyEdit,
+    rebase,
+    undo,
+    redo,
+    travel
+  };
+}
@@ -4,7 +4,7 @@
 export const APP_SCHEMA_VERSION = "1.1.0";
 export const SUPPORTED_IMPORT_SCHEMA_VERSIONS = [APP_SCHEMA_VERSION, "1.0.0"] as const;
 
-export type SyncStatus = "local" | "pending" | "synced" | "failed" | "blocked";
+export type SyncStatus = "local" | "pending" | "synced" | "failed" | "blocked" | "conflict";
 
 export type SessionSync = {
   status: SyncStatus;
@@ -23,6 +23,9 @@ export type SessionRecord = {
   startedAt?: number;
   updatedAt?: number;
   stepsCount?: number;
+  pinned?: boolean;
+  stepLimitReached?: boolean;
+  pauses?: Array<{ pausedAt: number; resumedAt: number | null }>;
   sync?: SessionSync;
 };
 
@@ -36,11 +39,61 @@ export type StepAnnotation = {
   type?: "highlight" | "redact";
 };
 
+export type SelectorCandidate = {
+  strategy: "testid" | "role" | "text" | "label" | "structural";
+  selector: string;
+  matchCount: number;
+  unique: boolean;
+  attribute?: string;
+  value?: string;
+  role?: string;
+  name?: string;
+  tag?: string;
+  text?: string;
+  label?: string;
+};
+
+export type StepSelectors = {
+  css?: string | null;
+  xpath?: string | null;
+  // DevTools Recorder `pierce/` selector (css matched across open shadow roots), kept for round trips.
+  pierce?: string | null;
+  candidates?: SelectorCandidate[];
+  [key: string]: unknown;
+};
+
+export type StepGeometry = {
+  rect: { x: number; y: number; width: number; height: number } | null;
+  viewport: { width: number; height: number };
+  devicePixelRatio: number;
+  scrollX: number;
+  scrollY: number;
+};
+
+export type StepFrame = {
+  path: string[];
+  url: string;
+  frameId?: number | null;
+  // Set on steps imported from a DevTools Recorder flow: its child-frame indexes and target ("main" or a frame URL).
+  recorderPath?: number[];
+  recorderTarget?: string;
+};
+
+// `rule` is the classifier rule that fired, e.g. "autocomplete:cc-number", "field-name:iban", "value:email".
+export type StepSensitivity = {
+  rule: string;
+  category: string;
+};
+
 export type StepRecord = {
   id: string;
   sessionId: string;
   stepIndex?: number;
   type: string;
+  // Editor-authored text, written back by `SAVE_SESSION`; absent on raw captures.
+  title?: string;
+  instruction?: string;
+  note?: string;
   url?: string;
   pageTitle?: string;
   at?: number;
@@ -51,14 +104,50 @@ export type StepRecord = {
   optionValue?: string | null;
   optionText?: string | null;
   checked?: boolean | null;
+  // 2 for double clicks (DevTools `doubleClick`); plain clicks omit it.
+  clickCount?: number | null;
   scrollX?: number | null;
   scrollY?: number | null;
   navigationKind?: string | null;
   fromHref?: string | null;
   target?: Record<string, unknown> | null;
-  selectors?: Record<string, unknown> | null;
+  selectors?: StepSelectors | null;
+  frame?: StepFrame | null;
+  geometry?: StepGeometry | null;
+  thumbnailRef?: string | null;
+  thumbnailSize?: { width: number; height: number } | null;
   thumbnailDataUrl?: string | null;
   annotations?: StepAnnotation[];
+  sensitive?: StepSensitivity | null;
+};
+
+export type ReplayStepStatus = "passed" | "failed" | "skipped";
+
+export type ReplayStepResult = {
+  stepId: string;
+  stepIndex: number;
+  type: string;
+  status: ReplayStepStatus;
+  errorCode: string | null;
+  strategy: string | null;
+  selector: string | null;
+  ambiguous: boolean;
+  durationMs: number;
+  screenshotRef: string | null;
+};
+
+export type ReplayState = {
+  runId: string | null;
+  status: "idle" | "running" | "passed" | "failed" | "cancelled" | "interrupted";
+  source: string | null;
+  sessionId: string | null;
+  tabId: number | null;
+  startedAt: number | null;
+  finishedAt: number | null;
+  currentIndex: number;
+  total: number;
+  errorCode: string | null;
+  results: ReplayStepResult[];
 };
 
 export type SessionPayload = {
@@ -70,6 +159,8 @@ export type SessionPayload = {
     capturedBy?: string;
     appVersion?: string;
     syncRevision?: number;
+    // Revision an upload was edited from; the backend answers REVISION_CONFLICT if the library is already past it.
+    baseRevision?: number;
   };
 };
 
@@ -91,7 +182,7 @@ export function withSessionSync(session: SessionRecord): SessionRecord {
     }
   };
 
-  const allowed: SyncStatus[] = ["local", "pending", "synced", "failed", "blocked"];
+  const allowed: SyncStatus[] = ["local", "pending", "synced", "failed", "blocked", "conflict"];
   if (!allowed.includes(merged.sync?.status as SyncStatus)) {
     merged.sync = { ...merged.sync, status: "local" };
   }
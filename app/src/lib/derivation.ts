@@ -0,0 +1,296 @@
+// Purpose: derive human-readable step titles/instructions and normalize payloads for editing and export.
+// Inputs: migrated session payloads and raw step records. Outputs: payloads whose steps carry title/instruction/note.
+// Shared by the editor (`App.jsx`) and the headless exporter (`scripts/capme.mjs`).
+type StepLike = Record<string, any>;
+
+export function normalizeText(value: unknown): string {
+  return String(value ?? "").replace(/\s+/g, " ").trim();
+}
+
+export function clampUnit(value: unknown): number {
+  const num = Number(value);
+  if (!Number.isFinite(num)) {
+    return 0;
+  }
+  return Math.min(1, Math.max(0, num));
+}
+
+function normalizeAnnotationType(value: unknown): "highlight" | "redact" {
+  return value === "redact" ? "redact" : "highlight";
+}
+
+function sanitizeLabel(value: unknown): string {
+  const text = normalizeText(value);
+  if (!text) {
+    return "";
+  }
+
+  const lower = text.toLowerCase();
+  const looksLikeAsset =
+    /^\/?assets\/.+\.(js|css|map|png|jpg|jpeg|svg|webp)(\?.*)?$/i.test(text) ||
+    /^https?:\/\/.+\/assets\/.+\.(js|css|map|png|jpg|jpeg|svg|webp)(\?.*)?$/i.test(text);
+  const noisyTag = ["svg", "path", "use", "g"].includes(lower);
+
+  if (looksLikeAsset || noisyTag) {
+    return "";
+  }
+
+  return text;
+}
+
+function humanizeIdentifier(value: unknown): string {
+  return normalizeText(
+    String(value ?? "")
+      .replace(/:nth-of-type\(\d+\)/g, " ")
+      .replace(/[#.[\]()"'`]/g, " ")
+      .replace(/[_-]+/g, " ")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .replace(/\s+/g, " ")
+  );
+}
+
+const WEAK_LABELS = new Set([
+  "a",
+  "article",
+  "aside",
+  "button",
+  "div",
+  "form",
+  "g",
+  "header",
+  "i",
+  "img",
+  "input",
+  "label",
+  "li",
+  "nav",
+  "option",
+  "p",
+  "path",
+  "section",
+  "select",
+  "span",
+  "svg",
+  "textarea",
+  "ul"
+]);
+
+function cleanCandidate(value: unknown): string {
+  const sanitized = sanitizeLabel(value);
+  if (!sanitized) {
+    return "";
+  }
+  const cleaned = humanizeIdentifier(sanitized);
+  if (!cleaned || cleaned.length < 2) {
+    return "";
+  }
+  if (/^[\d\W]+$/.test(cleaned)) {
+    return "";
+  }
+  return cleaned;
+}
+
+function isWeakLabel(value: unknown): boolean {
+  const cleaned = cleanCandidate(value);
+  if (!cleaned) {
+    return true;
+  }
+  const lower = cleaned.toLowerCase();
+  if (WEAK_LABELS.has(lower)) {
+    return true;
+  }
+  if (lower.startsWith("icon ") || lower.endsWith(" icon")) {
+    return true;
+  }
+  return false;
+}
+
+function selectorToLabel(selector: unknown): string {
+  const text = sanitizeLabel(selector);
+  if (!text) {
+    return "";
+  }
+
+  const attributeMatch = text.match(/(?:aria-label|data-testid|data-test|data-qa)=["']([^"']+)["']/i);
+  if (attributeMatch?.[1]) {
+    const candidate = cleanCandidate(attributeMatch[1]);
+    if (!isWeakLabel(candidate)) {
+      return candidate;
+    }
+  }
+
+  const segment = text.split(">").pop()?.trim() || text;
+  const idMatch = segment.match(/#([a-zA-Z0-9_-]+)/);
+  if (idMatch?.[1]) {
+    const candidate = cleanCandidate(idMatch[1]);
+    if (!isWeakLabel(candidate)) {
+      return candidate;
+    }
+  }
+
+  const classMatch = segment.match(/\.([a-zA-Z][a-zA-Z0-9_-]{2,})/);
+  if (classMatch?.[1]) {
+    const candidate = cleanCandidate(classMatch[1]);
+    if (!isWeakLabel(candidate)) {
+      return candidate;
+    }
+  }
+
+  const segmentLabel = cleanCandidate(segment);
+  if (!isWeakLabel(segmentLabel)) {
+    return segmentLabel;
+  }
+
+  return "";
+}
+
+function semanticFallback(step: StepLike): string {
+  const tag = normalizeText(step.target?.tag).toLowerCase();
+  const role = normalizeText(step.target?.role).toLowerCase();
+  const type = normalizeText(step.target?.type).toLowerCase();
+
+  if (role === "button" || tag === "button") {
+    return "button";
+  }
+  if (tag === "a") {
+    return "link";
+  }
+  if (tag === "input") {
+    return type ? `${type} input` : "input";
+  }
+  if (tag === "select") {
+    return "dropdown";
+  }
+  if (tag === "textarea") {
+    return "text area";
+  }
+  return "";
+}
+
+export function targetLabel(step: StepLike): string {
+  const candidates = [
+    step.target?.label,
+    step.selectors?.candidates?.find((candidate: { strategy?: string }) => candidate.strategy === "role")?.name,
+    step.target?.text,
+    step.target?.placeholder,
+    step.target?.id,
+    step.target?.name,
+    selectorToLabel(step.selectors?.css),
+    selectorToLabel(step.selectors?.xpath)
+  ];
+
+  for (const raw of candidates) {
+    const candidate = cleanCandidate(raw);
+    if (!isWeakLabel(candidate)) {
+      return candidate;
+    }
+  }
+
+  const semantic = cleanCandidate(semanticFallback(step));
+  if (semantic) {
+    return semantic;
+  }
+
+  return "target";
+}
+
+export function deriveTitle(step: StepLike): string {
+  const label = targetLabel(step);
+  if (step.type === "click") {
+    return `${step.clickCount === 2 ? "Double-click" : "Click"} ${label}`;
+  }
+  if (step.type === "input") {
+    return `Enter text in ${label}`;
+  }
+  if (step.type === "key") {
+    return `Press ${step.key || "key"}`;
+  }
+  if (step.type === "select") {
+    return `Select ${step.optionText || step.optionValue || "option"}`;
+  }
+  if (step.type === "toggle") {
+    return `${step.checked ? "Enable" : "Disable"} ${label}`;
+  }
+  if (step.type === "navigate") {
+    return `Open ${step.pageTitle || step.url || "page"}`;
+  }
+  if (step.type === "scroll") {
+    return "Scroll page";
+  }
+  return `Perform ${step.type || "action"}`;
+}
+
+export function deriveInstruction(step: StepLike): string {
+  const label = targetLabel(step);
+  if (step.type === "click") {
+    return `${step.clickCount === 2 ? "Double-click" : "Click"} ${label}.`;
+  }
+  if (step.type === "input") {
+    return `Type "${step.value || ""}" into ${label}.`;
+  }
+  if (step.type === "key") {
+    return `Press ${step.key || "key"} on ${label}.`;
+  }
+  if (step.type === "select") {
+    return `Select "${step.optionText || step.optionValue || "option"}" in ${label}.`;
+  }
+  if (step.type === "toggle") {
+    return `${step.checked ? "Turn on" : "Turn off"} ${label}.`;
+  }
+  if (step.type === "navigate") {
+    return `Navigate to ${step.pageTitle || step.url || "the page"}.`;
+  }
+  if (step.type === "scroll") {
+    return `Scroll to x:${step.scrollX || 0}, y:${step.scrollY || 0}.`;
+  }
+  return `Perform ${step.type || "action"} on ${label}.`;
+}
+
+export function normalizeAnnotations(raw: unknown) {
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+
+  return raw
+    .map((annotation: any, idx) => {
+      if (!annotation || typeof annotation !== "object") {
+        return null;
+      }
+      const width = clampUnit(annotation.width);
+      const height = clampUnit(annotation.height);
+      if (width < 0.01 || height < 0.01) {
+        return null;
+      }
+      return {
+        id: annotation.id || `ann_${idx + 1}`,
+        x: clampUnit(annotation.x),
+        y: clampUnit(annotation.y),
+        width,
+        height,
+        label: normalizeText(annotation.label || ""),
+        type: normalizeAnnotationType(annotation.type)
+      };
+    })
+    .filter(Boolean);
+}
+
+export function normalizePayload(raw: any) {
+  if (!raw || typeof raw !== "object" || !raw.session || !Array.isArray(raw.steps)) {
+    throw new Error("Expected payload shape: { session: {...}, steps: [...] }");
+  }
+
+  const steps = raw.steps.map((step: StepLike, idx: number) => {
+    const id = step.id || `step_${idx + 1}`;
+    return {
+      ...step,
+      id,
+      stepIndex: idx + 1,
+      title: normalizeText(step.title) || deriveTitle(step),
+      instruction: normalizeText(step.instruction) || deriveInstruction(step),
+      note: normalizeText(step.note),
+      annotations: normalizeAnnotations(step.annotations)
+    };
+  });
+
+  return { ...raw, steps };
+}
@@ -0,0 +1,216 @@
+// Purpose: render a normalized session as a Word (.docx) procedure without any server round-trip.
+// Inputs: payloads from `normalizePayload`; screenshots ideally pre-flattened by `flattenStepAnnotations`.
+// Outputs: OOXML package bytes with heading styles, numbered step titles, note callouts, and inline screenshots.
+import { escapeHtml, sessionTitle, type ExportPayload } from "./exporters";
+import { exportableScreenshot, screenshotFileName, type Screenshot, type ScreenshotOptions } from "./screenshots";
+import { createZip, type ZipEntry } from "./zip";
+
+export const DOCX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const EMU_PER_TWIP = 635;
+// A4 with 1" margins; screenshots span the text column and are capped so a step stays on one page.
+const PAGE_WIDTH_TWIPS = 11906;
+const PAGE_HEIGHT_TWIPS = 16838;
+const PAGE_MARGIN_TWIPS = 1440;
+const IMAGE_MAX_WIDTH_EMU = (PAGE_WIDTH_TWIPS - PAGE_MARGIN_TWIPS * 2) * EMU_PER_TWIP;
+const IMAGE_MAX_HEIGHT_EMU = Math.round((PAGE_HEIGHT_TWIPS - PAGE_MARGIN_TWIPS * 2) * EMU_PER_TWIP * 0.7);
+const STEP_NUMBERING_ID = 1;
+
+const NS_MAIN = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS_PKG_REL = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// XML 1.0 rejects most control characters, which can appear in captured page text.
+function xmlText(value: unknown): string {
+  return escapeHtml(String(value ?? "").replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ""));
+}
+
+function runs(text: unknown, props = ""): string {
+  const rPr = props ? `<w:rPr>${props}</w:rPr>` : "";
+  return String(text ?? "")
+    .split("\n")
+    .map((line, idx) => `<w:r>${rPr}${idx ? "<w:br/>" : ""}<w:t xml:space="preserve">${xmlText(line)}</w:t></w:r>`)
+    .join("");
+}
+
+function paragraph(content: string, options: { style?: string; keepNext?: boolean; numbered?: boolean } = {}) {
+  const pPr = [
+    options.style ? `<w:pStyle w:val="${options.style}"/>` : "",
+    options.keepNext ? "<w:keepNext/><w:keepLines/>" : "",
+    options.numbered ? `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${STEP_NUMBERING_ID}"/></w:numPr>` : ""
+  ].join("");
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ""}${content}</w:p>`;
+}
+
+function imageExtent(screenshot: Screenshot) {
+  const scale = Math.min(IMAGE_MAX_WIDTH_EMU / screenshot.width, IMAGE_MAX_HEIGHT_EMU / screenshot.height);
+  return { cx: Math.round(screenshot.width * scale), cy: Math.round(screenshot.height * scale) };
+}
+
+function inlineImage(relId: string, drawingId: number, name: string, screenshot: Screenshot): string {
+  const { cx, cy } = imageExtent(screenshot);
+  return [
+    "<w:r><w:drawing>",
+    '<wp:inline distT="0" distB="0" distL="0" distR="0">',
+    `<wp:extent cx="${cx}" cy="${cy}"/>`,
+    `<wp:docPr id="${drawingId}" name="${xmlText(name)}"/>`,
+    '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>',
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">',
+    `<pic:pic><pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${xmlText(name)}"/><pic:cNvPicPr/></pic:nvPicPr>`,
+    `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`,
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>`,
+    '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic>',
+    "</a:graphicData></a:graphic></wp:inline>",
+    "</w:drawing></w:r>"
+  ].join("");
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NS_MAIN}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1">
+    <w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="0F172A"/><w:sz w:val="40"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2">
+    <w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="320" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="1E3A8A"/><w:sz w:val="28"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="CapMeMeta">
+    <w:name w:val="Cap Me Meta"/><w:basedOn w:val="Normal"/>
+    <w:rPr><w:color w:val="64748B"/><w:sz w:val="18"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="CapMeNote">
+    <w:name w:val="Cap Me Note"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr>
+      <w:pBdr><w:left w:val="single" w:sz="24" w:space="8" w:color="F59E0B"/></w:pBdr>
+      <w:shd w:val="clear" w:color="auto" w:fill="FEF3C7"/>
+      <w:spacing w:before="60" w:after="120"/><w:ind w:left="240" w:right="240"/>
+    </w:pPr>
+    <w:rPr><w:color w:val="78350F"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="CapMeScreenshot">
+    <w:name w:val="Cap Me Screenshot"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:spacing w:before="60" w:after="240"/></w:pPr>
+  </w:style>
+</w:styles>`;
+
+const NUMBERING_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${NS_MAIN}">
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="singleLevel"/>
+    <w:lvl w:ilvl="0">
+      <w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/><w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="432" w:hanging="432"/></w:pPr>
+    </w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="${STEP_NUMBERING_ID}"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+export function buildDocx(payload: ExportPayload, options: ScreenshotOptions = {}): Uint8Array {
+  const title = sessionTitle(payload);
+  const media: Array<{ relId: string; path: string; screenshot: Screenshot }> = [];
+  const createdOn = new Date(payload.session?.startedAt || Date.now()).toLocaleDateString();
+
+  const body = [
+    paragraph(runs(title), { style: "Heading1" }),
+    paragraph(runs(`${payload.steps.length} steps • Created on ${createdOn}`), { style: "CapMeMeta" })
+  ];
+
+  payload.steps.forEach((step, idx) => {
+    const { screenshot, notice } = exportableScreenshot(step, options);
+    // Word's keep-with-next chain holds the title, text, and screenshot of a step on one page.
+    const blocks: Array<{ content: string; style?: string; numbered?: boolean }> = [
+      { content: runs(step.title || "Untitled Step"), style: "Heading2", numbered: true }
+    ];
+    if (step.instruction) {
+      blocks.push({ content: runs(step.instruction) });
+    }
+    if (step.note) {
+      blocks.push({ content: runs("Note: ", "<w:b/>") + runs(step.note), style: "CapMeNote" });
+    }
+    if (step.url) {
+      blocks.push({ content: runs(`URL: ${step.url}`), style: "CapMeMeta" });
+    }
+    if (notice) {
+      blocks.push({ content: runs(notice, "<w:i/>"), style: "CapMeMeta" });
+    }
+    if (screenshot) {
+      const relId = `rIdImage${media.length + 1}`;
+      const name = screenshotFileName(idx + 1, screenshot);
+      media.push({ relId, path: `media/${name}`, screenshot });
+      blocks.push({ content: inlineImage(relId, media.length, name, screenshot), style: "CapMeScreenshot" });
+    }
+    blocks.forEach((block, blockIdx) => {
+      body.push(paragraph(block.content, { ...block, keepNext: blockIdx < blocks.length - 1 }));
+    });
+  });
+
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${NS_MAIN}" xmlns:r="${NS_REL}" \
+xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" \
+xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" \
+xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">
+<w:body>${body.join("")}<w:sectPr><w:pgSz w:w="${PAGE_WIDTH_TWIPS}" w:h="${PAGE_HEIGHT_TWIPS}"/>\
+<w:pgMar w:top="${PAGE_MARGIN_TWIPS}" w:right="${PAGE_MARGIN_TWIPS}" w:bottom="${PAGE_MARGIN_TWIPS}" \
+w:left="${PAGE_MARGIN_TWIPS}" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+  const documentRels = [
+    `<Relationship Id="rIdStyles" Type="${NS_REL}/styles" Target="styles.xml"/>`,
+    `<Relationship Id="rIdNumbering" Type="${NS_REL}/numbering" Target="numbering.xml"/>`,
+    ...media.map((item) => `<Relationship Id="${item.relId}" Type="${NS_REL}/image" Target="${item.path}"/>`)
+  ];
+
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="jpg" ContentType="image/jpeg"/>
+  <Override PartName="/word/document.xml" \
+ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" \
+ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" \
+ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+  const coreProps = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" \
+xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <dc:title>${xmlText(title)}</dc:title>
+  <dc:creator>Cap Me Action</dc:creator>
+</cp:coreProperties>`;
+
+  const entries: ZipEntry[] = [
+    { name: "[Content_Types].xml", data: contentTypes },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS_PKG_REL}">
+  <Relationship Id="rIdDocument" Type="${NS_REL}/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rIdCore" \
+Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+    },
+    { name: "docProps/core.xml", data: coreProps },
+    { name: "word/document.xml", data: documentXml },
+    { name: "word/styles.xml", data: STYLES_XML },
+    { name: "word/numbering.xml", data: NUMBERING_XML },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS_PKG_REL}">${documentRels.join("")}</Relationships>`
+    },
+    ...media.map((item) => ({ name: `word/${item.path}`, data: item.screenshot.bytes }))
+  ];
+  return createZip(entries);
+}
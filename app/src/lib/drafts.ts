@@ -0,0 +1,171 @@
+// Purpose: persist in-progress editor drafts to IndexedDB so a closed tab or reload does not lose edits.
+// Inputs: the imported payload + the edited payload, keyed by session source and id. Outputs: stored draft records
+// and a human-readable summary of what a draft changed.
+const DRAFT_DB_NAME = "capme-editor-drafts";
+const DRAFT_DB_VERSION = 1;
+const DRAFT_STORE_NAME = "drafts";
+// Drafts are a crash net, not an archive: older ones are dropped the next time the editor opens.
+export const DRAFT_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+type StepLike = Record<string, any>;
+type PayloadLike = { session?: Record<string, any>; steps: StepLike[] };
+
+export type DraftSource = "local" | "team";
+
+export type DraftRecord<T extends PayloadLike = PayloadLike> = {
+  key: string;
+  source: DraftSource;
+  sessionId: string;
+  savedAt: number;
+  // The payload as imported, kept so the restore prompt can describe the edits and spot upstream changes.
+  original: T;
+  draft: T;
+};
+
+export function draftKey(source: DraftSource, sessionId: string): string {
+  return `${source}:${sessionId}`;
+}
+
+let draftDbPromise: Promise<IDBDatabase> | null = null;
+
+function openDraftDb(): Promise<IDBDatabase> {
+  if (draftDbPromise) {
+    return draftDbPromise;
+  }
+  draftDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("INDEXEDDB_UNAVAILABLE"));
+      return;
+    }
+    const request = indexedDB.open(DRAFT_DB_NAME, DRAFT_DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(DRAFT_STORE_NAME)) {
+        request.result.createObjectStore(DRAFT_STORE_NAME, { keyPath: "key" });
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        draftDbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error ?? new Error("INDEXEDDB_OPEN_FAILED"));
+  });
+  draftDbPromise.catch(() => {
+    draftDbPromise = null;
+  });
+  return draftDbPromise;
+}
+
+async function runDraftTransaction<R>(mode: IDBTransactionMode, work: (store: IDBObjectStore) => IDBRequest<R> | void) {
+  const db = await openDraftDb();
+  return new Promise<R | undefined>((resolve, reject) => {
+    const tx = db.transaction(DRAFT_STORE_NAME, mode);
+    const request = work(tx.objectStore(DRAFT_STORE_NAME));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error ?? new Error("DRAFT_TX_FAILED"));
+    tx.onabort = () => reject(tx.error ?? new Error("DRAFT_TX_ABORTED"));
+  });
+}
+
+// Screenshots are not stored: redactions drawn in the editor are only overlays on them, and they would outlive
+// sessions the extension has pruned. `reattachDraftThumbnails` brings them back on restore.
+function withoutThumbnails<T extends PayloadLike>(payload: T): T {
+  return { ...payload, steps: payload.steps.map((step) => ({ ...step, thumbnailDataUrl: null })) };
+}
+
+export function isDraftExpired(record: Pick<DraftRecord, "savedAt">, now = Date.now()): boolean {
+  return !(now - Number(record.savedAt) <= DRAFT_MAX_AGE_MS);
+}
+
+export async function saveDraft<T extends PayloadLike>(record: DraftRecord<T>): Promise<void> {
+  const stored = { ...record, original: withoutThumbnails(record.original), draft: withoutThumbnails(record.draft) };
+  await runDraftTransaction("readwrite", (store) => {
+    store.put(stored);
+  });
+}
+
+export async function loadDraft<T extends PayloadLike>(key: string): Promise<DraftRecord<T> | null> {
+  const record = await runDraftTransaction<DraftRecord<T>>("readonly", (store) => store.get(key));
+  return record?.draft?.steps && !isDraftExpired(record) ? record : null;
+}
+
+// Deletes expired drafts plus any the caller reports stale (e.g. its session no longer exists).
+export async function expireDrafts(isStale: (record: DraftRecord) => boolean = () => false): Promise<void> {
+  const now = Date.now();
+  await runDraftTransaction("readwrite", (store) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        return;
+      }
+      if (isDraftExpired(cursor.value, now) || isStale(cursor.value)) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+  });
+}
+
+// Screenshots come from the freshly loaded session when the step and its `thumbnailRef` still match; the rest are left
+// for the caller to resolve by `thumbnailRef`.
+export function reattachDraftThumbnails<T extends PayloadLike>(draft: T, loaded: PayloadLike): T {
+  const loadedById = new Map(loaded.steps.map((step) => [step.id, step]));
+  return {
+    ...draft,
+    steps: draft.steps.map((step) => {
+      const match = loadedById.get(step.id);
+      const thumbnailDataUrl =
+        match && (match.thumbnailRef ?? null) === (step.thumbnailRef ?? null) ? match.thumbnailDataUrl ?? null : null;
+      return { ...step, thumbnailDataUrl };
+    })
+  };
+}
+
+export async function deleteDraft(key: string): Promise<void> {
+  await runDraftTransaction("readwrite", (store) => {
+    store.delete(key);
+  });
+}
+
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+// Steps are matched by id; merges show up as a removed step plus edits on the step it was merged into.
+export function summarizeDraftChanges(original: PayloadLike, draft: PayloadLike): string[] {
+  const before = new Map(original.steps.map((step) => [step.id, step]));
+  const after = new Map(draft.steps.map((step) => [step.id, step]));
+  const kept = draft.steps.filter((step) => before.has(step.id));
+  const edited = { title: 0, instruction: 0, note: 0 };
+  let annotated = 0;
+  kept.forEach((step) => {
+    const source = before.get(step.id) as StepLike;
+    (Object.keys(edited) as (keyof typeof edited)[]).forEach((field) => {
+      if ((source[field] ?? "") !== (step[field] ?? "")) {
+        edited[field] += 1;
+      }
+    });
+    if (JSON.stringify(source.annotations ?? []) !== JSON.stringify(step.annotations ?? [])) {
+      annotated += 1;
+    }
+  });
+
+  const removed = original.steps.filter((step) => !after.has(step.id)).length;
+  const added = draft.steps.length - kept.length;
+  const originalOrder = original.steps.filter((step) => after.has(step.id)).map((step) => step.id);
+  const reordered = kept.some((step, idx) => step.id !== originalOrder[idx]);
+
+  return [
+    edited.title ? `${plural(edited.title, "title")} edited` : "",
+    edited.instruction ? `${plural(edited.instruction, "instruction")} edited` : "",
+    edited.note ? `${plural(edited.note, "note")} edited` : "",
+    annotated ? `Annotations changed on ${plural(annotated, "step")}` : "",
+    removed ? `${plural(removed, "step")} deleted or merged` : "",
+    added ? `${plural(added, "step")} added` : "",
+    reordered ? "Steps reordered" : ""
+  ].filter(Boolean);
+}
@@ -0,0 +1,695 @@
+// Purpose: render normalized session payloads into shareable documents and automation scripts.
+// Inputs: payloads from `normalizePayload` (steps carry title/instruction/note). Outputs: file contents per format.
+// Shared by the editor export actions and the headless exporter (`scripts/capme.mjs`).
+import { jsPDF } from "jspdf";
+import { exportableScreenshot, type ScreenshotOptions } from "./screenshots";
+
+type StepLike = Record<string, any>;
+export type ExportPayload = { session: StepLike; steps: StepLike[]; meta?: StepLike };
+
+export function asMarkdown(payload: ExportPayload): string {
+  const sessionTitle = payload.session?.lastTitle || payload.session?.startTitle || payload.session?.id || "Procedure";
+  const header = [`# ${sessionTitle}`, "", `Generated: ${new Date().toLocaleString()}`, ""];
+  const body = payload.steps.flatMap((step) => {
+    const lines = [`## ${step.stepIndex}. ${step.title}`, step.instruction || ""];
+    if (step.note) {
+      lines.push(`Note: ${step.note}`);
+    }
+    if (step.url) {
+      lines.push(`URL: ${step.url}`);
+    }
+    if (Array.isArray(step.annotations) && step.annotations.length) {
+      const highlights = step.annotations
+        .filter((ann) => ann?.type !== "redact")
+        .map((ann, idx) => ann.label || `Highlight ${idx + 1}`)
+        .join(", ");
+      const redactionCount = step.annotations.filter((ann) => ann?.type === "redact").length;
+      if (highlights) {
+        lines.push(`Highlights: ${highlights}`);
+      }
+      if (redactionCount > 0) {
+        lines.push(`Redactions: ${redactionCount}`);
+      }
+    }
+    lines.push("");
+    return lines;
+  });
+  return [...header, ...body].join("\n");
+}
+
+export function escapeHtml(value: unknown): string {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function asHtml(payload: ExportPayload): string {
+  const sessionTitle = payload.session?.lastTitle || payload.session?.startTitle || payload.session?.id || "Procedure";
+  const lines = payload.steps
+    .map((step) => {
+      const note = step.note ? `<p class="note"><strong>Note:</strong> ${escapeHtml(step.note)}</p>` : "";
+      const url = step.url ? `<p class="url"><strong>URL:</strong> ${escapeHtml(step.url)}</p>` : "";
+      const screenshot =
+        step.thumbnailDataUrl && typeof step.thumbnailDataUrl === "string"
+          ? `<figure class="shot">
+              <div class="shot-frame">
+                <img src="${escapeHtml(step.thumbnailDataUrl)}" alt="Step ${step.stepIndex} screenshot" />
+                ${(Array.isArray(step.annotations) ? step.annotations : [])
+                  .map((ann, idx) => {
+                    const x = Math.min(1, Math.max(0, Number(ann?.x) || 0));
+                    const y = Math.min(1, Math.max(0, Number(ann?.y) || 0));
+                    const width = Math.min(1, Math.max(0.01, Number(ann?.width) || 0.01));
+                    const height = Math.min(1, Math.max(0.01, Number(ann?.height) || 0.01));
+                    const annotationType = ann?.type === "redact" ? "redact" : "highlight";
+                    const label = escapeHtml(
+                      ann?.label || (annotationType === "redact" ? `Redaction ${idx + 1}` : `Highlight ${idx + 1}`)
+                    );
+                    const className =
+                      annotationType === "redact"
+                        ? "shot-highlight shot-redaction"
+                        : "shot-highlight";
+                    return `<div class="${className}" style="left:${(x * 100).toFixed(3)}%;top:${(y * 100).toFixed(3)}%;width:${(width * 100).toFixed(3)}%;height:${(height * 100).toFixed(3)}%;">
+                        ${annotationType === "redact" ? "" : `<span class="shot-highlight-label">${label}</span>`}
+                      </div>`;
+                  })
+                  .join("")}
+              </div>
+            </figure>`
+          : "";
+      const annotationList = Array.isArray(step.annotations) ? step.annotations : [];
+      const highlightLabels = annotationList
+        .filter((ann) => ann?.type !== "redact")
+        .map((ann, idx) => ann.label || `Highlight ${idx + 1}`);
+      const redactionCount = annotationList.filter((ann) => ann?.type === "redact").length;
+      const highlights = highlightLabels.length
+        ? `<p class="note"><strong>Highlights:</strong> ${escapeHtml(highlightLabels.join(", "))}</p>`
+        : "";
+      const redactions = redactionCount
+        ? `<p class="note"><strong>Redactions:</strong> ${redactionCount}</p>`
+        : "";
+      return `
+        <section class="step">
+          <h2>${step.stepIndex}. ${escapeHtml(step.title)}</h2>
+          <p>${escapeHtml(step.instruction || "")}</p>
+          ${screenshot}
+          ${note}
+          ${url}
+          ${highlights}
+          ${redactions}
+        </section>`;
+    })
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${sessionTitle}</title>
+    <style>
+      body { font-family: "Segoe UI", sans-serif; max-width: 920px; margin: 24px auto; padding: 0 16px; color: #0f172a; }
+      h1 { margin-bottom: 6px; }
+      .meta { color: #475569; margin-top: 0; }
+      .step { border: 1px solid #dbe4f0; border-radius: 10px; padding: 12px 14px; margin: 12px 0; background: #f8fafc; }
+      .step h2 { margin: 0 0 6px; font-size: 18px; }
+      .step p { margin: 0 0 8px; line-height: 1.45; }
+      .note, .url { color: #334155; font-size: 14px; }
+      .shot { margin: 10px 0 12px; }
+      .shot-frame { position: relative; border: 1px solid #cbd5e1; border-radius: 8px; overflow: hidden; background: #fff; }
+      .shot-frame img { display: block; width: 100%; height: auto; }
+      .shot-highlight { position: absolute; border: 2px solid #2563eb; background: rgba(37, 99, 235, 0.16); box-sizing: border-box; }
+      .shot-redaction { border: none; background: rgba(15, 23, 42, 0.86); backdrop-filter: blur(2px); }
+      .shot-highlight-label { position: absolute; left: 0; top: 0; transform: translateY(-100%); background: #2563eb; color: #fff; font-size: 11px; line-height: 1; padding: 4px 6px; border-radius: 6px 6px 6px 0; white-space: nowrap; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(sessionTitle)}</h1>
+    <p class="meta">Generated ${new Date().toLocaleString()}</p>
+    ${lines}
+  </body>
+</html>`;
+}
+
+function isMaskedStepValue(step: StepLike, field: string): boolean {
+  return Boolean(step.sensitive) || step[field] === "[REDACTED]";
+}
+
+function isTypedCharacterStep(step: StepLike): boolean {
+  const modifiers = step.modifiers ?? {};
+  return !step.key || (step.key.length === 1 && !modifiers.ctrl && !modifiers.meta && !modifiers.alt);
+}
+
+function followsInteraction(previousStep: StepLike | undefined): boolean {
+  return Boolean(previousStep) && ["click", "key", "select", "toggle"].includes(previousStep?.type);
+}
+
+const PLAYWRIGHT_LOCATOR_PREFERENCE = ["role", "text", "testid", "label", "structural"];
+const PLAYWRIGHT_MODIFIER_KEYS: Array<[string, string]> = [
+  ["ctrl", "Control"],
+  ["meta", "Meta"],
+  ["alt", "Alt"],
+  ["shift", "Shift"]
+];
+
+function jsString(value: unknown): string {
+  return JSON.stringify(String(value ?? ""));
+}
+
+// Playwright css pierces open shadow roots, so the recorder's ` >>> ` host chain becomes a plain descendant.
+function toPlaywrightCss(selector: unknown): string {
+  return String(selector ?? "").split(" >>> ").join(" ");
+}
+
+function playwrightCandidateLocator(candidate: StepLike): string {
+  if (candidate.strategy === "role" && candidate.role && candidate.name) {
+    return `getByRole(${jsString(candidate.role)}, { name: ${jsString(candidate.name)}, exact: true })`;
+  }
+  if (candidate.strategy === "text" && candidate.text) {
+    return `getByText(${jsString(candidate.text)}, { exact: true })`;
+  }
+  if (candidate.strategy === "testid" && candidate.value) {
+    return candidate.attribute === "data-testid"
+      ? `getByTestId(${jsString(candidate.value)})`
+      : `locator(${jsString(`[${candidate.attribute}=${JSON.stringify(candidate.value)}]`)})`;
+  }
+  if (candidate.strategy === "label" && candidate.label) {
+    return `getByLabel(${jsString(candidate.label)}, { exact: true })`;
+  }
+  if (candidate.strategy === "structural" && candidate.selector) {
+    return `locator(${jsString(toPlaywrightCss(candidate.selector))})`;
+  }
+  return "";
+}
+
+// Role/text locators win when the recorder saw an explicit role and label; otherwise the best unique candidate.
+function playwrightLocator(step: StepLike): string {
+  const frames: string[] = Array.isArray(step.frame?.path) ? step.frame.path : [];
+  const root = ["page", ...frames.map((selector) => `frameLocator(${jsString(toPlaywrightCss(selector))})`)].join(".");
+  const target = step.target ?? {};
+  if (target.role && target.label) {
+    return `${root}.getByRole(${jsString(target.role)}, { name: ${jsString(target.label)}, exact: true })`;
+  }
+
+  const candidates: StepLike[] = Array.isArray(step.selectors?.candidates) ? step.selectors.candidates : [];
+  const ranked = PLAYWRIGHT_LOCATOR_PREFERENCE.flatMap((strategy) =>
+    candidates.filter((candidate) => candidate?.unique && candidate.strategy === strategy)
+  );
+  for (const candidate of ranked) {
+    const locator = playwrightCandidateLocator(candidate);
+    if (locator) {
+      return `${root}.${locator}`;
+    }
+  }
+  if (step.selectors?.css) {
+    return `${root}.locator(${jsString(toPlaywrightCss(step.selectors.css))})`;
+  }
+  if (step.selectors?.xpath) {
+    return `${root}.locator(${jsString(`xpath=${step.selectors.xpath}`)})`;
+  }
+  return "";
+}
+
+function playwrightKeyCombo(step: StepLike): string {
+  const modifiers = step.modifiers ?? {};
+  const held = PLAYWRIGHT_MODIFIER_KEYS.filter(([flag]) => modifiers[flag]).map(([, name]) => name);
+  return [...held, step.key === " " ? "Space" : step.key].join("+");
+}
+
+// Masked values are read from the environment so secrets never land in the generated file.
+function playwrightValue(step: StepLike, field: string): string {
+  if (isMaskedStepValue(step, field)) {
+    return `process.env.CAPME_STEP_${step.stepIndex}_VALUE ?? ""`;
+  }
+  return jsString(step[field]);
+}
+
+function playwrightStepLines(step: StepLike, previousStep: StepLike | undefined): string[] {
+  const locator = playwrightLocator(step);
+  const needsLocator = ["click", "input", "select", "toggle", "key"].includes(step.type);
+  if (needsLocator && !locator) {
+    return [`// No selector was recorded for this ${step.type} step.`];
+  }
+
+  if (step.type === "click") {
+    return [`await ${locator}.${step.clickCount === 2 ? "dblclick" : "click"}();`];
+  }
+  if (step.type === "input") {
+    return [`await ${locator}.fill(${playwrightValue(step, "value")});`];
+  }
+  if (step.type === "select") {
+    return [`await ${locator}.selectOption(${playwrightValue(step, "optionValue")});`];
+  }
+  if (step.type === "toggle") {
+    return [`await ${locator}.${step.checked === false ? "uncheck" : "check"}();`];
+  }
+  if (step.type === "key") {
+    // Plain typed characters are covered by the `fill` of the input step that follows them.
+    if (isTypedCharacterStep(step)) {
+      return [];
+    }
+    return [`await ${locator}.press(${jsString(playwrightKeyCombo(step))});`];
+  }
+  if (step.type === "navigate" && step.url) {
+    // A navigation right after an interaction was caused by it; anything else is a direct visit.
+    const call = followsInteraction(previousStep) ? "waitForURL" : "goto";
+    return [`await page.${call}(${jsString(step.url)});`];
+  }
+  return [];
+}
+
+// Step blocks are separated by one blank line, with none after the last so the closing brace follows directly.
+function indentBlocks(blocks: string[][], indent: string): string[] {
+  return blocks.flatMap((block, idx) => [...(idx > 0 ? [""] : []), ...block.map((line) => `${indent}${line}`)]);
+}
+
+export function asPlaywright(payload: ExportPayload): string {
+  const sessionTitle = payload.session?.lastTitle || payload.session?.startTitle || payload.session?.id || "Procedure";
+  const startUrl = payload.session?.startUrl || payload.steps.find((step) => step.url)?.url || "";
+  const blocks: string[][] = startUrl ? [[`await page.goto(${jsString(startUrl)});`]] : [];
+  payload.steps.forEach((step, idx) => {
+    const isStartVisit = idx === 0 && step.type === "navigate" && step.url === startUrl;
+    const lines = isStartVisit ? [] : playwrightStepLines(step, payload.steps[idx - 1]);
+    if (lines.length) {
+      blocks.push([`// ${step.stepIndex}. ${String(step.title ?? "").replace(/\s+/g, " ")}`, ...lines]);
+    }
+  });
+
+  return [
+    'import { test } from "@playwright/test";',
+    "",
+    `// Generated by Cap Me Action from session ${payload.session?.id || "unknown"} on ${new Date().toISOString()}.`,
+    "",
+    `test(${jsString(sessionTitle)}, async ({ page }) => {`,
+    ...indentBlocks(blocks, "  "),
+    "});",
+    ""
+  ].join("\n");
+}
+
+const CYPRESS_KEY_NAMES: Record<string, string> = {
+  Enter: "enter",
+  Escape: "esc",
+  Backspace: "backspace",
+  Delete: "del",
+  ArrowUp: "uparrow",
+  ArrowDown: "downarrow",
+  ArrowLeft: "leftarrow",
+  ArrowRight: "rightarrow",
+  Home: "home",
+  End: "end",
+  PageUp: "pageup",
+  PageDown: "pagedown",
+  " ": " "
+};
+const SIDE_KEY_NAMES: Record<string, string> = {
+  Enter: "${KEY_ENTER}",
+  Escape: "${KEY_ESC}",
+  Tab: "${KEY_TAB}",
+  Backspace: "${KEY_BACKSPACE}",
+  Delete: "${KEY_DELETE}",
+  ArrowUp: "${KEY_UP}",
+  ArrowDown: "${KEY_DOWN}",
+  ArrowLeft: "${KEY_LEFT}",
+  ArrowRight: "${KEY_RIGHT}",
+  Home: "${KEY_HOME}",
+  End: "${KEY_END}",
+  PageUp: "${KEY_PAGE_UP}",
+  PageDown: "${KEY_PAGE_DOWN}"
+};
+
+// Cypress prefers data-* attributes, then the recorded css path, then visible text.
+function cypressSubject(step: StepLike): string {
+  const candidates: StepLike[] = Array.isArray(step.selectors?.candidates) ? step.selectors.candidates : [];
+  const isUnique = (candidate: StepLike, strategy: string) => candidate?.unique && candidate.strategy === strategy;
+  const testId = candidates.find((candidate) => isUnique(candidate, "testid") && candidate.value);
+  const css = testId ? testId.selector : step.selectors?.css;
+  const frames: string[] = Array.isArray(step.frame?.path) ? step.frame.path : [];
+  let chain = "cy";
+  frames.forEach((selector, idx) => {
+    const getter = idx === 0 ? "get" : "find";
+    chain += `.${getter}(${jsString(selector)}).its("0.contentDocument.body").then(cy.wrap)`;
+  });
+  const getter = (idx: number) => (idx === 0 && !frames.length ? "get" : "find");
+
+  if (css) {
+    // Each ` >>> ` hop enters the previous element's shadow root.
+    const parts = String(css).split(" >>> ");
+    parts.forEach((part, idx) => {
+      chain += `${idx > 0 ? ".shadow()" : ""}.${getter(idx)}(${jsString(part)})`;
+    });
+    return chain;
+  }
+  const text = candidates.find((candidate) => isUnique(candidate, "text") && candidate.text);
+  if (text) {
+    return `${chain}.contains(${jsString(text.tag)}, ${jsString(text.text)})`;
+  }
+  return "";
+}
+
+// `.type()` treats `{` as the start of a special key sequence.
+function cypressTypeText(value: unknown): string {
+  return jsString(String(value ?? "").replace(/\{/g, "{{}"));
+}
+
+function cypressKeySequence(step: StepLike): string {
+  const modifiers = step.modifiers ?? {};
+  const key = CYPRESS_KEY_NAMES[step.key] ?? (step.key.length === 1 ? step.key.replace("{", "{{}") : "");
+  if (!key) {
+    return "";
+  }
+  const held = ["ctrl", "meta", "alt", "shift"].filter((flag) => modifiers[flag]).map((flag) => `{${flag}}`);
+  const wrapped = CYPRESS_KEY_NAMES[step.key] && key !== " " ? `{${key}}` : key;
+  return [...held, wrapped].join("");
+}
+
+function cypressStepLines(step: StepLike, previousStep: StepLike | undefined): string[] {
+  if (step.type === "navigate" && step.url) {
+    return followsInteraction(previousStep)
+      ? [`cy.location("href").should("eq", ${jsString(step.url)});`]
+      : [`cy.visit(${jsString(step.url)});`];
+  }
+  if (!["click", "input", "select", "toggle", "key"].includes(step.type)) {
+    return [];
+  }
+  if (step.type === "key" && isTypedCharacterStep(step)) {
+    return [];
+  }
+  const subject = cypressSubject(step);
+  if (!subject) {
+    return [`// No selector was recorded for this ${step.type} step.`];
+  }
+
+  if (step.type === "click") {
+    return [`${subject}.${step.clickCount === 2 ? "dblclick" : "click"}();`];
+  }
+  if (step.type === "input") {
+    if (isMaskedStepValue(step, "value")) {
+      return [`${subject}.clear().type(Cypress.env("CAPME_STEP_${step.stepIndex}_VALUE"), { log: false });`];
+    }
+    return [step.value ? `${subject}.clear().type(${cypressTypeText(step.value)});` : `${subject}.clear();`];
+  }
+  if (step.type === "select") {
+    const option = isMaskedStepValue(step, "optionValue")
+      ? `Cypress.env("CAPME_STEP_${step.stepIndex}_VALUE")`
+      : jsString(step.optionValue ?? step.optionText);
+    return [`${subject}.select(${option});`];
+  }
+  if (step.type === "toggle") {
+    return [`${subject}.${step.checked === false ? "uncheck" : "check"}();`];
+  }
+  const sequence = cypressKeySequence(step);
+  return sequence ? [`${subject}.type(${jsString(sequence)});`] : [`// Key "${step.key}" has no Cypress equivalent.`];
+}
+
+export function asCypress(payload: ExportPayload): string {
+  const sessionTitle = payload.session?.lastTitle || payload.session?.startTitle || payload.session?.id || "Procedure";
+  const startUrl = payload.session?.startUrl || payload.steps.find((step) => step.url)?.url || "";
+  const blocks: string[][] = startUrl ? [[`cy.visit(${jsString(startUrl)});`]] : [];
+  payload.steps.forEach((step, idx) => {
+    const isStartVisit = idx === 0 && step.type === "navigate" && step.url === startUrl;
+    const lines = isStartVisit ? [] : cypressStepLines(step, payload.steps[idx - 1]);
+    if (lines.length) {
+      blocks.push([`// ${step.stepIndex}. ${String(step.title ?? "").replace(/\s+/g, " ")}`, ...lines]);
+    }
+  });
+
+  return [
+    `// Generated by Cap Me Action from session ${payload.session?.id || "unknown"} on ${new Date().toISOString()}.`,
+    `describe(${jsString(sessionTitle)}, () => {`,
+    `  it("replays the recorded steps", () => {`,
+    ...indentBlocks(blocks, "    "),
+    "  });",
+    "});",
+    ""
+  ].join("\n");
+}
+
+function makeSideId(): string {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2, 10)}`;
+}
+
+function sideCommand(command: string, target = "", value = "", targets: string[][] = [], comment = "") {
+  return { id: makeSideId(), comment, command, target, targets, value };
+}
+
+// Selenium IDE locators cannot cross shadow roots; chains keep only the innermost part and are flagged in comments.
+function sideTargets(step: StepLike): string[][] {
+  const targets = [];
+  const css = String(step.selectors?.css ?? "");
+  if (css) {
+    targets.push([`css=${css.split(" >>> ").pop()}`, "css:finder"]);
+  }
+  if (step.selectors?.xpath) {
+    targets.push([`xpath=${step.selectors.xpath}`, "xpath:position"]);
+  }
+  return targets;
+}
+
+function sideStepCommands(step: StepLike, previousStep: StepLike | undefined, baseUrl: string) {
+  const title = String(step.title ?? "").replace(/\s+/g, " ");
+  if (step.type === "navigate" && step.url) {
+    if (followsInteraction(previousStep)) {
+      return [];
+    }
+    const target = step.url.startsWith(baseUrl) ? step.url.slice(baseUrl.length) || "/" : step.url;
+    return [sideCommand("open", target, "", [], title)];
+  }
+  if (!["click", "input", "select", "toggle", "key"].includes(step.type)) {
+    return [];
+  }
+  // sendKeys has no modifier syntax, so chords like Ctrl+Enter are left out rather than replayed without the modifier.
+  const modifiers = step.modifiers ?? {};
+  const isChord = Boolean(modifiers.ctrl || modifiers.meta || modifiers.alt);
+  if (step.type === "key" && (isTypedCharacterStep(step) || isChord || !SIDE_KEY_NAMES[step.key])) {
+    return [];
+  }
+  const targets = sideTargets(step);
+  if (!targets.length) {
+    return [];
+  }
+  const [target] = targets[0];
+  const comment = String(step.selectors?.css ?? "").includes(" >>> ") ? `${title} (inside shadow DOM)` : title;
+  const frames: string[] = Array.isArray(step.frame?.path) ? step.frame.path : [];
+  const commands = frames.map((selector) => sideCommand("selectFrame", `css=${selector}`));
+  const maskedValue = "${CAPME_STEP_" + step.stepIndex + "_VALUE}";
+
+  if (step.type === "click") {
+    commands.push(sideCommand(step.clickCount === 2 ? "doubleClick" : "click", target, "", targets, comment));
+  } else if (step.type === "input") {
+    const value = isMaskedStepValue(step, "value") ? maskedValue : String(step.value ?? "");
+    commands.push(sideCommand("type", target, value, targets, comment));
+  } else if (step.type === "select") {
+    const value = isMaskedStepValue(step, "optionValue")
+      ? `value=${maskedValue}`
+      : step.optionText
+        ? `label=${step.optionText}`
+        : `value=${step.optionValue ?? ""}`;
+    commands.push(sideCommand("select", target, value, targets, comment));
+  } else if (step.type === "toggle") {
+    commands.push(sideCommand(step.checked === false ? "uncheck" : "check", target, "", targets, comment));
+  } else {
+    commands.push(sideCommand("sendKeys", target, SIDE_KEY_NAMES[step.key], targets, comment));
+  }
+  if (frames.length) {
+    commands.push(sideCommand("selectFrame", "relative=top"));
+  }
+  return commands;
+}
+
+export function asSeleniumSide(payload: ExportPayload) {
+  const sessionTitle = payload.session?.lastTitle || payload.session?.startTitle || payload.session?.id || "Procedure";
+  const startUrl = payload.session?.startUrl || payload.steps.find((step) => step.url)?.url || "";
+  let baseUrl = "";
+  try {
+    baseUrl = new URL(startUrl).origin;
+  } catch {
+    baseUrl = "";
+  }
+
+  const commands = [];
+  const viewport = payload.steps.find((step) => step.geometry?.viewport)?.geometry.viewport;
+  if (viewport?.width && viewport?.height) {
+    commands.push(sideCommand("setWindowSize", `${viewport.width}x${viewport.height}`));
+  }
+  if (startUrl) {
+    commands.push(sideCommand("open", startUrl.slice(baseUrl.length) || "/"));
+  }
+  payload.steps.forEach((step, idx) => {
+    const isStartVisit = idx === 0 && step.type === "navigate" && step.url === startUrl;
+    if (!isStartVisit) {
+      commands.push(...sideStepCommands(step, payload.steps[idx - 1], baseUrl));
+    }
+  });
+
+  const testId = makeSideId();
+  return {
+    id: makeSideId(),
+    version: "2.0",
+    name: sessionTitle,
+    url: baseUrl,
+    tests: [{ id: testId, name: sessionTitle, commands }],
+    suites: [
+      { id: makeSideId(), name: "Cap Me Action", persistSession: false, parallel: false, timeout: 300, tests: [testId] }
+    ],
+    urls: baseUrl ? [baseUrl] : [],
+    plugins: []
+  };
+}
+
+export function sessionTitle(payload: ExportPayload): string {
+  return payload.session?.lastTitle || payload.session?.startTitle || "Cap Me Action Export";
+}
+
+const PDF_MARGIN = 14;
+const PDF_TOP = 20;
+const PDF_STEP_GAP = 10;
+const PDF_IMAGE_GAP = 4;
+const PDF_HIGHLIGHT_RGB: [number, number, number] = [37, 99, 235];
+const PDF_REDACTION_RGB: [number, number, number] = [17, 24, 39];
+
+function drawPdfAnnotations(doc: jsPDF, annotations: StepLike[], x: number, y: number, width: number, height: number) {
+  annotations.forEach((ann, idx) => {
+    const left = x + ann.x * width;
+    const top = y + ann.y * height;
+    const boxWidth = Math.min(ann.width, 1 - ann.x) * width;
+    const boxHeight = Math.min(ann.height, 1 - ann.y) * height;
+    if (ann.type === "redact") {
+      doc.setFillColor(...PDF_REDACTION_RGB);
+      doc.rect(left, top, boxWidth, boxHeight, "F");
+      return;
+    }
+
+    doc.setDrawColor(...PDF_HIGHLIGHT_RGB);
+    doc.setLineWidth(0.6);
+    doc.rect(left, top, boxWidth, boxHeight, "S");
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(7);
+    const maxLabelWidth = Math.max(x + width - left - 3, 4);
+    const label = doc.splitTextToSize(ann.label || `Highlight ${idx + 1}`, maxLabelWidth)[0] ?? "";
+    const labelWidth = doc.getTextWidth(label) + 3;
+    const labelHeight = 4;
+    // Labels sit above the box like the HTML export, dropping inside when the box touches the image top.
+    const labelTop = top - labelHeight >= y ? top - labelHeight : top;
+    doc.setFillColor(...PDF_HIGHLIGHT_RGB);
+    doc.rect(left, labelTop, Math.min(labelWidth, x + width - left), labelHeight, "F");
+    doc.setTextColor(255);
+    doc.text(label, left + 1.5, labelTop + 2.9);
+    doc.setTextColor(0);
+  });
+}
+
+export function buildPdfDocument(payload: ExportPayload, options: ScreenshotOptions = {}): jsPDF {
+  const doc = new jsPDF();
+  const title = sessionTitle(payload);
+
+  // Title
+  doc.setFontSize(24);
+  doc.text(title, PDF_MARGIN, 20);
+
+  // Metadata
+  doc.setFontSize(10);
+  doc.setTextColor(100);
+  const createdOn = new Date(payload.session?.startedAt || Date.now()).toLocaleDateString();
+  doc.text(`${payload.steps.length} steps • Created on ${createdOn}`, PDF_MARGIN, 30);
+
+  // Reset text color
+  doc.setTextColor(0);
+
+  let yPos = 45;
+  const pageWidth = doc.internal.pageSize.width;
+  const pageBottom = doc.internal.pageSize.height - PDF_MARGIN;
+  const contentWidth = pageWidth - PDF_MARGIN * 2;
+
+  payload.steps.forEach((step) => {
+    // Measure the whole step first so a page break never separates its title, text, and screenshot.
+    doc.setFontSize(14);
+    doc.setFont("helvetica", "bold");
+    const titleLines = doc.splitTextToSize(`${step.stepIndex}. ${step.title || "Untitled Step"}`, contentWidth);
+    doc.setFontSize(11);
+    doc.setFont("helvetica", "normal");
+    const instructionLines = step.instruction ? doc.splitTextToSize(step.instruction, contentWidth) : [];
+    doc.setFontSize(10);
+    const noteLines = step.note ? doc.splitTextToSize(step.note, contentWidth - 10) : [];
+    const { screenshot, notice } = exportableScreenshot(step, options);
+    const image = screenshot && { ...screenshot, aspect: screenshot.height / screenshot.width };
+
+    const textHeight =
+      titleLines.length * 7 +
+      2 +
+      (instructionLines.length ? instructionLines.length * 6 + 4 : 0) +
+      (noteLines.length ? noteLines.length * 5 + 4 : 0) +
+      (notice ? 9 : 0);
+    let imageWidth = contentWidth;
+    let imageHeight = image ? contentWidth * image.aspect : 0;
+    // Screenshots fill the page width unless that would push the step past a full page.
+    const maxImageHeight = pageBottom - PDF_TOP - textHeight - PDF_IMAGE_GAP;
+    if (image && imageHeight > maxImageHeight) {
+      imageHeight = Math.max(maxImageHeight, 20);
+      imageWidth = imageHeight / image.aspect;
+    }
+    const blockHeight = textHeight + (image ? imageHeight + PDF_IMAGE_GAP : 0);
+    if (yPos + blockHeight > pageBottom && yPos > PDF_TOP) {
+      doc.addPage();
+      yPos = PDF_TOP;
+    }
+
+    // Step number and title
+    doc.setFontSize(14);
+    doc.setFont("helvetica", "bold");
+    doc.text(titleLines, PDF_MARGIN, yPos);
+    yPos += titleLines.length * 7 + 2;
+
+    // Step instruction
+    doc.setFontSize(11);
+    doc.setFont("helvetica", "normal");
+    if (instructionLines.length) {
+      doc.text(instructionLines, PDF_MARGIN, yPos);
+      yPos += instructionLines.length * 6 + 4;
+    }
+
+    // Step note
+    if (noteLines.length) {
+      doc.setFontSize(10);
+      doc.setTextColor(100);
+      doc.text(noteLines, PDF_MARGIN + 5, yPos);
+      doc.setTextColor(0);
+      yPos += noteLines.length * 5 + 4;
+    }
+
+    if (notice) {
+      doc.setFontSize(9);
+      doc.setFont("helvetica", "italic");
+      doc.setTextColor(100);
+      doc.text(notice, PDF_MARGIN, yPos);
+      doc.setTextColor(0);
+      yPos += 9;
+    }
+
+    if (image) {
+      // Captions sit at the text baseline; nudge the image up so it hugs the text above it.
+      const imageTop = yPos - 4;
+      const format = image.extension === "png" ? "PNG" : "JPEG";
+      doc.addImage(image.dataUrl, format, PDF_MARGIN, imageTop, imageWidth, imageHeight);
+      doc.setDrawColor(203, 213, 225);
+      doc.setLineWidth(0.2);
+      doc.rect(PDF_MARGIN, imageTop, imageWidth, imageHeight, "S");
+      drawPdfAnnotations(doc, step.annotations ?? [], PDF_MARGIN, imageTop, imageWidth, imageHeight);
+      yPos = imageTop + imageHeight + PDF_IMAGE_GAP + 4;
+    }
+
+    yPos += PDF_STEP_GAP;
+  });
+
+  return doc;
+}
+
+export function documentFileName(payload: ExportPayload, extension: string): string {
+  return `${sessionTitle(payload).toLowerCase().replace(/[^a-z0-9]+/g, "-")}.${extension}`;
+}
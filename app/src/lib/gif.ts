@@ -0,0 +1,175 @@
+// Purpose: encode RGBA frames into a looping animated GIF without a third-party encoder.
+// Inputs: same-size RGBA frames (e.g. canvas `getImageData`) with per-frame delays. Outputs: GIF89a bytes.
+// Colours map onto a fixed 6x7x6 cube: good enough for flat UI screenshots and keeps encoding single-pass.
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+function buildPalette(): Uint8Array {
+  const palette = new Uint8Array(256 * 3);
+  let offset = 0;
+  for (let r = 0; r < 6; r += 1) {
+    for (let g = 0; g < 7; g += 1) {
+      for (let b = 0; b < 6; b += 1) {
+        palette[offset] = Math.round((r * 255) / 5);
+        palette[offset + 1] = Math.round((g * 255) / 6);
+        palette[offset + 2] = Math.round((b * 255) / 5);
+        offset += 3;
+      }
+    }
+  }
+  return palette;
+}
+
+const PALETTE = buildPalette();
+
+function toIndices(rgba: Uint8Array | Uint8ClampedArray, pixelCount: number): Uint8Array {
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0, p = 0; i < pixelCount; i += 1, p += 4) {
+    const r = ((rgba[p] * 5 + 127) / 255) | 0;
+    const g = ((rgba[p + 1] * 6 + 127) / 255) | 0;
+    const b = ((rgba[p + 2] * 5 + 127) / 255) | 0;
+    indices[i] = r * 42 + g * 6 + b;
+  }
+  return indices;
+}
+
+class ByteSink {
+  private chunks: Uint8Array[] = [];
+  private current = new Uint8Array(1 << 16);
+  private length = 0;
+
+  push(...bytes: number[]) {
+    bytes.forEach((byte) => this.pushByte(byte));
+  }
+
+  pushByte(byte: number) {
+    if (this.length === this.current.length) {
+      this.chunks.push(this.current);
+      this.current = new Uint8Array(1 << 16);
+      this.length = 0;
+    }
+    this.current[this.length] = byte & 0xff;
+    this.length += 1;
+  }
+
+  pushBytes(bytes: Uint8Array) {
+    bytes.forEach((byte) => this.pushByte(byte));
+  }
+
+  pushUint16(value: number) {
+    this.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  toBytes() {
+    const parts = [...this.chunks, this.current.subarray(0, this.length)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+      out.set(part, offset);
+      offset += part.length;
+    });
+    return out;
+  }
+}
+
+// Variable-width LZW as GIF decoders expect it: codes grow to 12 bits, then a clear code resets the table.
+function writeImageData(sink: ByteSink, indices: Uint8Array) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  let nextCode = endCode + 1;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let table = new Map<number, number>();
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let block: number[] = [];
+
+  const flushBlock = () => {
+    if (block.length) {
+      sink.pushByte(block.length);
+      block.forEach((byte) => sink.pushByte(byte));
+      block = [];
+    }
+  };
+  const emit = (code: number) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xff);
+      if (block.length === 255) {
+        flushBlock();
+      }
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  sink.pushByte(MIN_CODE_SIZE);
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i += 1) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = MIN_CODE_SIZE + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize += 1;
+      }
+      table.set(key, nextCode);
+      nextCode += 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    block.push(bitBuffer & 0xff);
+  }
+  flushBlock();
+  sink.pushByte(0);
+}
+
+export function createGifEncoder(width: number, height: number) {
+  const sink = new ByteSink();
+  sink.push(..."GIF89a".split("").map((char) => char.charCodeAt(0)));
+  sink.pushUint16(width);
+  sink.pushUint16(height);
+  // Global colour table present, 8-bit colour resolution, 256 entries.
+  sink.push(0xf7, 0, 0);
+  sink.pushBytes(PALETTE);
+  // NETSCAPE2.0 application extension: loop forever.
+  sink.push(0x21, 0xff, 0x0b, ..."NETSCAPE2.0".split("").map((char) => char.charCodeAt(0)), 0x03, 0x01, 0, 0, 0);
+
+  return {
+    addFrame(rgba: Uint8Array | Uint8ClampedArray, delayMs: number) {
+      if (rgba.length < width * height * 4) {
+        throw new Error("GIF_FRAME_SIZE_MISMATCH");
+      }
+      const delay = Math.min(0xffff, Math.max(2, Math.round(delayMs / 10)));
+      // Graphic control extension: disposal "do not dispose", no transparency.
+      sink.push(0x21, 0xf9, 0x04, 0x04);
+      sink.pushUint16(delay);
+      sink.push(0, 0);
+      sink.push(0x2c);
+      sink.pushUint16(0);
+      sink.pushUint16(0);
+      sink.pushUint16(width);
+      sink.pushUint16(height);
+      sink.push(0);
+      writeImageData(sink, toIndices(rgba, width * height));
+    },
+    finish() {
+      sink.pushByte(0x3b);
+      return sink.toBytes();
+    }
+  };
+}
@@ -1,5 +1,5 @@
 // Purpose: provide schema-aware migrations for session payload import/export in the editor.
-// Inputs: raw payloads from extension/local files. Outputs: normalized payloads on current schema version.
+// Inputs: extension/local payloads or DevTools Recorder flows. Outputs: current-schema payloads and Recorder exports.
 import { APP_SCHEMA_VERSION, assertValidSessionPayloadContract, defaultSessionSync, withSessionSync } from "./contracts";
 
 function isObject(value: unknown): value is Record<string, unknown> {
@@ -48,7 +48,309 @@ function normalizeAnnotation(raw: unknown, idx: number) {
   };
 }
 
+// Chrome DevTools Recorder user flows: https://developer.chrome.com/docs/devtools/recorder/reference
+// Steps carry `selectors` as alternatives, each a chain of shadow-piercing parts with optional type prefixes.
+type DevToolsSelector = string[];
+type DevToolsStep = Record<string, unknown> & { type: string };
+type DevToolsRecording = { title: string; timeout?: number; steps: DevToolsStep[] };
+
+const DEVTOOLS_MODIFIER_KEYS: Record<string, "ctrl" | "meta" | "alt" | "shift"> = {
+  Control: "ctrl",
+  Meta: "meta",
+  Alt: "alt",
+  Shift: "shift"
+};
+const DEVTOOLS_INTERACTION_TYPES = new Set(["click", "doubleClick", "change", "keyDown", "keyUp"]);
+
+export function isDevToolsRecording(raw: unknown): raw is DevToolsRecording {
+  return (
+    isObject(raw) &&
+    !("session" in raw) &&
+    typeof raw.title === "string" &&
+    Array.isArray(raw.steps) &&
+    raw.steps.every((step) => isObject(step) && typeof step.type === "string")
+  );
+}
+
+function parseDevToolsAria(part: string) {
+  const match = /^(.*?)(?:\[role="([^"]+)"\])?$/.exec(part);
+  return { name: (match?.[1] ?? part).trim(), role: match?.[2] ?? "" };
+}
+
+function fromDevToolsSelectors(raw: unknown) {
+  const alternatives = (Array.isArray(raw) ? raw : [])
+    .map((entry) => (Array.isArray(entry) ? entry : [entry]))
+    .map((chain) => chain.filter((part): part is string => typeof part === "string"))
+    .filter((chain) => chain.length > 0);
+  const candidates: Array<Record<string, unknown>> = [];
+  let css: string | null = null;
+  let xpath: string | null = null;
+  let pierce: string | null = null;
+  let label = "";
+
+  alternatives.forEach((chain) => {
+    const last = chain[chain.length - 1];
+    // DevTools only records selectors that resolved to a single element.
+    const unique = { matchCount: 1, unique: true };
+    if (last.startsWith("aria/")) {
+      const { name, role } = parseDevToolsAria(last.slice(5));
+      label = label || name;
+      if (role && name) {
+        const selector = `role=${role}[name=${JSON.stringify(name)}]`;
+        candidates.push({ strategy: "role", selector, role, name, ...unique });
+      }
+    } else if (last.startsWith("text/")) {
+      const text = last.slice(5);
+      candidates.push({ strategy: "text", selector: `*:text(${JSON.stringify(text)})`, tag: "*", text, ...unique });
+    } else if (last.startsWith("xpath/")) {
+      xpath = xpath ?? last.slice(6);
+    } else if (last.startsWith("pierce/")) {
+      pierce = pierce ?? last.slice(7);
+    } else {
+      css = css ?? chain.join(" >>> ");
+    }
+  });
+
+  // A pierce-only target still needs a css locator; Playwright css pierces open shadow roots the same way.
+  return { selectors: { css: css ?? pierce, xpath, pierce, candidates }, label };
+}
+
+// DevTools addresses frames by child-frame index (and out-of-process frames by target URL); captured steps address
+// them by iframe selector. Imported indexes are kept in `recorderPath` so the export can restore them.
+function fromDevToolsFrame(step: DevToolsStep) {
+  const indexes = Array.isArray(step.frame) ? step.frame.filter((index) => Number.isInteger(index)) : [];
+  const target = asString(step.target, "main");
+  if (!indexes.length && target === "main") {
+    return null;
+  }
+  return { path: [], url: target === "main" ? "" : target, recorderPath: indexes, recorderTarget: target };
+}
+
+function isCapturedFrameStep(step: Record<string, unknown>) {
+  return isObject(step.frame) && !Array.isArray(step.frame.recorderPath);
+}
+
+// 1-based indexes of steps `toDevToolsRecording` leaves out: iframe selectors cannot be mapped to DevTools indexes.
+export function devToolsSkippedSteps(payload: { steps: Array<Record<string, unknown>> }): number[] {
+  return payload.steps
+    .map((step, idx) => (isCapturedFrameStep(step) ? asNumber(step.stepIndex, idx + 1) : 0))
+    .filter(Boolean);
+}
+
+// Converts a DevTools Recorder user flow into the raw SessionPayload shape `migrateSessionPayload` expects.
+export function fromDevToolsRecording(recording: DevToolsRecording, now = Date.now()) {
+  const sessionId = `sess_devtools_${now}`;
+  const heldModifiers = { ctrl: false, meta: false, alt: false, shift: false };
+  const steps: Array<Record<string, unknown>> = [];
+  let url = "";
+  let pageTitle = "";
+
+  const pushStep = (fields: Record<string, unknown>) => {
+    const stepIndex = steps.length + 1;
+    steps.push({ id: `step_${stepIndex}`, sessionId, stepIndex, url, pageTitle, at: now, ...fields });
+  };
+
+  recording.steps.forEach((step) => {
+    const { selectors, label } = fromDevToolsSelectors(step.selectors);
+    const target = label ? { label } : null;
+    const frame = fromDevToolsFrame(step);
+    const base = frame ? { selectors, target, frame } : { selectors, target };
+
+    if (step.type === "navigate") {
+      url = asString(step.url, url);
+      pushStep({ type: "navigate", url, navigationKind: "load" });
+    } else if (step.type === "click") {
+      pushStep({ type: "click", ...base });
+    } else if (step.type === "doubleClick") {
+      pushStep({ type: "click", clickCount: 2, ...base });
+    } else if (step.type === "change") {
+      pushStep({ type: "input", value: asString(step.value), ...base });
+    } else if (step.type === "scroll") {
+      pushStep({ type: "scroll", scrollX: asNumber(step.x, 0), scrollY: asNumber(step.y, 0) });
+    } else if (step.type === "keyDown" || step.type === "keyUp") {
+      const key = asString(step.key);
+      const modifier = DEVTOOLS_MODIFIER_KEYS[key];
+      if (modifier) {
+        heldModifiers[modifier] = step.type === "keyDown";
+      } else if (step.type === "keyDown" && key) {
+        pushStep({ type: "key", key, modifiers: { ...heldModifiers }, ...base });
+      }
+    }
+
+    // Navigations caused by an interaction are recorded as asserted events on that step.
+    const assertedEvents = Array.isArray(step.assertedEvents) ? step.assertedEvents : [];
+    assertedEvents.filter(isObject).forEach((event) => {
+      if (event.type !== "navigation") {
+        return;
+      }
+      const nextUrl = asString(event.url, url);
+      pageTitle = asString(event.title, pageTitle);
+      if (step.type === "navigate") {
+        steps[steps.length - 1].pageTitle = pageTitle;
+      } else if (nextUrl) {
+        url = nextUrl;
+        pushStep({ type: "navigate", url, navigationKind: "interaction" });
+      }
+    });
+  });
+
+  const firstUrl = asString(steps.find((step) => step.url)?.url);
+  return {
+    schemaVersion: APP_SCHEMA_VERSION,
+    exportedAt: now,
+    session: {
+      id: sessionId,
+      startUrl: firstUrl,
+      startTitle: recording.title,
+      lastUrl: url || firstUrl,
+      lastTitle: recording.title,
+      startedAt: now,
+      updatedAt: now,
+      stepsCount: steps.length
+    },
+    steps,
+    meta: { capturedBy: "devtools-recorder", appVersion: "0.0.0", syncRevision: 1 }
+  };
+}
+
+function toDevToolsSelectors(step: Record<string, unknown>): DevToolsSelector[] {
+  const selectors = isObject(step.selectors) ? step.selectors : {};
+  const candidates = Array.isArray(selectors.candidates) ? selectors.candidates.filter(isObject) : [];
+  const alternatives: DevToolsSelector[] = [];
+
+  candidates.forEach((candidate) => {
+    if (candidate.strategy === "role" && candidate.name) {
+      alternatives.push([`aria/${asString(candidate.name)}[role="${asString(candidate.role)}"]`]);
+    } else if (candidate.strategy === "label" && candidate.label) {
+      alternatives.push([`aria/${asString(candidate.label)}`]);
+    } else if (candidate.strategy === "text" && candidate.text) {
+      alternatives.push([`text/${asString(candidate.text)}`]);
+    } else if ((candidate.strategy === "testid" || candidate.strategy === "structural") && candidate.selector) {
+      alternatives.push(asString(candidate.selector).split(" >>> "));
+    }
+  });
+  if (typeof selectors.css === "string" && selectors.css) {
+    alternatives.push(selectors.css.split(" >>> "));
+  }
+  if (typeof selectors.xpath === "string" && selectors.xpath) {
+    alternatives.push([`xpath/${selectors.xpath}`]);
+  }
+  if (typeof selectors.pierce === "string" && selectors.pierce) {
+    alternatives.push([`pierce/${selectors.pierce}`]);
+  }
+
+  const seen = new Set<string>();
+  return alternatives.filter((chain) => {
+    const key = JSON.stringify(chain);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+function toDevToolsValue(step: Record<string, unknown>, field: string) {
+  // Masked values would be typed literally on replay; leave the field empty for the user to fill in.
+  return step.sensitive || step[field] === "[REDACTED]" ? "" : asString(step[field]);
+}
+
+// Exports a SessionPayload as a DevTools Recorder user flow (importable in DevTools and `@puppeteer/replay`).
+export function toDevToolsRecording(payload: { session: Record<string, unknown>; steps: Array<Record<string, unknown>> }) {
+  const { session } = payload;
+  const title = asString(session.lastTitle) || asString(session.startTitle) || asString(session.id);
+  const startUrl = asString(session.startUrl) || asString(payload.steps.find((step) => step.url)?.url);
+  const firstGeometry = payload.steps.map((step) => step.geometry).find(isObject);
+  const viewport = isObject(firstGeometry?.viewport) ? firstGeometry.viewport : null;
+  const steps: DevToolsStep[] = [];
+
+  if (viewport) {
+    const width = asNumber(viewport.width, 1280);
+    const height = asNumber(viewport.height, 720);
+    steps.push({
+      type: "setViewport",
+      width,
+      height,
+      deviceScaleFactor: asNumber(firstGeometry?.devicePixelRatio, 1),
+      isMobile: false,
+      hasTouch: false,
+      isLandscape: width >= height
+    });
+  }
+  if (startUrl) {
+    steps.push({ type: "navigate", url: startUrl, assertedEvents: [{ type: "navigation", url: startUrl, title: "" }] });
+  }
+
+  payload.steps.forEach((step, idx) => {
+    const type = asString(step.type);
+    if (isCapturedFrameStep(step)) {
+      return;
+    }
+    const selectors = toDevToolsSelectors(step);
+    const frame = isObject(step.frame) ? step.frame : null;
+    const addressing = frame
+      ? { target: asString(frame.recorderTarget, "main"), frame: frame.recorderPath }
+      : { target: "main" };
+    const geometry = isObject(step.geometry) && isObject(step.geometry.rect) ? step.geometry.rect : null;
+    const offsets = {
+      offsetX: geometry ? Math.round(asNumber(geometry.width, 2) / 2) : 1,
+      offsetY: geometry ? Math.round(asNumber(geometry.height, 2) / 2) : 1
+    };
+    const previous = steps[steps.length - 1];
+
+    if (type === "navigate") {
+      const url = asString(step.url);
+      if (!url || (idx === 0 && url === startUrl)) {
+        return;
+      }
+      const event = { type: "navigation", url, title: asString(step.pageTitle) };
+      if (previous && DEVTOOLS_INTERACTION_TYPES.has(previous.type)) {
+        const earlier = Array.isArray(previous.assertedEvents) ? previous.assertedEvents : [];
+        previous.assertedEvents = [...earlier, event];
+      } else {
+        steps.push({ type: "navigate", url, assertedEvents: [event] });
+      }
+      return;
+    }
+    if (type === "scroll") {
+      steps.push({ type: "scroll", x: asNumber(step.scrollX, 0), y: asNumber(step.scrollY, 0) });
+      return;
+    }
+    if (type === "key") {
+      const key = asString(step.key);
+      const modifiers = isObject(step.modifiers) ? step.modifiers : {};
+      // Plain typed characters are already part of the following `change` value.
+      if (!key || key === "[REDACTED]" || (key.length === 1 && !modifiers.ctrl && !modifiers.meta && !modifiers.alt)) {
+        return;
+      }
+      const held = Object.entries(DEVTOOLS_MODIFIER_KEYS)
+        .filter(([, flag]) => modifiers[flag])
+        .map(([name]) => name);
+      held.forEach((name) => steps.push({ type: "keyDown", ...addressing, key: name }));
+      steps.push({ type: "keyDown", ...addressing, key }, { type: "keyUp", ...addressing, key });
+      held.reverse().forEach((name) => steps.push({ type: "keyUp", ...addressing, key: name }));
+      return;
+    }
+    if (!selectors.length) {
+      return;
+    }
+    if (type === "click" || type === "toggle") {
+      const clickType = step.clickCount === 2 ? "doubleClick" : "click";
+      steps.push({ type: clickType, ...addressing, selectors, ...offsets });
+    } else if (type === "input") {
+      steps.push({ type: "change", ...addressing, selectors, value: toDevToolsValue(step, "value") });
+    } else if (type === "select") {
+      steps.push({ type: "change", ...addressing, selectors, value: toDevToolsValue(step, "optionValue") });
+    }
+  });
+
+  return { title, steps };
+}
+
 export function migrateSessionPayload(raw: unknown) {
+  if (isDevToolsRecording(raw)) {
+    raw = fromDevToolsRecording(raw);
+  }
   assertValidSessionPayloadContract(raw);
 
   const session = withSessionSync({
@@ -6,12 +6,40 @@ export const APP_BRIDGE_CHANNEL = "CAP_ME_APP_BRIDGE";
 
 export const APP_BRIDGE_REQUEST_TYPES = {
   sessions: "REQUEST_SESSIONS",
-  teamAuth: "REQUEST_TEAM_AUTH"
+  teamAuth: "REQUEST_TEAM_AUTH",
+  replay: "REQUEST_REPLAY",
+  replayState: "REQUEST_REPLAY_STATE",
+  replayCancel: "REQUEST_REPLAY_CANCEL",
+  saveSession: "REQUEST_SAVE_SESSION",
+  publishSession: "REQUEST_PUBLISH_SESSION",
+  sessionSubscribe: "REQUEST_SESSION_SUBSCRIBE",
+  sessionUnsubscribe: "REQUEST_SESSION_UNSUBSCRIBE",
+  thumbnails: "REQUEST_THUMBNAILS"
 } as const;
 
 export const APP_BRIDGE_RESPONSE_TYPES = {
   sessions: "SESSIONS_RESPONSE",
-  teamAuth: "TEAM_AUTH_RESPONSE"
+  teamAuth: "TEAM_AUTH_RESPONSE",
+  replay: "REPLAY_RESPONSE",
+  saveSession: "SAVE_SESSION_RESPONSE",
+  publishSession: "PUBLISH_SESSION_RESPONSE",
+  // Pushed for as long as a `REQUEST_SESSION_SUBSCRIBE` subscription is open, under the subscribing requestId.
+  sessionLive: "SESSION_LIVE_UPDATE",
+  thumbnails: "THUMBNAILS_RESPONSE"
+} as const;
+
+// Runtime messages the bridge replay requests map to when the editor runs as an extension page.
+export const REPLAY_RUNTIME_MESSAGE_TYPES = {
+  REQUEST_REPLAY: "START_REPLAY",
+  REQUEST_REPLAY_STATE: "GET_REPLAY_STATE",
+  REQUEST_REPLAY_CANCEL: "CANCEL_REPLAY"
+} as const;
+
+// Runtime messages editor saves map to; the worker validates them before replacing the session's steps, and a
+// publish then uploads the saved session straight away.
+export const SESSION_WRITE_RUNTIME_MESSAGE_TYPES = {
+  REQUEST_SAVE_SESSION: "SAVE_SESSION",
+  REQUEST_PUBLISH_SESSION: "PUBLISH_SESSION"
 } as const;
 
 export const APP_BRIDGE_LEGACY_REQUEST_TYPES = {
@@ -49,6 +77,7 @@ export const TEAM_SYNC_VISIBLE_ERROR_CODES = [
   "SYNC_ENDPOINT_MISSING",
   "NETWORK_ERROR",
   "QUOTA_EXCEEDED",
+  "REVISION_CONFLICT",
   "INVALID_JSON_BODY",
   "UNKNOWN_ACTION",
   "SESSION_ID_REQUIRED",
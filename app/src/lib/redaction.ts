@@ -0,0 +1,109 @@
+// Purpose: paint annotations into screenshot pixels before a document embeds the image.
+// Inputs: steps with `thumbnailDataUrl` + normalized annotations. Outputs: steps whose screenshots are burned in.
+// Browser-only (canvas); mirrors the service worker's capture-time burn-in so exported files never carry the secret.
+const REDACTION_FILL_COLOR = "#111827";
+const HIGHLIGHT_COLOR = "#2563eb";
+const HIGHLIGHT_FILL_COLOR = "rgba(37, 99, 235, 0.16)";
+
+type Annotation = { x: number; y: number; width: number; height: number; type?: string; label?: string };
+type StepWithShot = { thumbnailDataUrl?: string | null; annotations?: Annotation[] };
+
+function loadImage(dataUrl: string): Promise<HTMLImageElement> {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("SCREENSHOT_DECODE_FAILED"));
+    image.src = dataUrl;
+  });
+}
+
+function drawHighlight(ctx: CanvasRenderingContext2D, ann: Annotation, idx: number, width: number, height: number) {
+  const left = ann.x * width;
+  const top = ann.y * height;
+  const lineWidth = Math.max(2, Math.round(width / 400));
+  ctx.fillStyle = HIGHLIGHT_FILL_COLOR;
+  ctx.fillRect(left, top, ann.width * width, ann.height * height);
+  ctx.strokeStyle = HIGHLIGHT_COLOR;
+  ctx.lineWidth = lineWidth;
+  ctx.strokeRect(left, top, ann.width * width, ann.height * height);
+
+  const label = ann.label || `Highlight ${idx + 1}`;
+  const fontSize = Math.max(11, Math.round(width / 90));
+  ctx.font = `600 ${fontSize}px system-ui, sans-serif`;
+  const padding = Math.round(fontSize * 0.45);
+  const labelHeight = fontSize + padding * 2;
+  const labelWidth = Math.min(ctx.measureText(label).width + padding * 2, width - left);
+  // Same placement as the HTML export: above the box, or inside it when the box touches the top edge.
+  const labelTop = top - labelHeight >= 0 ? top - labelHeight : top;
+  ctx.fillStyle = HIGHLIGHT_COLOR;
+  ctx.fillRect(left, labelTop, labelWidth, labelHeight);
+  ctx.fillStyle = "#ffffff";
+  ctx.textBaseline = "middle";
+  ctx.fillText(label, left + padding, labelTop + labelHeight / 2, labelWidth - padding * 2);
+}
+
+async function paintAnnotations(dataUrl: string, annotations: Annotation[], includeHighlights: boolean) {
+  const painted = annotations.filter((ann) => ann && (includeHighlights || ann.type === "redact"));
+  if (!painted.length) {
+    return dataUrl;
+  }
+
+  const image = await loadImage(dataUrl);
+  const width = image.naturalWidth;
+  const height = image.naturalHeight;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("CANVAS_UNAVAILABLE");
+  }
+  ctx.drawImage(image, 0, 0, width, height);
+  painted.forEach((ann, idx) => {
+    if (ann.type !== "redact") {
+      drawHighlight(ctx, ann, idx, width, height);
+      return;
+    }
+    ctx.fillStyle = REDACTION_FILL_COLOR;
+    ctx.fillRect(
+      Math.floor(ann.x * width),
+      Math.floor(ann.y * height),
+      Math.ceil(ann.width * width) + 1,
+      Math.ceil(ann.height * height) + 1
+    );
+  });
+  return canvas.toDataURL("image/jpeg", 0.9);
+}
+
+export function burnInRedactions(dataUrl: string, annotations: Annotation[]): Promise<string> {
+  return paintAnnotations(dataUrl, annotations, false);
+}
+
+// A screenshot that cannot be painted is dropped rather than exported with an overlay-only redaction.
+function paintStepScreenshots<T extends StepWithShot>(steps: T[], includeHighlights: boolean): Promise<T[]> {
+  return Promise.all(
+    steps.map(async (step) => {
+      if (!step.thumbnailDataUrl || !Array.isArray(step.annotations)) {
+        return step;
+      }
+      try {
+        return {
+          ...step,
+          thumbnailDataUrl: await paintAnnotations(step.thumbnailDataUrl, step.annotations, includeHighlights)
+        };
+      } catch {
+        return { ...step, thumbnailDataUrl: null };
+      }
+    })
+  );
+}
+
+// For formats that draw highlights themselves (PDF vector shapes).
+export function burnInStepRedactions<T extends StepWithShot>(steps: T[]): Promise<T[]> {
+  return paintStepScreenshots(steps, false);
+}
+
+// For formats that can only carry a plain image (DOCX, wiki bundles).
+export function flattenStepAnnotations<T extends StepWithShot>(steps: T[]): Promise<T[]> {
+  return paintStepScreenshots(steps, true);
+}
@@ -0,0 +1,97 @@
+// Purpose: decode step screenshots for document exporters and decide whether each one may be embedded.
+// Inputs: steps with `thumbnailDataUrl` + annotations. Outputs: image bytes, MIME type, and pixel size, or a notice.
+// Pure (no canvas) so the editor and the headless exporter make the same embed decisions.
+export type Screenshot = {
+  dataUrl: string;
+  bytes: Uint8Array;
+  mime: "image/png" | "image/jpeg";
+  extension: "png" | "jpg";
+  width: number;
+  height: number;
+};
+
+export type ScreenshotOptions = {
+  // True when redact annotations are already painted into each step's screenshot pixels.
+  redactionsBurnedIn?: boolean;
+};
+
+export const SCREENSHOT_WITHHELD_NOTICE = "Screenshot withheld: its redactions could not be burned in.";
+export const SCREENSHOT_UNAVAILABLE_NOTICE = "Screenshot unavailable.";
+
+function base64ToBytes(base64: string): Uint8Array {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function readPngSize(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return bytes.length >= 24 ? { width: view.getUint32(16), height: view.getUint32(20) } : null;
+}
+
+// Walks JPEG segments to the first start-of-frame marker, which carries the pixel size.
+function readJpegSize(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      return null;
+    }
+    const marker = bytes[offset + 1];
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
+
+export function decodeScreenshot(dataUrl: unknown): Screenshot | null {
+  const match = typeof dataUrl === "string" ? /^data:(image\/(?:png|jpe?g));base64,(.+)$/.exec(dataUrl) : null;
+  if (!match) {
+    return null;
+  }
+  try {
+    const bytes = base64ToBytes(match[2]);
+    const isPng = match[1] === "image/png";
+    const size = isPng ? readPngSize(bytes) : readJpegSize(bytes);
+    if (!size?.width || !size?.height) {
+      return null;
+    }
+    return {
+      dataUrl: dataUrl as string,
+      bytes,
+      mime: isPng ? "image/png" : "image/jpeg",
+      extension: isPng ? "png" : "jpg",
+      width: size.width,
+      height: size.height
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Bundled formats (DOCX media, wiki attachments) store each screenshot under a stable per-step name.
+export function screenshotFileName(stepNumber: number, screenshot: Screenshot): string {
+  return `step-${String(stepNumber).padStart(3, "0")}.${screenshot.extension}`;
+}
+
+export function hasRedactions(step: Record<string, any>): boolean {
+  return Array.isArray(step.annotations) && step.annotations.some((ann: Record<string, any>) => ann?.type === "redact");
+}
+
+// An overlay alone would leave the secret in the embedded image, so unburned redacted shots are withheld.
+export function exportableScreenshot(step: Record<string, any>, options: ScreenshotOptions = {}) {
+  if (typeof step.thumbnailDataUrl !== "string" || !step.thumbnailDataUrl) {
+    return { screenshot: null, notice: "" };
+  }
+  if (hasRedactions(step) && !options.redactionsBurnedIn) {
+    return { screenshot: null, notice: SCREENSHOT_WITHHELD_NOTICE };
+  }
+  const screenshot = decodeScreenshot(step.thumbnailDataUrl);
+  return { screenshot, notice: screenshot ? "" : SCREENSHOT_UNAVAILABLE_NOTICE };
+}
@@ -0,0 +1,241 @@
+// Purpose: render a session as a captioned slideshow clip (animated GIF or WebM) for pasting into chats and tickets.
+// Inputs: steps with screenshots (redactions already burned in) + highlight annotations. Outputs: GIF/WebM Blobs.
+// Browser-only: frames are drawn on a canvas; WebM is recorded in real time through MediaRecorder.
+import { createGifEncoder } from "./gif";
+
+type StepLike = Record<string, any>;
+type Slide = { step: StepLike; number: number; image: HTMLImageElement | null; durationMs: number };
+type Segment = { from: number; to: number; startMs: number; durationMs: number };
+export type ClipProgress = (done: number, total: number) => void;
+
+export const SLIDE_FADE_MS = 400;
+const GIF_FADE_FRAMES = 4;
+const WEBM_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const HIGHLIGHT_COLOR = "#2563eb";
+const CAPTION_BACKGROUND = "#0f172a";
+
+// Longer captions stay up longer so they can be read before the clip moves on.
+export function slideDurationMs(step: StepLike): number {
+  const words = `${step.title ?? ""} ${step.instruction ?? ""} ${step.note ?? ""}`.trim().split(/\s+/).length;
+  return Math.min(8000, Math.max(2500, 1500 + words * 250));
+}
+
+function loadImage(dataUrl: unknown): Promise<HTMLImageElement | null> {
+  if (typeof dataUrl !== "string" || !dataUrl.startsWith("data:image/")) {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = dataUrl;
+  });
+}
+
+async function loadSlides(steps: StepLike[]): Promise<Slide[]> {
+  const images = await Promise.all(steps.map((step) => loadImage(step.thumbnailDataUrl)));
+  return steps.map((step, idx) => ({ step, number: idx + 1, image: images[idx], durationMs: slideDurationMs(step) }));
+}
+
+// Holds are segments with from === to; fades blend the previous slide into the next one.
+function buildTimeline(slides: Slide[]): Segment[] {
+  const segments: Segment[] = [];
+  let startMs = 0;
+  slides.forEach((slide, idx) => {
+    segments.push({ from: idx, to: idx, startMs, durationMs: slide.durationMs });
+    startMs += slide.durationMs;
+    if (idx < slides.length - 1) {
+      segments.push({ from: idx, to: idx + 1, startMs, durationMs: SLIDE_FADE_MS });
+      startMs += SLIDE_FADE_MS;
+    }
+  });
+  return segments;
+}
+
+function fitText(ctx: CanvasRenderingContext2D, text: string, maxWidth: number): string {
+  if (ctx.measureText(text).width <= maxWidth) {
+    return text;
+  }
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) {
+    end -= 1;
+  }
+  return `${text.slice(0, end)}…`;
+}
+
+function drawSlide(ctx: CanvasRenderingContext2D, slide: Slide, alpha: number) {
+  const { width, height } = ctx.canvas;
+  const unit = width / 960;
+  const captionHeight = Math.round(92 * unit);
+  const stageHeight = height - captionHeight;
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.fillStyle = "#e2e8f0";
+  ctx.fillRect(0, 0, width, stageHeight);
+
+  if (slide.image) {
+    const scale = Math.min(width / slide.image.naturalWidth, stageHeight / slide.image.naturalHeight);
+    const imageWidth = slide.image.naturalWidth * scale;
+    const imageHeight = slide.image.naturalHeight * scale;
+    const left = (width - imageWidth) / 2;
+    const top = (stageHeight - imageHeight) / 2;
+    ctx.drawImage(slide.image, left, top, imageWidth, imageHeight);
+
+    const annotations = Array.isArray(slide.step.annotations) ? slide.step.annotations : [];
+    annotations.forEach((ann: StepLike, idx: number) => {
+      const x = left + ann.x * imageWidth;
+      const y = top + ann.y * imageHeight;
+      const boxWidth = ann.width * imageWidth;
+      const boxHeight = ann.height * imageHeight;
+      if (ann.type === "redact") {
+        ctx.fillStyle = "#111827";
+        ctx.fillRect(x, y, boxWidth, boxHeight);
+        return;
+      }
+      ctx.strokeStyle = HIGHLIGHT_COLOR;
+      ctx.lineWidth = Math.max(2, 3 * unit);
+      ctx.strokeRect(x, y, boxWidth, boxHeight);
+      const label = ann.label || `Highlight ${idx + 1}`;
+      ctx.font = `600 ${Math.round(13 * unit)}px system-ui, sans-serif`;
+      const labelHeight = Math.round(20 * unit);
+      const labelWidth = Math.min(ctx.measureText(label).width + 12 * unit, left + imageWidth - x);
+      const labelTop = y - labelHeight >= top ? y - labelHeight : y;
+      ctx.fillStyle = HIGHLIGHT_COLOR;
+      ctx.fillRect(x, labelTop, labelWidth, labelHeight);
+      ctx.fillStyle = "#ffffff";
+      ctx.textBaseline = "middle";
+      ctx.fillText(fitText(ctx, label, labelWidth - 12 * unit), x + 6 * unit, labelTop + labelHeight / 2);
+    });
+  } else {
+    ctx.fillStyle = "#64748b";
+    ctx.font = `${Math.round(18 * unit)}px system-ui, sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("No screenshot for this step", width / 2, stageHeight / 2);
+    ctx.textAlign = "left";
+  }
+
+  ctx.fillStyle = CAPTION_BACKGROUND;
+  ctx.fillRect(0, stageHeight, width, captionHeight);
+  const padding = 20 * unit;
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `700 ${Math.round(22 * unit)}px system-ui, sans-serif`;
+  const title = `${slide.number}. ${slide.step.title || "Untitled Step"}`;
+  ctx.fillText(fitText(ctx, title, width - padding * 2), padding, stageHeight + 16 * unit);
+  if (slide.step.instruction) {
+    ctx.fillStyle = "#cbd5e1";
+    ctx.font = `${Math.round(16 * unit)}px system-ui, sans-serif`;
+    ctx.fillText(fitText(ctx, slide.step.instruction, width - padding * 2), padding, stageHeight + 52 * unit);
+  }
+  ctx.restore();
+}
+
+function drawSegment(ctx: CanvasRenderingContext2D, slides: Slide[], segment: Segment, progress: number) {
+  drawSlide(ctx, slides[segment.from], 1);
+  if (segment.to !== segment.from) {
+    drawSlide(ctx, slides[segment.to], Math.min(1, Math.max(0, progress)));
+  }
+}
+
+function createCanvas(width: number): HTMLCanvasElement {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  // 16:9 stage plus the caption band.
+  canvas.height = Math.round((width * 9) / 16) + Math.round((92 * width) / 960);
+  return canvas;
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+export async function renderGif(steps: StepLike[], options: { width?: number; onProgress?: ClipProgress } = {}) {
+  const slides = await loadSlides(steps);
+  const canvas = createCanvas(options.width ?? 640);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx || !slides.length) {
+    throw new Error(slides.length ? "CANVAS_UNAVAILABLE" : "NO_STEPS");
+  }
+  const encoder = createGifEncoder(canvas.width, canvas.height);
+  const timeline = buildTimeline(slides);
+
+  for (let idx = 0; idx < timeline.length; idx += 1) {
+    const segment = timeline[idx];
+    if (segment.from === segment.to) {
+      drawSegment(ctx, slides, segment, 1);
+      encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, segment.durationMs);
+    } else {
+      for (let frame = 1; frame <= GIF_FADE_FRAMES; frame += 1) {
+        drawSegment(ctx, slides, segment, frame / (GIF_FADE_FRAMES + 1));
+        encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, segment.durationMs / GIF_FADE_FRAMES);
+      }
+    }
+    options.onProgress?.(idx + 1, timeline.length);
+    // Encoding is synchronous per frame; yielding keeps the editor responsive between frames.
+    await nextTick();
+  }
+  return new Blob([encoder.finish()], { type: "image/gif" });
+}
+
+export function supportedWebmType(): string {
+  if (typeof MediaRecorder === "undefined" || typeof HTMLCanvasElement.prototype.captureStream !== "function") {
+    return "";
+  }
+  return WEBM_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? "";
+}
+
+// MediaRecorder captures in real time, so this resolves after roughly the clip's own duration.
+export async function recordWebm(
+  steps: StepLike[],
+  options: { width?: number; fps?: number; onProgress?: ClipProgress } = {}
+): Promise<Blob> {
+  const mimeType = supportedWebmType();
+  if (!mimeType) {
+    throw new Error("WEBM_UNSUPPORTED");
+  }
+  const slides = await loadSlides(steps);
+  const canvas = createCanvas(options.width ?? 1280);
+  const ctx = canvas.getContext("2d");
+  if (!ctx || !slides.length) {
+    throw new Error(slides.length ? "CANVAS_UNAVAILABLE" : "NO_STEPS");
+  }
+  const fps = options.fps ?? 30;
+  const timeline = buildTimeline(slides);
+  const last = timeline[timeline.length - 1];
+  const totalMs = last.startMs + last.durationMs;
+
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 4_000_000 });
+  const chunks: Blob[] = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size) {
+      chunks.push(event.data);
+    }
+  };
+  const stopped = new Promise<void>((resolve, reject) => {
+    recorder.onstop = () => resolve();
+    recorder.onerror = () => reject(new Error("WEBM_RECORDING_FAILED"));
+  });
+
+  drawSegment(ctx, slides, timeline[0], 1);
+  recorder.start(1000);
+  const startedAt = performance.now();
+  // Timers rather than requestAnimationFrame so recording continues if the editor tab is not focused.
+  await new Promise<void>((resolve) => {
+    const tick = () => {
+      const elapsed = performance.now() - startedAt;
+      const segment = timeline.find((item) => elapsed < item.startMs + item.durationMs) ?? last;
+      drawSegment(ctx, slides, segment, (elapsed - segment.startMs) / segment.durationMs);
+      options.onProgress?.(Math.min(elapsed, totalMs), totalMs);
+      if (elapsed >= totalMs) {
+        resolve();
+        return;
+      }
+      setTimeout(tick, 1000 / fps);
+    };
+    tick();
+  });
+  recorder.stop();
+  stream.getTracks().forEach((track) => track.stop());
+  await stopped;
+  return new Blob(chunks, { type: "video/webm" });
+}
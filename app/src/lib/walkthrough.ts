@@ -0,0 +1,237 @@
+// Purpose: render a session as a single-file guided walkthrough that shows one step at a time.
+// Inputs: payloads from `normalizePayload`; screenshots ideally redaction-burned by `burnInStepRedactions`.
+// Outputs: self-contained HTML (inline CSS/JS/images) with hotspots, next/back + keyboard nav, progress, and a TOC.
+import { escapeHtml, sessionTitle, type ExportPayload } from "./exporters";
+import { exportableScreenshot, type ScreenshotOptions } from "./screenshots";
+
+function walkthroughSteps(payload: ExportPayload, options: ScreenshotOptions) {
+  return payload.steps.map((step, idx) => {
+    const { screenshot, notice } = exportableScreenshot(step, options);
+    const annotations = (Array.isArray(step.annotations) ? step.annotations : []).map((ann: Record<string, any>) => ({
+      x: ann.x,
+      y: ann.y,
+      width: ann.width,
+      height: ann.height,
+      type: ann.type === "redact" ? "redact" : "highlight",
+      label: ann.label || ""
+    }));
+    return {
+      number: idx + 1,
+      title: step.title || "Untitled Step",
+      instruction: step.instruction || "",
+      note: step.note || "",
+      url: step.url || "",
+      notice,
+      image: screenshot?.dataUrl ?? null,
+      annotations: screenshot ? annotations : []
+    };
+  });
+}
+
+// `<` is escaped so captured text such as "</script>" cannot end the data block early.
+function inlineJson(value: unknown): string {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+const WALKTHROUGH_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: "Segoe UI", system-ui, sans-serif; color: #0f172a; background: #f1f5f9; }
+  header { position: sticky; top: 0; z-index: 2; background: #fff; border-bottom: 1px solid #dbe4f0;
+    padding: 12px 20px; }
+  header h1 { margin: 0 0 8px; font-size: 18px; }
+  .progress { height: 6px; border-radius: 999px; background: #e2e8f0; overflow: hidden; }
+  .progress-bar { height: 100%; width: 0; background: #2563eb; transition: width 0.25s ease; }
+  .progress-text { margin-top: 6px; font-size: 12px; color: #475569; }
+  .layout { display: grid; grid-template-columns: 260px 1fr; gap: 20px; max-width: 1280px; margin: 0 auto;
+    padding: 20px; }
+  nav ol { list-style: none; margin: 0; padding: 0; }
+  nav button { display: block; width: 100%; text-align: left; border: 0; border-radius: 8px; padding: 8px 10px;
+    background: transparent; color: #334155; font: inherit; font-size: 13px; cursor: pointer; }
+  nav button:hover { background: #e2e8f0; }
+  nav button[aria-current="step"] { background: #dbeafe; color: #1e3a8a; font-weight: 600; }
+  nav button.done { color: #64748b; }
+  main { background: #fff; border: 1px solid #dbe4f0; border-radius: 12px; padding: 18px 20px; min-width: 0; }
+  main h2 { margin: 0 0 8px; font-size: 20px; }
+  main p { margin: 0 0 10px; line-height: 1.5; }
+  .note { border-left: 4px solid #f59e0b; background: #fef3c7; color: #78350f; padding: 8px 12px; border-radius: 6px; }
+  .meta { color: #64748b; font-size: 13px; word-break: break-all; }
+  .shot { position: relative; margin: 12px 0; border: 1px solid #cbd5e1; border-radius: 8px; overflow: hidden; }
+  .shot img { display: block; width: 100%; height: auto; }
+  .box { position: absolute; border: 2px solid #2563eb; background: rgba(37, 99, 235, 0.12); }
+  .box.redact { border: 0; background: #111827; }
+  .hotspot { position: absolute; width: 28px; height: 28px; margin: -14px 0 0 -14px; border: 0; border-radius: 50%;
+    background: rgba(37, 99, 235, 0.9); box-shadow: 0 0 0 0 rgba(37, 99, 235, 0.6); cursor: pointer;
+    animation: pulse 1.6s ease-out infinite; }
+  .hotspot-label { position: absolute; transform: translate(-50%, -100%); margin-top: -20px; white-space: nowrap;
+    background: #1e3a8a; color: #fff; font-size: 12px; padding: 4px 8px; border-radius: 6px; pointer-events: none; }
+  @keyframes pulse {
+    70% { box-shadow: 0 0 0 18px rgba(37, 99, 235, 0); }
+    100% { box-shadow: 0 0 0 0 rgba(37, 99, 235, 0); }
+  }
+  @media (prefers-reduced-motion: reduce) { .hotspot { animation: none; } .progress-bar { transition: none; } }
+  .controls { display: flex; gap: 8px; align-items: center; justify-content: space-between; margin-top: 12px; }
+  .controls button { border: 1px solid #cbd5e1; border-radius: 8px; padding: 8px 16px; background: #fff; font: inherit;
+    cursor: pointer; }
+  .controls button.primary { background: #2563eb; border-color: #2563eb; color: #fff; }
+  .controls button:disabled { opacity: 0.5; cursor: default; }
+  .hint { color: #94a3b8; font-size: 12px; }
+  @media (max-width: 820px) { .layout { grid-template-columns: 1fr; } nav { order: 2; } }
+`;
+
+// Runs inside the exported file; kept dependency-free and readable so the file can be audited offline.
+const WALKTHROUGH_SCRIPT = `
+(function () {
+  var steps = JSON.parse(document.getElementById("walkthrough-data").textContent);
+  var current = 0;
+  var view = document.getElementById("step");
+  var toc = document.getElementById("toc");
+  var back = document.getElementById("back");
+  var next = document.getElementById("next");
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function pct(value) {
+    return (Math.max(0, Math.min(1, Number(value) || 0)) * 100).toFixed(3) + "%";
+  }
+
+  function renderShot(step) {
+    var frame = el("div", "shot");
+    var img = el("img");
+    img.src = step.image;
+    img.alt = "Step " + step.number + " screenshot";
+    frame.appendChild(img);
+    var hotspotCount = 0;
+    step.annotations.forEach(function (ann, idx) {
+      var box = el("div", ann.type === "redact" ? "box redact" : "box");
+      box.style.left = pct(ann.x);
+      box.style.top = pct(ann.y);
+      box.style.width = pct(ann.width);
+      box.style.height = pct(ann.height);
+      frame.appendChild(box);
+      if (ann.type === "redact") return;
+      hotspotCount += 1;
+      var hotspot = el("button", "hotspot");
+      hotspot.type = "button";
+      hotspot.style.left = pct(ann.x + ann.width / 2);
+      hotspot.style.top = pct(ann.y + ann.height / 2);
+      hotspot.setAttribute("aria-label", (ann.label || "Highlight " + (idx + 1)) + " - continue");
+      hotspot.addEventListener("click", function () { go(current + 1); });
+      frame.appendChild(hotspot);
+      if (ann.label && hotspotCount === 1) {
+        var label = el("span", "hotspot-label", ann.label);
+        label.style.left = hotspot.style.left;
+        label.style.top = hotspot.style.top;
+        frame.appendChild(label);
+      }
+    });
+    return frame;
+  }
+
+  function render() {
+    var step = steps[current];
+    view.innerHTML = "";
+    view.appendChild(el("h2", "", step.number + ". " + step.title));
+    if (step.instruction) view.appendChild(el("p", "", step.instruction));
+    if (step.note) view.appendChild(el("p", "note", "Note: " + step.note));
+    if (step.image) view.appendChild(renderShot(step));
+    if (step.notice) view.appendChild(el("p", "meta", step.notice));
+    if (step.url) view.appendChild(el("p", "meta", step.url));
+
+    var done = (current + 1) / steps.length;
+    document.getElementById("progress-bar").style.width = (done * 100).toFixed(1) + "%";
+    document.getElementById("progress").setAttribute("aria-valuenow", String(current + 1));
+    document.getElementById("progress-text").textContent = "Step " + (current + 1) + " of " + steps.length;
+    Array.prototype.forEach.call(toc.querySelectorAll("button"), function (button, idx) {
+      if (idx === current) button.setAttribute("aria-current", "step");
+      else button.removeAttribute("aria-current");
+      button.classList.toggle("done", idx < current);
+    });
+    back.disabled = current === 0;
+    next.textContent = current === steps.length - 1 ? "Start over" : "Next";
+    if (location.hash !== "#step-" + (current + 1)) history.replaceState(null, "", "#step-" + (current + 1));
+  }
+
+  function go(index) {
+    var clamped = Math.max(0, Math.min(steps.length - 1, index));
+    if (clamped === current && view.childNodes.length) return;
+    current = clamped;
+    render();
+    view.focus({ preventScroll: true });
+  }
+
+  steps.forEach(function (step, idx) {
+    var item = el("li");
+    var button = el("button", "", step.number + ". " + step.title);
+    button.type = "button";
+    button.addEventListener("click", function () { go(idx); });
+    item.appendChild(button);
+    toc.appendChild(item);
+  });
+  back.addEventListener("click", function () { go(current - 1); });
+  next.addEventListener("click", function () { go(current === steps.length - 1 ? 0 : current + 1); });
+  document.addEventListener("keydown", function (event) {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+    var isSpace = event.key === " " && event.target === document.body;
+    if (event.key === "ArrowRight" || event.key === "PageDown" || isSpace) {
+      event.preventDefault();
+      go(current + 1);
+    } else if (event.key === "ArrowLeft" || event.key === "PageUp") {
+      event.preventDefault();
+      go(current - 1);
+    } else if (event.key === "Home") {
+      go(0);
+    } else if (event.key === "End") {
+      go(steps.length - 1);
+    }
+  });
+
+  if (!steps.length) {
+    view.textContent = "This walkthrough has no steps.";
+    return;
+  }
+  var fromHash = /^#step-(\\d+)$/.exec(location.hash);
+  current = fromHash ? Math.max(0, Math.min(steps.length - 1, Number(fromHash[1]) - 1)) : 0;
+  render();
+})();
+`;
+
+export function asWalkthroughHtml(payload: ExportPayload, options: ScreenshotOptions = {}): string {
+  const title = sessionTitle(payload);
+  const steps = walkthroughSteps(payload, options);
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)} - walkthrough</title>
+    <style>${WALKTHROUGH_CSS}</style>
+  </head>
+  <body>
+    <header>
+      <h1>${escapeHtml(title)}</h1>
+      <div class="progress" id="progress" role="progressbar" aria-valuemin="1" aria-valuemax="${steps.length}">
+        <div class="progress-bar" id="progress-bar"></div>
+      </div>
+      <div class="progress-text" id="progress-text"></div>
+    </header>
+    <div class="layout">
+      <nav aria-label="Steps"><ol id="toc"></ol></nav>
+      <div>
+        <main id="step" tabindex="-1" aria-live="polite"></main>
+        <div class="controls">
+          <button type="button" id="back">Back</button>
+          <span class="hint">Use ← → to move between steps</span>
+          <button type="button" id="next" class="primary">Next</button>
+        </div>
+      </div>
+    </div>
+    <script type="application/json" id="walkthrough-data">${inlineJson(steps)}</script>
+    <script>${WALKTHROUGH_SCRIPT}</script>
+  </body>
+</html>`;
+}
@@ -0,0 +1,130 @@
+// Purpose: package a normalized session for the two wikis procedures are published to (Confluence, Notion).
+// Inputs: payloads from `normalizePayload`; screenshots ideally pre-flattened by `flattenStepAnnotations`.
+// Outputs: zip bundles holding the page source plus one image file per step screenshot.
+import { escapeHtml, sessionTitle, type ExportPayload } from "./exporters";
+import { exportableScreenshot, screenshotFileName, type Screenshot, type ScreenshotOptions } from "./screenshots";
+import { createZip, type ZipEntry } from "./zip";
+
+// Confluence renders attached images at their natural size unless told otherwise.
+const CONFLUENCE_IMAGE_WIDTH = 760;
+
+type BundledStep = {
+  step: Record<string, any>;
+  number: number;
+  screenshot: Screenshot | null;
+  fileName: string;
+  notice: string;
+};
+
+function bundleSteps(payload: ExportPayload, options: ScreenshotOptions): BundledStep[] {
+  return payload.steps.map((step, idx) => {
+    const { screenshot, notice } = exportableScreenshot(step, options);
+    const fileName = screenshot ? screenshotFileName(idx + 1, screenshot) : "";
+    return { step, number: idx + 1, screenshot, fileName, notice };
+  });
+}
+
+// Storage format is XHTML: stray control characters or unescaped text make the page fail to import.
+function storageText(value: unknown): string {
+  const text = String(value ?? "").replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+  return escapeHtml(text).replace(/\n/g, "<br />");
+}
+
+function confluenceMacro(name: "info" | "note", body: string, title = ""): string {
+  return [
+    `<ac:structured-macro ac:name="${name}" ac:schema-version="1">`,
+    title ? `<ac:parameter ac:name="title">${storageText(title)}</ac:parameter>` : "",
+    `<ac:rich-text-body><p>${body}</p></ac:rich-text-body>`,
+    "</ac:structured-macro>"
+  ].join("");
+}
+
+export function asConfluenceStorage(payload: ExportPayload, options: ScreenshotOptions = {}): string {
+  const createdOn = new Date(payload.session?.startedAt || Date.now()).toLocaleDateString();
+  const sections = bundleSteps(payload, options).map(({ step, number, screenshot, fileName, notice }) => {
+    const parts = [`<h2>${number}. ${storageText(step.title || "Untitled Step")}</h2>`];
+    if (step.instruction) {
+      parts.push(`<p>${storageText(step.instruction)}</p>`);
+    }
+    if (step.note) {
+      parts.push(confluenceMacro("info", storageText(step.note), "Note"));
+    }
+    if (step.url) {
+      parts.push(`<p><a href="${escapeHtml(step.url)}">${storageText(step.url)}</a></p>`);
+    }
+    if (notice) {
+      parts.push(confluenceMacro("note", storageText(notice)));
+    }
+    if (screenshot) {
+      const width = Math.min(CONFLUENCE_IMAGE_WIDTH, screenshot.width);
+      parts.push(
+        `<p><ac:image ac:width="${width}" ac:alt="Step ${number} screenshot">` +
+          `<ri:attachment ri:filename="${fileName}" /></ac:image></p>`
+      );
+    }
+    return parts.join("\n");
+  });
+
+  return [
+    `<p><em>${payload.steps.length} steps • Captured ${storageText(createdOn)} with Cap Me Action</em></p>`,
+    ...sections
+  ].join("\n");
+}
+
+// Attachments sit next to the page so they can be dropped onto the page in one upload.
+export function buildConfluenceBundle(payload: ExportPayload, options: ScreenshotOptions = {}): Uint8Array {
+  const entries: ZipEntry[] = [{ name: "page.xhtml", data: `${asConfluenceStorage(payload, options)}\n` }];
+  bundleSteps(payload, options).forEach(({ screenshot, fileName }) => {
+    if (screenshot) {
+      entries.push({ name: fileName, data: screenshot.bytes });
+    }
+  });
+  return createZip(entries);
+}
+
+function markdownText(value: unknown): string {
+  return String(value ?? "").replace(/([\\`*_[\]<>])/g, "\\$1");
+}
+
+// Notion's importer names the page after the file and resolves images relative to it.
+function notionAssetFolder(payload: ExportPayload): string {
+  return sessionTitle(payload).replace(/[\\/:*?"<>|]+/g, "-").trim() || "Procedure";
+}
+
+export function asNotionMarkdown(payload: ExportPayload, options: ScreenshotOptions = {}): string {
+  const folder = encodeURI(notionAssetFolder(payload));
+  const createdOn = new Date(payload.session?.startedAt || Date.now()).toLocaleDateString();
+  const body = bundleSteps(payload, options).flatMap(({ step, number, screenshot, fileName, notice }) => {
+    const lines = [`## ${number}. ${markdownText(step.title || "Untitled Step")}`, ""];
+    if (step.instruction) {
+      lines.push(markdownText(step.instruction), "");
+    }
+    // Notion imports `<aside>` blocks as callouts; the leading emoji becomes the callout icon.
+    if (step.note) {
+      lines.push("<aside>", `💡 **Note:** ${markdownText(step.note)}`, "</aside>", "");
+    }
+    if (step.url) {
+      lines.push(`URL: [${markdownText(step.url)}](${String(step.url).replace(/[()\s]/g, encodeURIComponent)})`, "");
+    }
+    if (notice) {
+      lines.push("<aside>", `⚠️ ${markdownText(notice)}`, "</aside>", "");
+    }
+    if (screenshot) {
+      lines.push(`![Step ${number} screenshot](${folder}/${fileName})`, "");
+    }
+    return lines;
+  });
+  const summary = `${payload.steps.length} steps • Captured ${createdOn}`;
+  return [`# ${markdownText(sessionTitle(payload))}`, "", summary, "", ...body].join("\n");
+}
+
+export function buildNotionBundle(payload: ExportPayload, options: ScreenshotOptions = {}): Uint8Array {
+  const folder = notionAssetFolder(payload);
+  const entries: ZipEntry[] = [{ name: `${folder}.md`, data: asNotionMarkdown(payload, options) }];
+  bundleSteps(payload, options).forEach(({ screenshot, fileName }) => {
+    if (screenshot) {
+      entries.push({ name: `${folder}/${fileName}`, data: screenshot.bytes });
+    }
+  });
+  return createZip(entries);
+}
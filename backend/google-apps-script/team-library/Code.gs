@@ -1,5 +1,5 @@
 const TEAM_SYNC_PROTOCOL_VERSION = "1.0.0";
-const TEAM_SYNC_BACKEND_VERSION = "2026-03-06";
+const TEAM_SYNC_BACKEND_VERSION = "2026-10-19";
 const TEAM_SYNC_SERVICE_NAME = "cap-me-team-library";
 const TEAM_SYNC_SUPPORTED_ACTIONS = {
   get: ["health", "version", "debugAuth", "listSessions", "getSession"],
@@ -149,6 +149,7 @@ function versionResponse() {
       accessTokenBodyField: "accessToken",
       payloadBodyField: "payload",
       deleteSessionBodyField: "sessionId",
+      baseRevisionMetaField: "baseRevision",
       googleSessionFallback: true
     }
   });
@@ -207,21 +208,50 @@ function uploadSession(body, email) {
   payload.meta.serverSavedAt = Date.now();
   payload.meta.protocolVersion = TEAM_SYNC_PROTOCOL_VERSION;
 
-  const folder = getFolder();
-  const name = sessionId + ".json";
-  const existing = folder.getFilesByName(name);
-  if (existing.hasNext()) {
-    existing.next().setTrashed(true);
+  // Writers that send the revision they started from get a conflict instead of overwriting a newer upload.
+  const baseRevision = payload.meta.baseRevision == null ? NaN : Number(payload.meta.baseRevision);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const folder = getFolder();
+    const name = sessionId + ".json";
+    const existing = folder.getFilesByName(name);
+    const existingFile = existing.hasNext() ? existing.next() : null;
+    if (existingFile && Number.isFinite(baseRevision)) {
+      const currentRevision = readStoredRevision(existingFile);
+      if (currentRevision > baseRevision) {
+        return jsonResponse({
+          ok: false,
+          errorCode: "REVISION_CONFLICT",
+          sessionId: sessionId,
+          currentRevision: currentRevision
+        });
+      }
+    }
+    if (existingFile) {
+      existingFile.setTrashed(true);
+    }
+
+    const file = folder.createFile(name, JSON.stringify(payload), MimeType.PLAIN_TEXT);
+    return jsonResponse({
+      ok: true,
+      sessionId: sessionId,
+      fileId: file.getId(),
+      uploadedAt: Date.now(),
+      revision: payload.meta.syncRevision || 1
+    });
+  } finally {
+    lock.releaseLock();
   }
+}
 
-  const file = folder.createFile(name, JSON.stringify(payload), MimeType.PLAIN_TEXT);
-  return jsonResponse({
-    ok: true,
-    sessionId: sessionId,
-    fileId: file.getId(),
-    uploadedAt: Date.now(),
-    revision: payload.meta.syncRevision || 1
-  });
+function readStoredRevision(file) {
+  try {
+    const stored = JSON.parse(file.getBlob().getDataAsString() || "{}");
+    return Number((stored.meta && stored.meta.syncRevision) || 1);
+  } catch (error) {
+    return 1;
+  }
 }
 
 function listSessions(e) {
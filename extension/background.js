@@ -1,18 +1,21 @@
 // Purpose: normalize extension events into Session/Step records persisted in chrome.storage.local.
 // Inputs: capture/runtime messages. Outputs: capture state, sessions, steps, and sync queue state.
-const STORAGE_VERSION = 2;
+importScripts("thumbnail-store.js", "sensitive-data.js");
+
+const STORAGE_VERSION = 4;
 const APP_SCHEMA_VERSION = "1.1.0";
 const TEAM_SYNC_PROTOCOL_VERSION = "1.0.0";
 const HOSTED_EDITOR_URL = "https://cap-me-action.vercel.app";
 const LOCAL_EDITOR_URL = "http://localhost:5173";
 const SYNC_ALARM_NAME = "capme-sync-tick";
-const MAX_SESSIONS = 20;
-const MAX_STEPS = 500;
+const RETENTION_ALARM_NAME = "capme-retention-tick";
 const MAX_EVENT_LOG = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const lastThumbnailCaptureByTab = {};
 
-const DEFAULT_CAPTURE_STATE = { isCapturing: false, startedAt: null };
+// pausedMs accumulates completed pauses so the dock timer can exclude them from elapsed time.
+const DEFAULT_CAPTURE_STATE = { isCapturing: false, startedAt: null, isPaused: false, pausedAt: null, pausedMs: 0 };
 const DEFAULT_SYNC_CONFIG = {
   enabled: false,
   autoUploadOnStop: false,
@@ -32,6 +35,30 @@ const DEFAULT_SYNC_STATE = {
   lastErrorDetail: null
 };
 const DEFAULT_TEAM_LIBRARY_CACHE = { items: [], updatedAt: null };
+// maxAgeDays: 0 disables age expiry. Unsynced sessions are warned about for unsyncedGraceDays before pruning.
+const DEFAULT_RETENTION_CONFIG = {
+  maxSessions: 20,
+  maxStepsPerSession: 500,
+  maxAgeDays: 0,
+  unsyncedGraceDays: 7
+};
+const DEFAULT_RETENTION_STATE = { lastRunAt: null, prunedCount: 0, pendingEvictions: {} };
+// burnIn paints redaction boxes into the stored JPEG; annotations alone can be removed by editing the JSON.
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  burnIn: true,
+  selectors: [".pii", "[data-pii]"]
+};
+const REDACTION_FILL_COLOR = "#111827";
+// Host patterns: "example.com" matches the host and its subdomains, "*.example.com" subdomains only.
+// An empty allow list allows every host not blocked; blocked patterns always win.
+const DEFAULT_CAPTURE_POLICY = {
+  allowedHosts: [],
+  blockedHosts: []
+};
+
+const AUTO_HIGHLIGHT_STEP_TYPES = new Set(["click", "input", "select", "toggle"]);
+const AUTO_HIGHLIGHT_PADDING_PX = 6;
 
 // Purpose: keep thumbnails readable for editor annotation while staying within storage limits.
 const THUMBNAIL_CAPTURE_CONFIG = {
@@ -58,6 +85,31 @@ function defaultSessionSync() {
   };
 }
 
+function normalizeCaptureState(value) {
+  const merged = { ...DEFAULT_CAPTURE_STATE, ...(value ?? {}) };
+  const isCapturing = Boolean(merged.isCapturing);
+  const isPaused = isCapturing && Boolean(merged.isPaused) && Number.isFinite(merged.pausedAt);
+  return {
+    isCapturing,
+    startedAt: Number.isFinite(merged.startedAt) ? merged.startedAt : null,
+    isPaused,
+    pausedAt: isPaused ? merged.pausedAt : null,
+    pausedMs: Number.isFinite(merged.pausedMs) ? Math.max(0, merged.pausedMs) : 0
+  };
+}
+
+function normalizePauseIntervals(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((interval) => Number.isFinite(interval?.pausedAt))
+    .map((interval) => ({
+      pausedAt: interval.pausedAt,
+      resumedAt: Number.isFinite(interval.resumedAt) ? interval.resumedAt : null
+    }));
+}
+
 function normalizeSession(session) {
   const normalized = {
     id: String(session?.id ?? makeId("sess")),
@@ -69,6 +121,9 @@ function normalizeSession(session) {
     startedAt: Number.isFinite(session?.startedAt) ? session.startedAt : nowTs(),
     updatedAt: Number.isFinite(session?.updatedAt) ? session.updatedAt : nowTs(),
     stepsCount: Number.isFinite(session?.stepsCount) ? Math.max(0, session.stepsCount) : 0,
+    pinned: Boolean(session?.pinned),
+    stepLimitReached: Boolean(session?.stepLimitReached),
+    pauses: normalizePauseIntervals(session?.pauses),
     sync: {
       ...defaultSessionSync(),
       ...(session?.sync ?? {})
@@ -81,7 +136,7 @@ function normalizeSession(session) {
   if (!normalized.lastTitle) {
     normalized.lastTitle = normalized.startTitle;
   }
-  if (!["local", "pending", "synced", "failed", "blocked"].includes(normalized.sync.status)) {
+  if (!["local", "pending", "synced", "failed", "blocked", "conflict"].includes(normalized.sync.status)) {
     normalized.sync.status = "local";
   }
 
@@ -93,10 +148,34 @@ function normalizeStep(step, idx) {
     ...step,
     id: step?.id ?? makeId("step"),
     stepIndex: Number.isFinite(step?.stepIndex) ? step.stepIndex : idx + 1,
+    thumbnailRef: typeof step?.thumbnailRef === "string" && step.thumbnailRef ? step.thumbnailRef : null,
     annotations: Array.isArray(step?.annotations) ? step.annotations : []
   };
 }
 
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+// Target rect is in CSS pixels relative to the top-level viewport, which is what captureVisibleTab renders.
+function normalizeStepGeometry(value) {
+  const viewportWidth = finiteOrNull(value?.viewport?.width);
+  const viewportHeight = finiteOrNull(value?.viewport?.height);
+  if (!viewportWidth || !viewportHeight) {
+    return null;
+  }
+
+  const rect = value?.rect;
+  const hasRect = ["x", "y", "width", "height"].every((key) => Number.isFinite(rect?.[key]));
+  return {
+    rect: hasRect ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height } : null,
+    viewport: { width: viewportWidth, height: viewportHeight },
+    devicePixelRatio: finiteOrNull(value?.devicePixelRatio) ?? 1,
+    scrollX: finiteOrNull(value?.scrollX) ?? 0,
+    scrollY: finiteOrNull(value?.scrollY) ?? 0
+  };
+}
+
 function normalizeSyncConfig(value) {
   const editorUrl = normalizeEditorUrl(value?.editorUrl ?? DEFAULT_SYNC_CONFIG.editorUrl);
   return {
@@ -111,6 +190,69 @@ function normalizeSyncConfig(value) {
   };
 }
 
+function clampRetentionNumber(value, fallback, min, max) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, Math.round(parsed)));
+}
+
+function normalizeRetentionConfig(value) {
+  return {
+    maxSessions: clampRetentionNumber(value?.maxSessions, DEFAULT_RETENTION_CONFIG.maxSessions, 1, 500),
+    maxStepsPerSession: clampRetentionNumber(
+      value?.maxStepsPerSession,
+      DEFAULT_RETENTION_CONFIG.maxStepsPerSession,
+      10,
+      10000
+    ),
+    maxAgeDays: clampRetentionNumber(value?.maxAgeDays, DEFAULT_RETENTION_CONFIG.maxAgeDays, 0, 3650),
+    unsyncedGraceDays: clampRetentionNumber(
+      value?.unsyncedGraceDays,
+      DEFAULT_RETENTION_CONFIG.unsyncedGraceDays,
+      0,
+      365
+    )
+  };
+}
+
+function normalizeRetentionState(value) {
+  return {
+    ...DEFAULT_RETENTION_STATE,
+    ...(value ?? {}),
+    pendingEvictions:
+      typeof value?.pendingEvictions === "object" && value.pendingEvictions ? { ...value.pendingEvictions } : {}
+  };
+}
+
+function normalizeRedactionConfig(value) {
+  const selectors = Array.isArray(value?.selectors) ? value.selectors : DEFAULT_REDACTION_CONFIG.selectors;
+  return {
+    enabled: typeof value?.enabled === "boolean" ? value.enabled : DEFAULT_REDACTION_CONFIG.enabled,
+    burnIn: typeof value?.burnIn === "boolean" ? value.burnIn : DEFAULT_REDACTION_CONFIG.burnIn,
+    selectors: [...new Set(selectors.map((selector) => String(selector ?? "").trim()).filter(Boolean))].slice(0, 50)
+  };
+}
+
+function normalizeHostPattern(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  const withoutScheme = raw.replace(/^[a-z][a-z0-9+.-]*:\/\//, "");
+  return withoutScheme.split(/[/?#]/)[0].replace(/:\d+$/, "").replace(/\.$/, "");
+}
+
+function normalizeHostPatterns(value) {
+  const list = Array.isArray(value) ? value : [];
+  return [...new Set(list.map(normalizeHostPattern).filter(Boolean))].slice(0, 200);
+}
+
+function normalizeCapturePolicy(value) {
+  return {
+    allowedHosts: normalizeHostPatterns(value?.allowedHosts ?? DEFAULT_CAPTURE_POLICY.allowedHosts),
+    blockedHosts: normalizeHostPatterns(value?.blockedHosts ?? DEFAULT_CAPTURE_POLICY.blockedHosts)
+  };
+}
+
 function normalizeEditorUrl(value) {
   const rawEditorUrl = String(value ?? "").trim();
   if (!rawEditorUrl) {
@@ -128,7 +270,7 @@ function normalizeStore(store) {
   return {
     storageVersion: Number.isFinite(store?.storageVersion) ? store.storageVersion : 0,
     schemaVersion: String(store?.schemaVersion ?? APP_SCHEMA_VERSION),
-    captureState: { ...DEFAULT_CAPTURE_STATE, ...(store?.captureState ?? {}) },
+    captureState: normalizeCaptureState(store?.captureState),
     sessions,
     steps,
     sessionByTab: typeof store?.sessionByTab === "object" && store.sessionByTab
@@ -141,7 +283,11 @@ function normalizeStore(store) {
     teamLibraryCache:
       typeof store?.teamLibraryCache === "object" && store.teamLibraryCache
         ? { ...DEFAULT_TEAM_LIBRARY_CACHE, ...store.teamLibraryCache }
-        : { ...DEFAULT_TEAM_LIBRARY_CACHE }
+        : { ...DEFAULT_TEAM_LIBRARY_CACHE },
+    retentionConfig: normalizeRetentionConfig(store?.retentionConfig),
+    retentionState: normalizeRetentionState(store?.retentionState),
+    redactionConfig: normalizeRedactionConfig(store?.redactionConfig),
+    capturePolicy: normalizeCapturePolicy(store?.capturePolicy)
   };
 }
 
@@ -162,6 +308,7 @@ function buildStepSignature(step) {
     String(step.scrollX ?? ""),
     String(step.scrollY ?? ""),
     step.navigationKind ?? "",
+    (step.frame?.path ?? []).join(">"),
     m.ctrl ? "1" : "0",
     m.meta ? "1" : "0",
     m.alt ? "1" : "0",
@@ -169,6 +316,36 @@ function buildStepSignature(step) {
   ].join("|");
 }
 
+function buildFieldKey(step) {
+  const t = step.target ?? {};
+  return [
+    step.url,
+    t.tag ?? "",
+    t.id ?? "",
+    t.name ?? "",
+    step.selectors?.css ?? "",
+    (step.frame?.path ?? []).join(">")
+  ].join("|");
+}
+
+// Input steps fire per keystroke, so a value only recognized once complete (a card number, an email) has
+// already stored its prefixes; re-mask the session's trailing steps on the same field.
+function maskPriorFieldSteps(steps, step, fromIndex = steps.length - 1) {
+  const fieldKey = buildFieldKey(step);
+  for (let i = fromIndex; i >= 0; i -= 1) {
+    const prior = steps[i];
+    if (prior.sessionId !== step.sessionId) {
+      continue;
+    }
+    if (!["input", "key"].includes(prior.type) || buildFieldKey(prior) !== fieldKey) {
+      break;
+    }
+    if (!prior.sensitive) {
+      steps[i] = maskSensitiveStep({ ...prior, sensitive: step.sensitive });
+    }
+  }
+}
+
 function findLatestSessionStep(steps, sessionId) {
   for (let i = steps.length - 1; i >= 0; i -= 1) {
     if (steps[i].sessionId === sessionId) {
@@ -178,6 +355,49 @@ function findLatestSessionStep(steps, sessionId) {
   return null;
 }
 
+function deriveStepTargetLabel(step) {
+  const target = step.target ?? {};
+  const roleCandidate = Array.isArray(step.selectors?.candidates)
+    ? step.selectors.candidates.find((candidate) => candidate?.strategy === "role")
+    : null;
+  const raw = [target.label, roleCandidate?.name, target.text, target.placeholder, target.name, target.id].find(
+    (value) => String(value ?? "").trim()
+  );
+  return String(raw ?? target.tag ?? "").replace(/\s+/g, " ").trim().slice(0, 80);
+}
+
+// Builds a normalized StepAnnotation around the target, scaled into the compressed thumbnail's pixel grid.
+function buildAutoHighlight(step) {
+  const geometry = step.geometry;
+  const rect = geometry?.rect;
+  if (!AUTO_HIGHLIGHT_STEP_TYPES.has(step.type) || !rect || !geometry.viewport) {
+    return null;
+  }
+
+  const size = step.thumbnailSize ?? geometry.viewport;
+  const scaleX = size.width / geometry.viewport.width;
+  const scaleY = size.height / geometry.viewport.height;
+  const left = Math.max(0, rect.x * scaleX - AUTO_HIGHLIGHT_PADDING_PX);
+  const top = Math.max(0, rect.y * scaleY - AUTO_HIGHLIGHT_PADDING_PX);
+  const right = Math.min(size.width, (rect.x + rect.width) * scaleX + AUTO_HIGHLIGHT_PADDING_PX);
+  const bottom = Math.min(size.height, (rect.y + rect.height) * scaleY + AUTO_HIGHLIGHT_PADDING_PX);
+  // Targets scrolled out of the captured viewport leave nothing to highlight.
+  if (right - left < 2 || bottom - top < 2) {
+    return null;
+  }
+
+  const unit = (value, total) => Math.round((value / total) * 10000) / 10000;
+  return {
+    id: makeId("ann"),
+    x: unit(left, size.width),
+    y: unit(top, size.height),
+    width: unit(right - left, size.width),
+    height: unit(bottom - top, size.height),
+    label: deriveStepTargetLabel(step),
+    type: "highlight"
+  };
+}
+
 function createSession(sessionId, tabId, payload) {
   return normalizeSession({
     id: sessionId,
@@ -361,7 +581,9 @@ function buildSyncPayload(session, steps, capturedBy, syncRevision, maskInputVal
     meta: {
       capturedBy: capturedBy || "unknown",
       appVersion: chrome.runtime.getManifest().version,
-      syncRevision: Number.isFinite(syncRevision) ? syncRevision : 1
+      syncRevision: Number.isFinite(syncRevision) ? syncRevision : 1,
+      // Lets the backend reject this upload when someone else published a newer revision in the meantime.
+      baseRevision: Number.isFinite(syncRevision) ? syncRevision - 1 : 0
     }
   };
 }
@@ -453,6 +675,7 @@ async function uploadSessionToEndpoint(syncConfig, session, steps) {
       ok: false,
       errorCode: String(body?.errorCode ?? body?.error ?? `HTTP_${response.status}`),
       detail: `status=${response.status}; request=${requestUrl}; response=${responseUrl}; body=${snippet}`,
+      currentRevision: Number.isFinite(body?.currentRevision) ? body.currentRevision : null,
       requestUrl,
       responseUrl,
       httpStatus: response.status
@@ -511,6 +734,111 @@ function ensureSessionQueued(store, sessionId, reason) {
   markSessionSyncStatus(session, { status: "pending", errorCode: null });
   return { ok: true };
 }
+
+const SAVED_STEP_TEXT_LIMIT = 4000;
+
+function normalizeSavedAnnotation(annotation) {
+  const type = annotation?.type;
+  const rect = ["x", "y", "width", "height"].map((key) => annotation?.[key]);
+  if ((type !== "highlight" && type !== "redact") || !rect.every((value) => Number.isFinite(value))) {
+    return null;
+  }
+  const [x, y, width, height] = rect;
+  if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > 1.0001 || y + height > 1.0001) {
+    return null;
+  }
+  return {
+    id: String(annotation.id ?? makeId("ann")),
+    type,
+    x,
+    y,
+    width,
+    height,
+    label: String(annotation.label ?? "").slice(0, SAVED_STEP_TEXT_LIMIT)
+  };
+}
+
+// Editor saves may only reorder, drop, and re-describe steps this session already holds: capture data, selectors,
+// and screenshots always come from the stored records, so a page cannot inject steps through the bridge.
+function validateSessionSave(store, payload) {
+  const sessionId = typeof payload?.session?.id === "string" ? payload.session.id.trim() : "";
+  if (!sessionId) {
+    return { ok: false, errorCode: "SESSION_ID_REQUIRED" };
+  }
+  const session = sessionById(store.sessions, sessionId);
+  if (!session) {
+    return { ok: false, errorCode: "SESSION_NOT_FOUND" };
+  }
+  // Steps captured after the editor loaded would be dropped by the replace, so live sessions are refused.
+  if (store.captureState.isCapturing && Object.values(store.sessionByTab).includes(sessionId)) {
+    return { ok: false, errorCode: "SESSION_CAPTURING" };
+  }
+  const incoming = payload?.steps;
+  if (!Array.isArray(incoming) || !incoming.length || incoming.length > store.retentionConfig.maxStepsPerSession) {
+    return { ok: false, errorCode: "INVALID_SESSION_STEPS" };
+  }
+
+  const storedById = new Map(store.steps.filter((step) => step.sessionId === sessionId).map((step) => [step.id, step]));
+  const sessionThumbnailRefs = new Set([...storedById.values()].map((step) => step.thumbnailRef).filter(Boolean));
+  const seen = new Set();
+  const steps = [];
+  for (const step of incoming) {
+    const stored = storedById.get(step?.id);
+    if (!stored || seen.has(step.id)) {
+      return { ok: false, errorCode: "STEP_NOT_IN_SESSION" };
+    }
+    seen.add(step.id);
+    const textFields = ["title", "instruction", "note"];
+    if (textFields.some((field) => step[field] !== undefined && typeof step[field] !== "string")) {
+      return { ok: false, errorCode: "INVALID_STEP_FIELDS" };
+    }
+    const annotations = Array.isArray(step.annotations) ? step.annotations.map(normalizeSavedAnnotation) : [];
+    if (step.annotations !== undefined && (!Array.isArray(step.annotations) || annotations.includes(null))) {
+      return { ok: false, errorCode: "INVALID_ANNOTATION" };
+    }
+    // A merged step may show the screenshot of the step it absorbed; only refs owned by this session are accepted.
+    const thumbnailRef = sessionThumbnailRefs.has(step.thumbnailRef) ? step.thumbnailRef : stored.thumbnailRef;
+    steps.push({
+      ...stored,
+      stepIndex: steps.length + 1,
+      title: String(step.title ?? stored.title ?? "").slice(0, SAVED_STEP_TEXT_LIMIT),
+      instruction: String(step.instruction ?? stored.instruction ?? "").slice(0, SAVED_STEP_TEXT_LIMIT),
+      note: String(step.note ?? stored.note ?? "").slice(0, SAVED_STEP_TEXT_LIMIT),
+      thumbnailRef,
+      thumbnailSize: thumbnailRef === stored.thumbnailRef ? stored.thumbnailSize ?? null : null,
+      annotations
+    });
+  }
+
+  const keptRefs = new Set(steps.map((step) => step.thumbnailRef).filter(Boolean));
+  const removed = [...storedById.values()].filter((step) => !seen.has(step.id));
+  return {
+    ok: true,
+    session,
+    steps,
+    // Removed steps whose screenshot moved onto a kept (merged) step must keep their blob.
+    releasable: removed.filter((step) => !keptRefs.has(step.thumbnailRef))
+  };
+}
+
+function applySessionSave(store, { session, steps }) {
+  store.steps = [...store.steps.filter((step) => step.sessionId !== session.id), ...steps];
+  const lastStep = steps[steps.length - 1];
+  session.stepsCount = steps.length;
+  session.stepLimitReached = false;
+  session.updatedAt = nowTs();
+  session.lastUrl = lastStep.url || session.startUrl;
+  session.lastTitle = lastStep.pageTitle || session.startTitle;
+}
+
+function closeOpenPauseIntervals(store, ts) {
+  store.sessions.forEach((session) => {
+    const open = session.pauses?.find((interval) => interval.resumedAt === null);
+    if (open) {
+      open.resumedAt = ts;
+    }
+  });
+}
 
 function resolveSessionIdForSender(store, sender, fallbackToLatest = true) {
   const tabId = sender?.tab?.id;
@@ -541,24 +869,213 @@ async function loadStore() {
     "syncConfig",
     "syncQueue",
     "syncState",
-    "teamLibraryCache"
+    "teamLibraryCache",
+    "retentionConfig",
+    "retentionState",
+    "redactionConfig",
+    "capturePolicy"
   ]);
   return normalizeStore(raw);
 }
 
+async function storeStepThumbnail(stepId, dataUrl) {
+  try {
+    return await putThumbnailDataUrl(stepId, dataUrl);
+  } catch {
+    return null;
+  }
+}
+
+async function releaseStepThumbnails(steps) {
+  const refs = steps.map((step) => step?.thumbnailRef).filter(Boolean);
+  if (!refs.length) {
+    return;
+  }
+  try {
+    await deleteThumbnailBlobs(refs);
+  } catch {
+    // Best-effort cleanup; an orphaned blob only costs space.
+  }
+}
+
+function selectRetentionCandidates(store, now) {
+  const config = normalizeRetentionConfig(store.retentionConfig);
+  const activeSessionIds = new Set(store.captureState.isCapturing ? Object.values(store.sessionByTab) : []);
+  const evictable = store.sessions
+    .filter((session) => !session.pinned && !activeSessionIds.has(session.id))
+    .sort((a, b) => (a.updatedAt ?? 0) - (b.updatedAt ?? 0));
+  const due = new Map();
+
+  if (config.maxAgeDays > 0) {
+    const cutoff = now - config.maxAgeDays * DAY_MS;
+    evictable.forEach((session) => {
+      if ((session.updatedAt ?? 0) < cutoff) {
+        due.set(session.id, "age");
+      }
+    });
+  }
+
+  let remaining = store.sessions.length - due.size;
+  for (const session of evictable) {
+    if (remaining <= config.maxSessions) {
+      break;
+    }
+    if (!due.has(session.id)) {
+      due.set(session.id, "count");
+      remaining -= 1;
+    }
+  }
+  return due;
+}
+
+// Unsynced sessions are never dropped silently: queue an upload when sync is configured,
+// otherwise keep them in pendingEvictions (shown in the popup) until the grace period ends.
+function applyRetentionPolicy(store, now = nowTs()) {
+  const config = normalizeRetentionConfig(store.retentionConfig);
+  const previous = normalizeRetentionState(store.retentionState).pendingEvictions;
+  const canUpload = Boolean(store.syncConfig.enabled && store.syncConfig.endpointUrl);
+  const pendingEvictions = {};
+  const evictIds = new Set();
+  let queued = false;
+
+  for (const [sessionId, reason] of selectRetentionCandidates(store, now)) {
+    const session = sessionById(store.sessions, sessionId);
+    if (!session) {
+      continue;
+    }
+    if (session.sync?.status === "synced") {
+      evictIds.add(sessionId);
+      continue;
+    }
+
+    const firstDueAt = previous[sessionId]?.firstDueAt ?? now;
+    const title = session.lastTitle || session.startTitle || session.startUrl || sessionId;
+    // A conflicted session would only conflict again, so it takes the grace-period path like offline sessions.
+    if (canUpload && session.sync?.status !== "conflict") {
+      if (!store.syncQueue.some((item) => item.sessionId === sessionId)) {
+        queued = ensureSessionQueued(store, sessionId, "retention").ok || queued;
+      }
+      pendingEvictions[sessionId] = { firstDueAt, reason, action: "upload_queued", title };
+      continue;
+    }
+
+    const pruneAt = firstDueAt + config.unsyncedGraceDays * DAY_MS;
+    if (now >= pruneAt) {
+      evictIds.add(sessionId);
+      continue;
+    }
+    pendingEvictions[sessionId] = { firstDueAt, reason, action: "warned", pruneAt, title };
+  }
+
+  const removedSteps = store.steps.filter((step) => evictIds.has(step.sessionId));
+  if (evictIds.size) {
+    store.sessions = store.sessions.filter((session) => !evictIds.has(session.id));
+    store.steps = store.steps.filter((step) => !evictIds.has(step.sessionId));
+    store.syncQueue = store.syncQueue.filter((item) => !evictIds.has(item.sessionId));
+    store.sessionByTab = Object.fromEntries(
+      Object.entries(store.sessionByTab).filter(([, value]) => !evictIds.has(value))
+    );
+    appendEventLog(store, { type: "RETENTION_PRUNED", sessionIds: [...evictIds], ts: now });
+  }
+
+  store.retentionState = {
+    lastRunAt: now,
+    prunedCount: (Number(store.retentionState?.prunedCount) || 0) + evictIds.size,
+    pendingEvictions
+  };
+  return { removedSteps, queued };
+}
+
 async function saveStore(store) {
+  const retention = applyRetentionPolicy(store);
   await setStorage({
     storageVersion: STORAGE_VERSION,
     schemaVersion: APP_SCHEMA_VERSION,
     captureState: store.captureState,
-    sessions: store.sessions.slice(-MAX_SESSIONS),
-    steps: store.steps.slice(-MAX_STEPS),
+    sessions: store.sessions,
+    steps: store.steps,
     sessionByTab: store.sessionByTab,
     eventLog: store.eventLog.slice(-MAX_EVENT_LOG),
     syncConfig: normalizeSyncConfig(store.syncConfig),
     syncQueue: store.syncQueue,
     syncState: { ...DEFAULT_SYNC_STATE, ...(store.syncState ?? {}) },
-    teamLibraryCache: { ...DEFAULT_TEAM_LIBRARY_CACHE, ...(store.teamLibraryCache ?? {}) }
+    teamLibraryCache: { ...DEFAULT_TEAM_LIBRARY_CACHE, ...(store.teamLibraryCache ?? {}) },
+    retentionConfig: normalizeRetentionConfig(store.retentionConfig),
+    retentionState: store.retentionState,
+    redactionConfig: normalizeRedactionConfig(store.redactionConfig),
+    capturePolicy: normalizeCapturePolicy(store.capturePolicy)
+  });
+  await releaseStepThumbnails(retention.removedSteps);
+  if (retention.queued) {
+    await scheduleSyncAlarm(store.syncQueue);
+  }
+}
+
+function getManagedCapturePolicy() {
+  return new Promise((resolve) => {
+    if (!chrome.storage.managed?.get) {
+      resolve(null);
+      return;
+    }
+    chrome.storage.managed.get(["capturePolicy"], (result) => {
+      if (chrome.runtime.lastError || !result?.capturePolicy) {
+        resolve(null);
+        return;
+      }
+      resolve(normalizeCapturePolicy(result.capturePolicy));
+    });
+  });
+}
+
+// IT-managed policy (chrome.storage.managed) can only be tightened locally: its blocks add to the local ones,
+// and a managed allow list replaces the local one.
+async function resolveCapturePolicy(store) {
+  const local = normalizeCapturePolicy(store.capturePolicy);
+  const managed = await getManagedCapturePolicy();
+  if (!managed) {
+    return { ...local, managed: false };
+  }
+  return {
+    allowedHosts: managed.allowedHosts.length ? managed.allowedHosts : local.allowedHosts,
+    blockedHosts: [...new Set([...managed.blockedHosts, ...local.blockedHosts])],
+    managed: true
+  };
+}
+
+function hostMatchesPattern(host, pattern) {
+  if (pattern.startsWith("*.")) {
+    return host.endsWith(pattern.slice(1));
+  }
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+function evaluateCapturePolicy(policy, urls) {
+  const hosts = urls
+    .map((url) => {
+      try {
+        return new URL(url).hostname.toLowerCase();
+      } catch {
+        return "";
+      }
+    })
+    .filter(Boolean);
+  for (const host of hosts) {
+    const blocked = policy.blockedHosts.find((pattern) => hostMatchesPattern(host, pattern));
+    if (blocked) {
+      return { excluded: true, reason: "blocked", host, pattern: blocked };
+    }
+    if (policy.allowedHosts.length && !policy.allowedHosts.some((pattern) => hostMatchesPattern(host, pattern))) {
+      return { excluded: true, reason: "not_allowed", host, pattern: null };
+    }
+  }
+  return { excluded: false, reason: null, host: hosts[0] ?? null, pattern: null };
+}
+
+function ensureRetentionAlarm() {
+  chrome.alarms.get(RETENTION_ALARM_NAME, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(RETENTION_ALARM_NAME, { delayInMinutes: 5, periodInMinutes: 360 });
+    }
   });
 }
 
@@ -586,6 +1103,32 @@ async function migrateStorageIfNeeded(reason = "runtime") {
     }
   }
 
+  // Storage v4: mask sensitive values captured before the classifier existed.
+  for (let i = 0; store.storageVersion < 4 && i < store.steps.length; i += 1) {
+    const masked = maskSensitiveStep(store.steps[i]);
+    if (JSON.stringify(masked) === JSON.stringify(store.steps[i])) {
+      continue;
+    }
+    store.steps[i] = masked;
+    changed = true;
+    if (masked.sensitive && masked.type === "input") {
+      maskPriorFieldSteps(store.steps, masked, i - 1);
+    }
+  }
+
+  // Storage v3: inline base64 thumbnails move into the IndexedDB blob store.
+  for (const step of store.steps) {
+    if (step.thumbnailRef || typeof step.thumbnailDataUrl !== "string" || !step.thumbnailDataUrl.startsWith("data:")) {
+      continue;
+    }
+    const ref = await storeStepThumbnail(step.id, step.thumbnailDataUrl);
+    if (ref) {
+      step.thumbnailRef = ref;
+      step.thumbnailDataUrl = null;
+      changed = true;
+    }
+  }
+
   if (store.schemaVersion !== APP_SCHEMA_VERSION) {
     store.schemaVersion = APP_SCHEMA_VERSION;
     changed = true;
@@ -619,9 +1162,11 @@ async function processSyncQueue(trigger = "manual") {
       continue;
     }
 
-    const steps = store.steps
-      .filter((x) => x.sessionId === session.id)
-      .sort((a, b) => (a.stepIndex ?? 0) - (b.stepIndex ?? 0) || (a.at ?? 0) - (b.at ?? 0));
+    const steps = await resolveUploadStepThumbnails(
+      store.steps
+        .filter((x) => x.sessionId === session.id)
+        .sort((a, b) => (a.stepIndex ?? 0) - (b.stepIndex ?? 0) || (a.at ?? 0) - (b.at ?? 0))
+    );
 
     const uploadResult = await uploadSessionToEndpoint(store.syncConfig, session, steps);
     processed += 1;
@@ -642,9 +1187,23 @@ async function processSyncQueue(trigger = "manual") {
       continue;
     }
 
+    const errorCode = uploadResult.errorCode ?? "UPLOAD_FAILED";
+    store.syncState.failureCount += 1;
+    store.syncState.lastErrorCode = errorCode;
+    store.syncState.lastErrorAt = nowTs();
+    store.syncState.lastErrorDetail = uploadResult.detail ?? null;
+    changed = true;
+
+    // Someone published a newer revision; retrying the same upload can never succeed, so it leaves the queue.
+    if (errorCode === "REVISION_CONFLICT") {
+      markSessionSyncStatus(session, { status: "conflict", errorCode });
+      store.syncQueue.splice(i, 1);
+      i -= 1;
+      continue;
+    }
+
     const nextAttempt = Number(item.attempt ?? 0) + 1;
     const nextRetryAt = nowTs() + retryDelayMs(nextAttempt);
-    const errorCode = uploadResult.errorCode ?? "UPLOAD_FAILED";
     store.syncQueue[i] = {
       ...item,
       attempt: nextAttempt,
@@ -662,12 +1221,6 @@ async function processSyncQueue(trigger = "manual") {
     if (errorCode === "QUOTA_EXCEEDED") {
       store.syncState.quotaWarning = true;
     }
-
-    store.syncState.failureCount += 1;
-    store.syncState.lastErrorCode = errorCode;
-    store.syncState.lastErrorAt = nowTs();
-    store.syncState.lastErrorDetail = uploadResult.detail ?? null;
-    changed = true;
   }
 
   store.syncState.lastRunAt = nowTs();
@@ -719,7 +1272,8 @@ function sendTabMessage(tabId, message, options = {}) {
     timer = setTimeout(() => {
       finish({ ok: false, error: "TAB_MESSAGE_TIMEOUT" });
     }, timeoutMs);
-    chrome.tabs.sendMessage(tabId, message, (response) => {
+    // Dock messages target the top frame; subframes also run the content script.
+    chrome.tabs.sendMessage(tabId, message, { frameId: 0 }, (response) => {
       if (chrome.runtime.lastError) {
         finish({ ok: false, error: chrome.runtime.lastError.message || "TAB_MESSAGE_FAILED" });
         return;
@@ -740,10 +1294,65 @@ async function blobToBase64(blob) {
   return btoa(binary);
 }
 
-async function compressThumbnail(dataUrl, options = THUMBNAIL_CAPTURE_CONFIG) {
+// Dimensions are reported so step geometry can be mapped into thumbnail pixels; null when unknown.
+function thumbnailResult(dataUrl, width = null, height = null, burnedIn = false) {
+  return { dataUrl, width, height, burnedIn };
+}
+
+// Page rects arrive in top-viewport CSS px; convert to the normalized units annotations and burn-in share.
+// Returns null when the page did not answer with a usable scan, so callers can fail closed.
+function normalizeRedactionRects(response) {
+  const viewportWidth = finiteOrNull(response?.viewport?.width);
+  const viewportHeight = finiteOrNull(response?.viewport?.height);
+  if (!response?.ok || !viewportWidth || !viewportHeight || !Array.isArray(response.rects)) {
+    return null;
+  }
+
+  const unit = (value, total) => Math.min(1, Math.max(0, Math.round((value / total) * 10000) / 10000));
+  return response.rects
+    .filter((rect) => ["x", "y", "width", "height"].every((key) => Number.isFinite(rect?.[key])))
+    .map((rect) => ({
+      x: unit(rect.x, viewportWidth),
+      y: unit(rect.y, viewportHeight),
+      width: unit(rect.width, viewportWidth),
+      height: unit(rect.height, viewportHeight),
+      reason: String(rect.reason ?? "sensitive")
+    }))
+    .filter((rect) => rect.width > 0 && rect.height > 0);
+}
+
+function buildRedactionAnnotation(rect) {
+  return {
+    id: makeId("ann"),
+    x: rect.x,
+    y: rect.y,
+    width: rect.width,
+    height: rect.height,
+    label: `Redacted (${rect.reason})`,
+    type: "redact"
+  };
+}
+
+const REDACTION_COLLECT_TIMEOUT_MS = 400;
+
+// Resolves to [] when redaction is off, the page's sensitive rects when it is on, and null when the page could not
+// be scanned (no content script, or the scan timed out); a null result means no screenshot may be stored.
+async function collectTabRedactions(tabId, redactionConfig) {
+  if (!redactionConfig.enabled) {
+    return [];
+  }
+  const response = await sendTabMessage(
+    tabId,
+    { type: "COLLECT_REDACTION_RECTS", selectors: redactionConfig.selectors },
+    { timeoutMs: REDACTION_COLLECT_TIMEOUT_MS }
+  );
+  return normalizeRedactionRects(response);
+}
+
+async function compressThumbnail(dataUrl, options = THUMBNAIL_CAPTURE_CONFIG, burnRects = []) {
   try {
     if (typeof OffscreenCanvas === "undefined" || typeof createImageBitmap !== "function") {
-      return dataUrl;
+      return thumbnailResult(dataUrl);
     }
 
     const response = await fetch(dataUrl);
@@ -761,19 +1370,28 @@ async function compressThumbnail(dataUrl, options = THUMBNAIL_CAPTURE_CONFIG) {
         const canvas = new OffscreenCanvas(width, height);
         const ctx = canvas.getContext("2d");
         if (!ctx) {
-          return dataUrl;
+          return thumbnailResult(dataUrl, bitmap.width, bitmap.height);
         }
 
         ctx.imageSmoothingEnabled = true;
         ctx.imageSmoothingQuality = "high";
         ctx.drawImage(bitmap, 0, 0, width, height);
+        ctx.fillStyle = REDACTION_FILL_COLOR;
+        burnRects.forEach((rect) => {
+          ctx.fillRect(
+            Math.floor(rect.x * width),
+            Math.floor(rect.y * height),
+            Math.ceil(rect.width * width) + 1,
+            Math.ceil(rect.height * height) + 1
+          );
+        });
 
         for (const quality of options.qualitySteps) {
           const candidateBlob = await canvas.convertToBlob({ type: "image/jpeg", quality });
           fallbackBlob = candidateBlob;
           if (candidateBlob.size <= options.maxBytes) {
             const base64 = await blobToBase64(candidateBlob);
-            return `data:${candidateBlob.type};base64,${base64}`;
+            return thumbnailResult(`data:${candidateBlob.type};base64,${base64}`, width, height, true);
           }
         }
 
@@ -786,19 +1404,37 @@ async function compressThumbnail(dataUrl, options = THUMBNAIL_CAPTURE_CONFIG) {
       }
 
       if (!fallbackBlob) {
-        return dataUrl;
+        return thumbnailResult(dataUrl, bitmap.width, bitmap.height);
       }
       const base64 = await blobToBase64(fallbackBlob);
-      return `data:${fallbackBlob.type};base64,${base64}`;
+      return thumbnailResult(`data:${fallbackBlob.type};base64,${base64}`, width, height, true);
     } finally {
       bitmap.close?.();
     }
   } catch {
-    return dataUrl;
+    return thumbnailResult(dataUrl);
   }
 }
 
-async function maybeCaptureThumbnail(sender, step) {
+// Uploads leave this browser, so redact annotations (captured or drawn in the editor) are painted into the pixels
+// first; a screenshot that cannot be painted is withheld rather than uploaded with metadata-only redaction.
+async function resolveUploadStepThumbnails(steps) {
+  const resolved = await resolveStepThumbnails(steps);
+  return Promise.all(
+    resolved.map(async (step) => {
+      const redactions = (Array.isArray(step.annotations) ? step.annotations : []).filter(
+        (ann) => ann?.type === "redact"
+      );
+      if (!step.thumbnailDataUrl || !redactions.length) {
+        return step;
+      }
+      const burned = await compressThumbnail(step.thumbnailDataUrl, THUMBNAIL_CAPTURE_CONFIG, redactions);
+      return { ...step, thumbnailDataUrl: burned.burnedIn ? burned.dataUrl : null };
+    })
+  );
+}
+
+async function maybeCaptureThumbnail(sender, step, redactionConfig = DEFAULT_REDACTION_CONFIG) {
   const stepType = step?.type ?? "";
   if (!shouldCaptureThumbnail(step)) {
     return null;
@@ -840,6 +1476,12 @@ async function maybeCaptureThumbnail(sender, step) {
     if (dockHidden) {
       await new Promise((resolve) => setTimeout(resolve, 28));
     }
+    // Rects are collected right before the capture so they match what the screenshot shows.
+    const redactions = await collectTabRedactions(tab.id, redactionConfig);
+    if (!redactions) {
+      markCaptureAttempt(false);
+      return null;
+    }
     raw = await captureVisibleTab(tab.windowId);
     if (!raw && dockHidden) {
       await sendTabMessage(
@@ -854,9 +1496,15 @@ async function maybeCaptureThumbnail(sender, step) {
       markCaptureAttempt(false);
       return null;
     }
-    const compressed = await compressThumbnail(raw, THUMBNAIL_CAPTURE_CONFIG);
+    const burnRects = redactionConfig.burnIn ? redactions : [];
+    const compressed = await compressThumbnail(raw, THUMBNAIL_CAPTURE_CONFIG, burnRects);
+    // Never store an unredacted image when burn-in was required but the canvas path was unavailable.
+    if (burnRects.length > 0 && !compressed.burnedIn) {
+      markCaptureAttempt(false);
+      return null;
+    }
     markCaptureAttempt(Boolean(compressed));
-    return compressed;
+    return { ...compressed, redactions };
   } finally {
     if (dockHidden) {
       await sendTabMessage(
@@ -868,15 +1516,368 @@ async function maybeCaptureThumbnail(sender, step) {
   }
 }
 
+const REPLAY_STATE_KEY = "replayState";
+const REPLAY_STEP_TIMEOUT_MS = 8000;
+const REPLAY_NAVIGATION_TIMEOUT_MS = 15000;
+// captureVisibleTab is rate limited to two calls per second per extension.
+const REPLAY_SCREENSHOT_INTERVAL_MS = 600;
+const DEFAULT_REPLAY_STATE = {
+  runId: null,
+  status: "idle",
+  source: null,
+  sessionId: null,
+  tabId: null,
+  startedAt: null,
+  finishedAt: null,
+  currentIndex: 0,
+  total: 0,
+  errorCode: null,
+  results: []
+};
+// In-memory handle for the running replay; replayState in storage is the durable, UI-facing copy.
+let activeReplay = null;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function readReplayState() {
+  const raw = await getStorage([REPLAY_STATE_KEY]);
+  return { ...DEFAULT_REPLAY_STATE, ...(raw[REPLAY_STATE_KEY] ?? {}) };
+}
+
+function writeReplayState(state) {
+  return setStorage({ [REPLAY_STATE_KEY]: state });
+}
+
+function getTab(tabId) {
+  return new Promise((resolve) => {
+    chrome.tabs.get(tabId, (tab) => resolve(chrome.runtime.lastError ? null : tab));
+  });
+}
+
+function waitForTabComplete(tabId, timeoutMs = REPLAY_NAVIGATION_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const finish = (ok) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve(ok);
+    };
+    const onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        finish(true);
+      }
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    timer = setTimeout(() => finish(false), timeoutMs);
+    getTab(tabId).then((tab) => {
+      if (!tab) {
+        finish(false);
+      } else if (tab.status === "complete") {
+        finish(true);
+      }
+    });
+  });
+}
+
+async function executeInTab(tabId, func, args = []) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({ target: { tabId, frameIds: [0] }, func, args });
+    return injection?.result ?? null;
+  } catch (error) {
+    const reason = String(error?.message || error);
+    return { ok: false, status: "failed", errorCode: "SCRIPT_INJECTION_FAILED", error: reason };
+  }
+}
+
+// Tabs opened before install (or pages still loading) may lack the content scripts the agent builds on.
+async function ensureReplayAgent(tabId) {
+  const probe = await executeInTab(tabId, () => ({
+    engine: typeof resolveSelectorCandidate === "function",
+    agent: Boolean(globalThis.capMeReplayAgent)
+  }));
+  if (probe?.engine && probe?.agent) {
+    return true;
+  }
+  const files = probe?.engine ? ["replay-agent.js"] : ["selector-engine.js", "replay-agent.js"];
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, frameIds: [0] }, files });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function urlsMatch(left, right) {
+  try {
+    const a = new URL(left);
+    const b = new URL(right);
+    return a.origin === b.origin && a.pathname === b.pathname && a.search === b.search;
+  } catch {
+    return left === right;
+  }
+}
+
+// A navigate step usually follows the click that caused it; only load the URL ourselves if the page did not get there.
+async function replayNavigateStep(tabId, step) {
+  const deadline = Date.now() + 1500;
+  let tab = await getTab(tabId);
+  while (tab && !urlsMatch(tab.url, step.url) && Date.now() < deadline) {
+    await delay(150);
+    tab = await getTab(tabId);
+  }
+  if (!tab) {
+    return { ok: false, status: "failed", errorCode: "REPLAY_TAB_CLOSED" };
+  }
+  if (urlsMatch(tab.url, step.url)) {
+    return { ok: true, status: "passed" };
+  }
+  await chrome.tabs.update(tabId, { url: step.url });
+  const loaded = await waitForTabComplete(tabId);
+  return loaded
+    ? { ok: true, status: "passed", navigated: true }
+    : { ok: false, status: "failed", errorCode: "NAVIGATION_TIMEOUT" };
+}
+
+async function settleReplayTab(tabId) {
+  await delay(150);
+  const tab = await getTab(tabId);
+  if (tab?.status === "loading") {
+    await waitForTabComplete(tabId);
+  }
+  if (await ensureReplayAgent(tabId)) {
+    await executeInTab(tabId, () => globalThis.capMeReplayAgent.waitForSettle());
+  }
+}
+
+// Replay screenshots carry no annotations, so with redaction on the rects are always burned in (whatever `burnIn`
+// says) and the screenshot is dropped when they cannot be collected or burned.
+async function captureReplayScreenshot(tabId, key, redactionConfig = DEFAULT_REDACTION_CONFIG) {
+  const tab = await getTab(tabId);
+  if (!tab?.active || typeof tab.windowId !== "number") {
+    return null;
+  }
+  const redactions = await collectTabRedactions(tabId, redactionConfig);
+  if (!redactions) {
+    return null;
+  }
+  const raw = await captureVisibleTab(tab.windowId);
+  if (!raw) {
+    return null;
+  }
+  const compressed = await compressThumbnail(raw, THUMBNAIL_CAPTURE_CONFIG, redactions);
+  if (redactions.length > 0 && !compressed.burnedIn) {
+    return null;
+  }
+  return storeStepThumbnail(key, compressed.dataUrl);
+}
+
+async function replayStep(tabId, step) {
+  if (step.type === "navigate") {
+    return replayNavigateStep(tabId, step);
+  }
+  if (!(await ensureReplayAgent(tabId))) {
+    return { ok: false, status: "failed", errorCode: "SCRIPT_INJECTION_FAILED" };
+  }
+  const result = await executeInTab(
+    tabId,
+    (payload, options) => globalThis.capMeReplayAgent.runStep(payload, options),
+    [step, { timeoutMs: REPLAY_STEP_TIMEOUT_MS }]
+  );
+  return result ?? { ok: false, status: "failed", errorCode: "REPLAY_NO_RESULT" };
+}
+
+// Values the agent needs; thumbnails and annotations stay behind.
+function toReplayStep(step) {
+  return {
+    id: String(step?.id ?? ""),
+    stepIndex: step?.stepIndex ?? null,
+    type: String(step?.type ?? ""),
+    url: String(step?.url ?? ""),
+    key: step?.key ?? null,
+    modifiers: step?.modifiers ?? null,
+    value: step?.value ?? null,
+    optionValue: step?.optionValue ?? null,
+    optionText: step?.optionText ?? null,
+    checked: typeof step?.checked === "boolean" ? step.checked : null,
+    clickCount: step?.clickCount ?? null,
+    scrollX: step?.scrollX ?? null,
+    scrollY: step?.scrollY ?? null,
+    selectors: step?.selectors ?? null,
+    frame: step?.frame ?? null,
+    sensitive: step?.sensitive ?? null
+  };
+}
+
+async function releaseReplayScreenshots(state) {
+  const refs = (state.results ?? []).map((result) => result?.screenshotRef).filter(Boolean);
+  if (refs.length) {
+    await deleteThumbnailBlobs(refs).catch(() => {});
+  }
+}
+
+async function runReplay(run, steps, options) {
+  let lastScreenshotAt = 0;
+  const state = await readReplayState();
+  for (let i = 0; i < steps.length; i += 1) {
+    const step = steps[i];
+    if (run.cancelled) {
+      state.status = "cancelled";
+      break;
+    }
+    state.currentIndex = i;
+    await writeReplayState(state);
+
+    const startedAt = nowTs();
+    let result;
+    try {
+      result = await replayStep(run.tabId, step);
+      if (result.status === "passed") {
+        await settleReplayTab(run.tabId);
+      }
+    } catch (error) {
+      result = { ok: false, status: "failed", errorCode: "REPLAY_STEP_ERROR" };
+    }
+
+    let screenshotRef = null;
+    if (result.status !== "skipped") {
+      await delay(Math.max(0, lastScreenshotAt + REPLAY_SCREENSHOT_INTERVAL_MS - nowTs()));
+      screenshotRef = await captureReplayScreenshot(
+        run.tabId,
+        `replay_${run.runId}_${step.id || i}`,
+        options.redactionConfig
+      );
+      lastScreenshotAt = nowTs();
+    }
+
+    state.results.push({
+      stepId: step.id,
+      stepIndex: step.stepIndex ?? i + 1,
+      type: step.type,
+      status: result.status,
+      errorCode: result.errorCode ?? null,
+      strategy: result.strategy ?? null,
+      selector: result.selector ?? null,
+      ambiguous: Boolean(result.ambiguous),
+      durationMs: nowTs() - startedAt,
+      screenshotRef
+    });
+
+    if (result.status === "failed" && options.stopOnFailure) {
+      state.status = "failed";
+      break;
+    }
+  }
+
+  if (state.status === "running") {
+    state.status = state.results.some((result) => result.status === "failed") ? "failed" : "passed";
+  }
+  state.currentIndex = state.results.length;
+  state.finishedAt = nowTs();
+  await writeReplayState(state);
+  activeReplay = null;
+}
+
+async function startReplay({ steps, sessionId, source, startUrl, stopOnFailure, redactionConfig }) {
+  if (activeReplay) {
+    return { ok: false, errorCode: "REPLAY_ALREADY_RUNNING", runId: activeReplay.runId };
+  }
+  const replaySteps = steps.map(toReplayStep).filter((step) => step.type);
+  const url = startUrl || replaySteps.find((step) => step.url)?.url || "";
+  if (!replaySteps.length || !/^https?:/i.test(url)) {
+    return { ok: false, errorCode: "REPLAY_NOTHING_TO_RUN" };
+  }
+
+  await releaseReplayScreenshots(await readReplayState());
+  const tab = await chrome.tabs.create({ url, active: true });
+  const run = { runId: makeId("replay"), tabId: tab.id, cancelled: false };
+  activeReplay = run;
+  await writeReplayState({
+    ...DEFAULT_REPLAY_STATE,
+    runId: run.runId,
+    status: "running",
+    source,
+    sessionId,
+    tabId: tab.id,
+    startedAt: nowTs(),
+    total: replaySteps.length,
+    results: []
+  });
+
+  void (async () => {
+    const loaded = await waitForTabComplete(tab.id);
+    if (!loaded) {
+      activeReplay = null;
+      const state = await readReplayState();
+      await writeReplayState({ ...state, status: "failed", errorCode: "NAVIGATION_TIMEOUT", finishedAt: nowTs() });
+      return;
+    }
+    await runReplay(run, replaySteps, { stopOnFailure: stopOnFailure !== false, redactionConfig });
+  })().catch(async (error) => {
+    activeReplay = null;
+    await writeReplayState({
+      ...(await readReplayState()),
+      status: "failed",
+      errorCode: String(error?.message || "REPLAY_FAILED"),
+      finishedAt: nowTs()
+    });
+  });
+
+  return { ok: true, runId: run.runId, tabId: tab.id };
+}
+
+// A worker restart drops the in-memory run; surface that instead of leaving a run "running" forever.
+async function recoverInterruptedReplay() {
+  const state = await readReplayState();
+  if (state.status === "running" && !activeReplay) {
+    await writeReplayState({ ...state, status: "interrupted", finishedAt: nowTs() });
+  }
+}
+
+// Replays started through the page bridge are only honored from the configured editor or a local dev server.
+function senderOrigin(sender) {
+  try {
+    return new URL(sender.url || sender.origin || "").origin;
+  } catch {
+    return "";
+  }
+}
+
+// Only the configured editor itself; local dev servers are trusted for bridge requests but may be recording targets.
+function isConfiguredEditorSender(store, sender) {
+  try {
+    return senderOrigin(sender) === new URL(normalizeEditorUrl(store.syncConfig?.editorUrl)).origin;
+  } catch {
+    return false;
+  }
+}
+
+function isTrustedEditorSender(store, sender) {
+  return (
+    isConfiguredEditorSender(store, sender) ||
+    /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(senderOrigin(sender))
+  );
+}
+
 chrome.runtime.onInstalled.addListener(() => {
+  ensureRetentionAlarm();
   void migrateStorageIfNeeded("install");
 });
 
 chrome.runtime.onStartup.addListener(() => {
+  ensureRetentionAlarm();
   void migrateStorageIfNeeded("startup");
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETENTION_ALARM_NAME) {
+    // The alarm fires again in six hours, so a failed run (e.g. storage quota) is only reported.
+    void loadStore()
+      .then(saveStore)
+      .catch((error) => console.warn("Retention run failed:", error));
+    return;
+  }
   if (alarm.name !== SYNC_ALARM_NAME) {
     return;
   }
@@ -884,6 +1885,7 @@ chrome.alarms.onAlarm.addListener((alarm) => {
 });
 
 void migrateStorageIfNeeded("load");
+void recoverInterruptedReplay();
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message?.type) {
@@ -992,6 +1994,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return;
     }
 
+    // The editor and the page bridge resolve screenshots here so `resolveStepThumbnails` stays the only resolver.
+    if (message.type === "RESOLVE_THUMBNAILS") {
+      const steps = Array.isArray(message.payload?.steps) ? message.payload.steps : [];
+      sendResponse({ ok: true, steps: await resolveStepThumbnails(steps) });
+      return;
+    }
+
     if (message.type === "OPEN_EDITOR") {
       const sessionId = String(
         message.payload?.sessionId ??
@@ -1047,7 +2056,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 
     if (message.type === "START_CAPTURE") {
-      store.captureState = { isCapturing: true, startedAt: nowTs() };
+      store.captureState = { ...DEFAULT_CAPTURE_STATE, isCapturing: true, startedAt: nowTs() };
       appendEventLog(store, { type: "START_CAPTURE", tabId: tabId ?? null, ts: nowTs() });
       await saveStore(store);
       sendResponse({ ok: true, captureState: store.captureState });
@@ -1055,9 +2064,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 
     if (message.type === "STOP_CAPTURE") {
+      const stoppedAt = nowTs();
+      const wasPaused = store.captureState.isPaused;
+      if (wasPaused) {
+        closeOpenPauseIntervals(store, stoppedAt);
+      }
       store.captureState = {
-        isCapturing: false,
-        startedAt: store.captureState.startedAt ?? nowTs()
+        ...DEFAULT_CAPTURE_STATE,
+        startedAt: store.captureState.startedAt ?? stoppedAt,
+        pausedMs: store.captureState.pausedMs + (wasPaused ? stoppedAt - store.captureState.pausedAt : 0)
       };
 
       let queuedSessionId = null;
@@ -1090,8 +2105,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return;
     }
 
+    if (message.type === "PAUSE_CAPTURE") {
+      if (!store.captureState.isCapturing || store.captureState.isPaused) {
+        sendResponse({ ok: true, ignored: true, captureState: store.captureState });
+        return;
+      }
+      const pausedAt = nowTs();
+      // Pausing is global, so every session currently recording in a tab gets the interval.
+      const sessions = [...new Set(Object.values(store.sessionByTab))]
+        .map((id) => sessionById(store.sessions, id))
+        .filter(Boolean);
+      sessions.forEach((session) => session.pauses.push({ pausedAt, resumedAt: null }));
+      const sessionIds = sessions.map((session) => session.id);
+      store.captureState = { ...store.captureState, isPaused: true, pausedAt };
+      appendEventLog(store, { type: "PAUSE_CAPTURE", tabId: tabId ?? null, sessionIds, ts: pausedAt });
+      await saveStore(store);
+      sendResponse({ ok: true, captureState: store.captureState, sessionIds });
+      return;
+    }
+
+    if (message.type === "RESUME_CAPTURE") {
+      if (!store.captureState.isCapturing || !store.captureState.isPaused) {
+        sendResponse({ ok: true, ignored: true, captureState: store.captureState });
+        return;
+      }
+      const resumedAt = nowTs();
+      closeOpenPauseIntervals(store, resumedAt);
+      store.captureState = {
+        ...store.captureState,
+        isPaused: false,
+        pausedAt: null,
+        pausedMs: store.captureState.pausedMs + (resumedAt - store.captureState.pausedAt)
+      };
+      appendEventLog(store, { type: "RESUME_CAPTURE", tabId: tabId ?? null, ts: resumedAt });
+      await saveStore(store);
+      sendResponse({ ok: true, captureState: store.captureState });
+      return;
+    }
+
     if (message.type === "GET_DOCK_STATE") {
       const sessionId = typeof tabId === "number" ? store.sessionByTab[String(tabId)] ?? null : null;
+      const policy = await resolveCapturePolicy(store);
+      const siteCheck = evaluateCapturePolicy(policy, [message.payload?.href ?? sender.url ?? ""]);
       const session = sessionId ? sessionById(store.sessions, sessionId) : null;
       const stepsCount = sessionId
         ? store.steps.filter((x) => x.sessionId === sessionId).length
@@ -1101,11 +2156,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         ok: true,
         isCapturing: Boolean(store.captureState.isCapturing),
         startedAt: store.captureState.startedAt ?? null,
+        isPaused: store.captureState.isPaused,
+        pausedAt: store.captureState.pausedAt,
+        pausedMs: store.captureState.pausedMs,
         sessionId,
         stepsCount,
         sessionUpdatedAt: session?.updatedAt ?? null,
-        syncStatus: session?.sync?.status ?? "local"
+        syncStatus: session?.sync?.status ?? "local",
+        stepLimitReached: Boolean(session?.stepLimitReached),
+        maxStepsPerSession: store.retentionConfig.maxStepsPerSession,
+        siteExcluded: siteCheck.excluded,
+        siteExclusionReason: siteCheck.reason
+      });
+      return;
+    }
+
+    if (message.type === "SET_SESSION_PINNED") {
+      const session = sessionById(store.sessions, message.payload?.sessionId);
+      if (!session) {
+        sendResponse({ ok: false, errorCode: "SESSION_NOT_FOUND" });
+        return;
+      }
+      session.pinned = Boolean(message.payload?.pinned);
+      appendEventLog(store, {
+        type: "SET_SESSION_PINNED",
+        sessionId: session.id,
+        pinned: session.pinned,
+        ts: nowTs()
       });
+      await saveStore(store);
+      sendResponse({ ok: true, sessionId: session.id, pinned: session.pinned });
       return;
     }
 
@@ -1198,9 +2278,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
 
       const removed = store.steps.splice(lastStepIndex, 1)[0];
+      await releaseStepThumbnails([removed]);
       const remaining = store.steps.filter((x) => x.sessionId === sessionId);
       const lastRemaining = remaining[remaining.length - 1] ?? null;
       session.stepsCount = remaining.length;
+      session.stepLimitReached = false;
       session.updatedAt = lastRemaining?.at ?? session.startedAt;
       session.lastUrl = lastRemaining?.url ?? session.startUrl;
       session.lastTitle = lastRemaining?.pageTitle ?? session.startTitle;
@@ -1218,11 +2300,216 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return;
     }
 
+    if (message.type === "SAVE_SESSION") {
+      if (tabId !== undefined && !isTrustedEditorSender(store, sender)) {
+        sendResponse({ ok: false, errorCode: "SAVE_ORIGIN_REJECTED" });
+        return;
+      }
+      const validation = validateSessionSave(store, message.payload);
+      if (!validation.ok) {
+        sendResponse({ ok: false, errorCode: validation.errorCode });
+        return;
+      }
+      const { session, steps, releasable } = validation;
+      applySessionSave(store, validation);
+      // The edited version replaces the raw capture on the next upload; without sync it stays local.
+      const queued = store.syncConfig.enabled ? ensureSessionQueued(store, session.id, "editor-save") : null;
+      if (!queued) {
+        markSessionSyncStatus(session, { status: "local", errorCode: null });
+      }
+      appendEventLog(store, {
+        type: "SAVE_SESSION",
+        sessionId: session.id,
+        stepsCount: steps.length,
+        removedCount: releasable.length,
+        ts: nowTs()
+      });
+      await saveStore(store);
+      await releaseStepThumbnails(releasable);
+      if (queued?.ok) {
+        await scheduleSyncAlarm(store.syncQueue);
+      }
+      sendResponse({
+        ok: true,
+        sessionId: session.id,
+        stepsCount: steps.length,
+        sync: session.sync,
+        protocolVersion: TEAM_SYNC_PROTOCOL_VERSION
+      });
+      return;
+    }
+
+    // The content script streams storage changes to the page only after the worker accepts its origin.
+    if (message.type === "SUBSCRIBE_SESSION") {
+      if (tabId !== undefined && !isTrustedEditorSender(store, sender)) {
+        sendResponse({ ok: false, errorCode: "SUBSCRIBE_ORIGIN_REJECTED" });
+        return;
+      }
+      const sessionId = String(message.payload?.sessionId ?? "");
+      if (!sessionById(store.sessions, sessionId)) {
+        sendResponse({ ok: false, errorCode: "SESSION_NOT_FOUND" });
+        return;
+      }
+      sendResponse({ ok: true, sessionId });
+      return;
+    }
+
+    if (message.type === "PUBLISH_SESSION") {
+      if (tabId !== undefined && !isTrustedEditorSender(store, sender)) {
+        sendResponse({ ok: false, errorCode: "PUBLISH_ORIGIN_REJECTED" });
+        return;
+      }
+      const validation = validateSessionSave(store, message.payload);
+      if (!validation.ok) {
+        sendResponse({ ok: false, errorCode: validation.errorCode });
+        return;
+      }
+      // Publishing saves the edits first, so a failed upload never loses them; the upload is queued for retry unless
+      // it conflicted with a newer revision.
+      const { session, steps, releasable } = validation;
+      applySessionSave(store, validation);
+      appendEventLog(store, {
+        type: "PUBLISH_SESSION",
+        sessionId: session.id,
+        stepsCount: steps.length,
+        removedCount: releasable.length,
+        ts: nowTs()
+      });
+      await saveStore(store);
+      await releaseStepThumbnails(releasable);
+
+      const uploadResult = await uploadSessionToEndpoint(
+        store.syncConfig,
+        session,
+        await resolveUploadStepThumbnails(steps)
+      );
+      const latestStore = await loadStore();
+      const latestSession = sessionById(latestStore.sessions, session.id);
+      if (latestSession && uploadResult.ok) {
+        markSessionSyncStatus(latestSession, {
+          status: "synced",
+          revision: uploadResult.revision,
+          lastSyncedAt: uploadResult.uploadedAt,
+          errorCode: null
+        });
+        latestStore.syncQueue = latestStore.syncQueue.filter((item) => item.sessionId !== session.id);
+        latestStore.syncState.successCount += 1;
+      } else if (latestSession && uploadResult.errorCode === "REVISION_CONFLICT") {
+        markSessionSyncStatus(latestSession, { status: "conflict", errorCode: uploadResult.errorCode });
+        latestStore.syncQueue = latestStore.syncQueue.filter((item) => item.sessionId !== session.id);
+      } else if (latestSession) {
+        // Marks the session blocked when sync is disabled or has no endpoint; otherwise queues a backed-off retry.
+        if (ensureSessionQueued(latestStore, session.id, "publish").ok) {
+          const errorCode = uploadResult.errorCode ?? "UPLOAD_FAILED";
+          latestStore.syncQueue = latestStore.syncQueue.map((item) =>
+            item.sessionId === session.id
+              ? {
+                  ...item,
+                  attempt: 1,
+                  nextRetryAt: nowTs() + retryDelayMs(1),
+                  lastErrorCode: errorCode,
+                  lastErrorAt: nowTs()
+                }
+              : item
+          );
+          markSessionSyncStatus(latestSession, { errorCode });
+        }
+      }
+      await saveStore(latestStore);
+      await scheduleSyncAlarm(latestStore.syncQueue);
+      sendResponse({
+        ok: uploadResult.ok,
+        errorCode: uploadResult.ok ? null : uploadResult.errorCode ?? "UPLOAD_FAILED",
+        sessionId: session.id,
+        stepsCount: steps.length,
+        revision: uploadResult.ok ? uploadResult.revision : null,
+        currentRevision: uploadResult.currentRevision ?? null,
+        uploadedAt: uploadResult.ok ? uploadResult.uploadedAt : null,
+        sync: latestSession?.sync ?? null,
+        protocolVersion: TEAM_SYNC_PROTOCOL_VERSION
+      });
+      return;
+    }
+
+    if (message.type === "GET_REPLAY_STATE") {
+      if (tabId !== undefined && !isTrustedEditorSender(store, sender)) {
+        sendResponse({ ok: false, errorCode: "REPLAY_ORIGIN_REJECTED" });
+        return;
+      }
+      sendResponse({ ok: true, replayState: await readReplayState() });
+      return;
+    }
+
+    if (message.type === "CANCEL_REPLAY") {
+      if (tabId !== undefined && !isTrustedEditorSender(store, sender)) {
+        sendResponse({ ok: false, errorCode: "REPLAY_ORIGIN_REJECTED" });
+        return;
+      }
+      if (activeReplay) {
+        activeReplay.cancelled = true;
+      }
+      sendResponse({ ok: true, cancelled: Boolean(activeReplay) });
+      return;
+    }
+
+    if (message.type === "START_REPLAY") {
+      // Extension pages have no sender tab; bridge requests come through a content script and are origin-checked.
+      if (tabId !== undefined && !isTrustedEditorSender(store, sender)) {
+        sendResponse({ ok: false, errorCode: "REPLAY_ORIGIN_REJECTED" });
+        return;
+      }
+      const sessionId = message.payload?.sessionId ?? message.payload?.session?.sessionId ?? null;
+      const session = sessionId ? sessionById(store.sessions, sessionId) : null;
+      const steps = Array.isArray(message.payload?.steps)
+        ? message.payload.steps
+        : store.steps.filter((step) => step.sessionId === sessionId);
+      const result = await startReplay({
+        steps,
+        sessionId,
+        source: message.payload?.source ?? (tabId === undefined ? "extension" : "editor"),
+        startUrl: message.payload?.session?.startUrl ?? session?.startUrl ?? "",
+        stopOnFailure: message.payload?.stopOnFailure,
+        redactionConfig: store.redactionConfig
+      });
+      sendResponse(result);
+      return;
+    }
+
     if (typeof tabId !== "number" || !store.captureState.isCapturing) {
       sendResponse({ ok: true, ignored: true });
       return;
     }
 
+    // Paused: record nothing (no step, no new session for a tab opened meanwhile) but leave sessionByTab untouched so
+    // resume continues the same sessions.
+    const isCaptureMessage = message.type === "STEP_CAPTURED" || message.type === "CONTENT_SCRIPT_READY";
+    if (isCaptureMessage && store.captureState.isPaused) {
+      sendResponse({ ok: true, ignored: true, errorCode: "CAPTURE_PAUSED" });
+      return;
+    }
+
+    // The replay tab would otherwise record its own synthetic events into a new session.
+    if (isCaptureMessage && activeReplay?.tabId === tabId) {
+      sendResponse({ ok: true, ignored: true, errorCode: "REPLAY_ACTIVE" });
+      return;
+    }
+
+    // Editing a session (e.g. while following its live capture) is not part of the recorded procedure.
+    if (isCaptureMessage && isConfiguredEditorSender(store, sender)) {
+      sendResponse({ ok: true, ignored: true, errorCode: "EDITOR_PAGE" });
+      return;
+    }
+
+    // Excluded sites never reach storage: no step, no thumbnail, and no session created for the tab.
+    if (message.type === "STEP_CAPTURED" || message.type === "CONTENT_SCRIPT_READY") {
+      const policy = await resolveCapturePolicy(store);
+      const siteCheck = evaluateCapturePolicy(policy, [message.payload?.href ?? "", message.payload?.frame?.url ?? ""]);
+      if (siteCheck.excluded) {
+        sendResponse({ ok: true, ignored: true, errorCode: "CAPTURE_EXCLUDED_SITE", reason: siteCheck.reason });
+        return;
+      }
+    }
+
     let sessionId = store.sessionByTab[String(tabId)];
 
     if (!sessionId && message.type === "CONTENT_SCRIPT_READY") {
@@ -1239,7 +2526,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     if (message.type === "STEP_CAPTURED" && sessionId) {
       const session = sessionById(store.sessions, sessionId);
-      const step = {
+      // A long recording stops growing at its own cap instead of evicting other sessions' steps.
+      if (session && session.stepsCount >= store.retentionConfig.maxStepsPerSession) {
+        if (!session.stepLimitReached) {
+          session.stepLimitReached = true;
+          appendEventLog(store, { type: "SESSION_STEP_LIMIT_REACHED", tabId, sessionId, ts: nowTs() });
+          await saveStore(store);
+        }
+        sendResponse({ ok: true, ignored: true, errorCode: "SESSION_STEP_LIMIT", sessionId });
+        return;
+      }
+      // The content script already masks; re-checking here keeps older tabs' unmasked payloads off disk.
+      const step = maskSensitiveStep({
         id: makeId("step"),
         sessionId,
         stepIndex: (session?.stepsCount ?? 0) + 1,
@@ -1260,9 +2558,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         fromHref: message.payload?.fromHref ?? null,
         target: message.payload?.target ?? null,
         selectors: message.payload?.selectors ?? null,
+        frame: message.payload?.frame
+          ? {
+              path: Array.isArray(message.payload.frame.path) ? message.payload.frame.path : [],
+              url: String(message.payload.frame.url ?? ""),
+              frameId: Number.isFinite(sender.frameId) ? sender.frameId : null
+            }
+          : null,
+        geometry: normalizeStepGeometry(message.payload?.geometry),
+        thumbnailRef: null,
+        thumbnailSize: null,
         thumbnailDataUrl: null,
-        annotations: []
-      };
+        annotations: [],
+        sensitive: message.payload?.sensitive ?? null
+      });
 
       const latestSessionStep = findLatestSessionStep(store.steps, sessionId);
       const isDuplicate =
@@ -1273,13 +2582,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (!isDuplicate) {
         try {
           const thumbnail = await Promise.race([
-            maybeCaptureThumbnail(sender, step),
+            maybeCaptureThumbnail(sender, step, store.redactionConfig),
             new Promise((resolve) => setTimeout(() => resolve(null), 900))
           ]);
-          step.thumbnailDataUrl = typeof thumbnail === "string" ? thumbnail : null;
+          if (typeof thumbnail?.dataUrl === "string") {
+            step.thumbnailRef = await storeStepThumbnail(step.id, thumbnail.dataUrl);
+            // Without IndexedDB, keep the image inline rather than dropping it.
+            step.thumbnailDataUrl = step.thumbnailRef ? null : thumbnail.dataUrl;
+            step.thumbnailSize =
+              thumbnail.width && thumbnail.height ? { width: thumbnail.width, height: thumbnail.height } : null;
+            step.annotations.push(...thumbnail.redactions.map(buildRedactionAnnotation));
+            const autoHighlight = buildAutoHighlight(step);
+            if (autoHighlight) {
+              step.annotations.push(autoHighlight);
+            }
+          }
         } catch {
+          step.thumbnailRef = null;
           step.thumbnailDataUrl = null;
         }
+        if (step.sensitive && step.type === "input") {
+          maskPriorFieldSteps(store.steps, step);
+        }
         store.steps.push(step);
       }
 
@@ -2,6 +2,7 @@
 // Inputs: DOM, history, and window events. Outputs: STEP_CAPTURED messages with rich selectors/metadata.
 const TEAM_SYNC_PROTOCOL_VERSION = "1.0.0";
 const APP_BRIDGE_CHANNEL = "CAP_ME_APP_BRIDGE";
+const IS_TOP_FRAME = window === window.top;
 
 function safeSendMessage(message) {
   try {
@@ -40,86 +41,8 @@ function normalizeText(value, maxLen = 120) {
   return String(value ?? "").replace(/\s+/g, " ").trim().slice(0, maxLen);
 }
 
-function escapeSelectorValue(value) {
-  if (typeof CSS !== "undefined" && typeof CSS.escape === "function") {
-    return CSS.escape(value);
-  }
-  return String(value).replace(/[^a-zA-Z0-9_-]/g, "\\$&");
-}
-
-function buildCssSelector(el) {
-  if (!(el instanceof Element)) {
-    return null;
-  }
-  if (el.id) {
-    return `#${escapeSelectorValue(el.id)}`;
-  }
-
-  const parts = [];
-  let node = el;
-  let depth = 0;
-  while (node && node.nodeType === Node.ELEMENT_NODE && depth < 6) {
-    const tag = node.tagName.toLowerCase();
-    if (!tag) {
-      break;
-    }
-
-    if (node.id) {
-      parts.unshift(`#${escapeSelectorValue(node.id)}`);
-      break;
-    }
-
-    let segment = tag;
-    const parent = node.parentElement;
-    if (parent) {
-      const sameTagSiblings = Array.from(parent.children).filter(
-        (child) => child.tagName.toLowerCase() === tag
-      );
-      if (sameTagSiblings.length > 1) {
-        const index = sameTagSiblings.indexOf(node) + 1;
-        segment += `:nth-of-type(${index})`;
-      }
-    }
-
-    parts.unshift(segment);
-    node = parent;
-    depth += 1;
-  }
-
-  return parts.length > 0 ? parts.join(" > ") : null;
-}
-
-function buildXPath(el) {
-  if (!(el instanceof Element)) {
-    return null;
-  }
-  if (el.id) {
-    return `//*[@id="${String(el.id).replace(/"/g, '\\"')}"]`;
-  }
-
-  const parts = [];
-  let node = el;
-  while (node && node.nodeType === Node.ELEMENT_NODE) {
-    const tag = node.tagName.toLowerCase();
-    const parent = node.parentElement;
-    if (!parent) {
-      parts.unshift(`/${tag}`);
-      break;
-    }
-
-    const siblings = Array.from(parent.children).filter(
-      (child) => child.tagName.toLowerCase() === tag
-    );
-    const index = siblings.indexOf(node) + 1;
-    parts.unshift(`/${tag}[${index}]`);
-    node = parent;
-  }
-
-  return parts.join("");
-}
-
 function getElementLabel(el) {
-  if (!(el instanceof Element)) {
+  if (!isElementNode(el)) {
     return "";
   }
 
@@ -137,7 +60,9 @@ function getElementLabel(el) {
   }
 
   if (el.id) {
-    const forLabel = document.querySelector(`label[for="${el.id}"]`);
+    const root = el.getRootNode?.();
+    const scope = typeof root?.querySelector === "function" ? root : document;
+    const forLabel = scope.querySelector(`label[for="${escapeSelectorValue(el.id)}"]`);
     if (forLabel) {
       return normalizeText(forLabel.textContent || "", 100);
     }
@@ -147,7 +72,7 @@ function getElementLabel(el) {
 }
 
 function buildTargetMeta(el) {
-  if (!(el instanceof Element)) {
+  if (!isElementNode(el)) {
     return null;
   }
 
@@ -158,50 +83,238 @@ function buildTargetMeta(el) {
     type: (el.getAttribute("type") || "") || null,
     role: (el.getAttribute("role") || "") || null,
     placeholder: (el.getAttribute("placeholder") || "") || null,
+    autocomplete: (el.getAttribute("autocomplete") || "") || null,
     label: getElementLabel(el) || null,
     text: normalizeText(el.textContent || "", 80) || null
   };
 }
 
-function buildSelectors(el) {
+// Iframe selectors from the top document down to this frame; null when an ancestor is cross-origin.
+function resolveFramePath() {
+  const path = [];
+  let current = window;
+  try {
+    while (current !== current.top) {
+      const frameEl = current.frameElement;
+      if (!isElementNode(frameEl)) {
+        return null;
+      }
+      path.unshift(buildCssSelector(frameEl));
+      current = current.parent;
+    }
+  } catch {
+    return null;
+  }
+  return path;
+}
+
+function buildFrameMeta() {
+  if (IS_TOP_FRAME) {
+    return null;
+  }
+  return { path: resolveFramePath() ?? [], url: window.location.href };
+}
+
+// Steps from same-origin subframes report the top page URL/title; the frame's own URL goes in `frame`.
+function resolvePageContext() {
+  try {
+    return { href: window.top.location.href, title: window.top.document.title || "" };
+  } catch {
+    return { href: window.location.href, title: document.title || "" };
+  }
+}
+
+function roundGeometry(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Maps the target rect into top-level viewport coordinates by adding each same-origin iframe offset.
+function buildGeometry(el) {
+  let topWindow = window;
+  let offsetX = 0;
+  let offsetY = 0;
+  try {
+    let current = window;
+    while (current !== current.top) {
+      const frameEl = current.frameElement;
+      if (!isElementNode(frameEl)) {
+        break;
+      }
+      const frameRect = frameEl.getBoundingClientRect();
+      offsetX += frameRect.left + frameEl.clientLeft;
+      offsetY += frameRect.top + frameEl.clientTop;
+      current = current.parent;
+    }
+    topWindow = current;
+  } catch {
+    topWindow = window;
+    offsetX = 0;
+    offsetY = 0;
+  }
+
+  let rect = null;
+  if (isElementNode(el)) {
+    const box = el.getBoundingClientRect();
+    rect = {
+      x: roundGeometry(box.left + offsetX),
+      y: roundGeometry(box.top + offsetY),
+      width: roundGeometry(box.width),
+      height: roundGeometry(box.height)
+    };
+  }
+
   return {
-    css: buildCssSelector(el),
-    xpath: buildXPath(el)
+    rect,
+    viewport: { width: topWindow.innerWidth, height: topWindow.innerHeight },
+    devicePixelRatio: topWindow.devicePixelRatio || 1,
+    scrollX: Math.round(topWindow.scrollX || 0),
+    scrollY: Math.round(topWindow.scrollY || 0)
+  };
+}
+
+const MAX_REDACTION_RECTS = 100;
+
+function describeRedactionReason(el) {
+  if (el instanceof HTMLInputElement && el.type === "password") {
+    return "input-type:password";
+  }
+  const textSecurity = getComputedStyle(el).getPropertyValue("-webkit-text-security");
+  if (textSecurity && textSecurity !== "none") {
+    return "masked-input";
+  }
+  const match = classifySensitiveField(buildTargetMeta(el)) ?? detectSensitiveValue(el.value);
+  return match?.rule ?? null;
+}
+
+// Collects sensitive on-screen boxes in top-viewport CSS px, walking same-origin iframes and open shadow roots;
+// cross-origin iframes are reported whole.
+function collectRedactionRects(selectors) {
+  const viewport = { width: window.innerWidth, height: window.innerHeight };
+  const rects = [];
+  const pushRect = (el, reason, offsetX, offsetY) => {
+    const box = el.getBoundingClientRect();
+    const left = Math.max(0, box.left + offsetX);
+    const top = Math.max(0, box.top + offsetY);
+    const right = Math.min(viewport.width, box.right + offsetX);
+    const bottom = Math.min(viewport.height, box.bottom + offsetY);
+    if (right - left >= 1 && bottom - top >= 1 && rects.length < MAX_REDACTION_RECTS) {
+      rects.push({
+        x: roundGeometry(left),
+        y: roundGeometry(top),
+        width: roundGeometry(right - left),
+        height: roundGeometry(bottom - top),
+        reason
+      });
+    }
+  };
+
+  // Style lookups are the expensive part, so fields outside the viewport are skipped before they are classified.
+  const isOnScreen = (el, offsetX, offsetY) => {
+    const box = el.getBoundingClientRect();
+    return (
+      box.width > 0 &&
+      box.height > 0 &&
+      box.right + offsetX > 0 &&
+      box.bottom + offsetY > 0 &&
+      box.left + offsetX < viewport.width &&
+      box.top + offsetY < viewport.height
+    );
+  };
+
+  const scanRoot = (root, offsetX, offsetY) => {
+    root.querySelectorAll("input, textarea, select").forEach((el) => {
+      if (!isOnScreen(el, offsetX, offsetY)) {
+        return;
+      }
+      const reason = describeRedactionReason(el);
+      if (reason) {
+        pushRect(el, reason, offsetX, offsetY);
+      }
+    });
+    selectors.forEach((selector) => {
+      try {
+        root.querySelectorAll(selector).forEach((el) => pushRect(el, `selector:${selector}`, offsetX, offsetY));
+      } catch {
+        // Invalid selectors are rejected by the inspector; skip any that slipped through.
+      }
+    });
+    root.querySelectorAll("*").forEach((el) => {
+      if (el.shadowRoot) {
+        scanRoot(el.shadowRoot, offsetX, offsetY);
+      }
+    });
+    root.querySelectorAll("iframe").forEach((el) => {
+      if (!isOnScreen(el, offsetX, offsetY)) {
+        return;
+      }
+      let frameDoc = null;
+      try {
+        frameDoc = el.contentDocument;
+      } catch {
+        frameDoc = null;
+      }
+      if (!frameDoc) {
+        // Cross-origin frames (payment, SSO) cannot be inspected, so the whole frame is covered.
+        pushRect(el, "cross-origin-frame", offsetX, offsetY);
+        return;
+      }
+      const frameRect = el.getBoundingClientRect();
+      scanRoot(frameDoc, offsetX + frameRect.left + el.clientLeft, offsetY + frameRect.top + el.clientTop);
+    });
   };
+
+  scanRoot(document, 0, 0);
+  return { viewport, rects };
 }
 
 function buildBasePayload(kind, el = null) {
+  const page = resolvePageContext();
   return {
     kind,
-    href: window.location.href,
-    title: document.title || "",
+    href: page.href,
+    title: page.title,
     ts: Date.now(),
     target: buildTargetMeta(el),
-    selectors: buildSelectors(el)
+    selectors: buildSelectors(el),
+    frame: buildFrameMeta(),
+    geometry: buildGeometry(el)
   };
 }
 
-function resolveActionTarget(el) {
-  if (!(el instanceof Element)) {
+function getComposedElements(event) {
+  const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+  const elements = path.filter(isElementNode);
+  return elements.length > 0 ? elements : [event.target].filter(isElementNode);
+}
+
+// Document listeners see shadow-DOM events retargeted to the host; the composed path keeps the real target.
+function resolveEventTarget(event) {
+  return getComposedElements(event)[0] ?? null;
+}
+
+function resolveActionTarget(event) {
+  const elements = getComposedElements(event);
+  const el = elements[0];
+  if (!el) {
     return null;
   }
 
-  const actionable = el.closest(
-    "button,a,[role='button'],input,textarea,select,label,[data-testid],[aria-label]"
+  const actionable = elements.find((node) =>
+    node.matches("button,a,[role='button'],input,textarea,select,label,[data-testid],[aria-label]")
   );
   if (actionable) {
     return actionable;
   }
 
   if (["svg", "path", "use"].includes(el.tagName.toLowerCase())) {
-    return el.closest("button,a,[role='button'],label") ?? el.parentElement ?? el;
+    return elements.find((node) => node.matches("button,a,[role='button'],label")) ?? elements[1] ?? el;
   }
 
   return el;
 }
 
 function buildClickPayload(event) {
-  const el = resolveActionTarget(event.target);
+  const el = resolveActionTarget(event);
   if (!(el instanceof Element)) {
     return null;
   }
@@ -217,8 +330,8 @@ function buildKeyPayload(event) {
     return null;
   }
 
-  const el = event.target;
-  if (!(el instanceof Element)) {
+  const el = resolveEventTarget(event);
+  if (!el) {
     return null;
   }
 
@@ -235,7 +348,7 @@ function buildKeyPayload(event) {
 }
 
 function buildInputPayload(event) {
-  const el = event.target;
+  const el = resolveEventTarget(event);
   if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) {
     return null;
   }
@@ -253,8 +366,8 @@ function buildInputPayload(event) {
 }
 
 function buildChangePayload(event) {
-  const el = event.target;
-  if (!(el instanceof Element)) {
+  const el = resolveEventTarget(event);
+  if (!el) {
     return null;
   }
 
@@ -297,13 +410,16 @@ function emitStep(payload) {
   if (!payload) {
     return;
   }
-  safeSendMessage({ type: "STEP_CAPTURED", payload });
+  // Mask before the payload leaves the page so raw sensitive values never reach the worker or storage.
+  safeSendMessage({ type: "STEP_CAPTURED", payload: maskSensitiveStep(payload) });
 }
 
-safeSendMessage({
-  type: "CONTENT_SCRIPT_READY",
-  payload: { href: window.location.href, title: document.title || "", ts: Date.now() }
-});
+if (IS_TOP_FRAME) {
+  safeSendMessage({
+    type: "CONTENT_SCRIPT_READY",
+    payload: { href: window.location.href, title: document.title || "", ts: Date.now() }
+  });
+}
 
 function onCaptureClick(event) {
   try {
@@ -311,6 +427,7 @@ function onCaptureClick(event) {
       document.removeEventListener("click", onCaptureClick, true);
       return;
     }
+    watchShadowRoots(event);
     emitStep(buildClickPayload(event));
   } catch {
     document.removeEventListener("click", onCaptureClick, true);
@@ -341,6 +458,31 @@ function onCaptureInput(event) {
   }
 }
 
+// `change` is not composed, so it never leaves a shadow root; listen on each open root we see.
+const watchedShadowRoots = new WeakSet();
+function watchShadowRoots(event) {
+  const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+  path.forEach((node) => {
+    if (node?.nodeType !== Node.DOCUMENT_FRAGMENT_NODE || !node.host || watchedShadowRoots.has(node)) {
+      return;
+    }
+    watchedShadowRoots.add(node);
+    node.addEventListener("change", onCaptureChange, true);
+  });
+}
+
+function onCaptureFocusIn(event) {
+  try {
+    if (!hasLiveExtensionContext()) {
+      document.removeEventListener("focusin", onCaptureFocusIn, true);
+      return;
+    }
+    watchShadowRoots(event);
+  } catch {
+    document.removeEventListener("focusin", onCaptureFocusIn, true);
+  }
+}
+
 function onCaptureChange(event) {
   try {
     if (!hasLiveExtensionContext()) {
@@ -368,23 +510,26 @@ function emitNavigationEvent(kind) {
   }
 }
 
-const rawPushState = history.pushState;
-history.pushState = function patchedPushState(...args) {
-  const result = rawPushState.apply(this, args);
-  emitNavigationEvent("pushState");
-  return result;
-};
+// Navigation and scroll steps describe the top-level page only; frame loads would be noise.
+if (IS_TOP_FRAME) {
+  const rawPushState = history.pushState;
+  history.pushState = function patchedPushState(...args) {
+    const result = rawPushState.apply(this, args);
+    emitNavigationEvent("pushState");
+    return result;
+  };
 
-const rawReplaceState = history.replaceState;
-history.replaceState = function patchedReplaceState(...args) {
-  const result = rawReplaceState.apply(this, args);
-  emitNavigationEvent("replaceState");
-  return result;
-};
+  const rawReplaceState = history.replaceState;
+  history.replaceState = function patchedReplaceState(...args) {
+    const result = rawReplaceState.apply(this, args);
+    emitNavigationEvent("replaceState");
+    return result;
+  };
 
-window.addEventListener("popstate", () => emitNavigationEvent("popstate"), true);
-window.addEventListener("hashchange", () => emitNavigationEvent("hashchange"), true);
-window.addEventListener("load", () => emitNavigationEvent("load"), true);
+  window.addEventListener("popstate", () => emitNavigationEvent("popstate"), true);
+  window.addEventListener("hashchange", () => emitNavigationEvent("hashchange"), true);
+  window.addEventListener("load", () => emitNavigationEvent("load"), true);
+}
 
 let lastScrollAt = 0;
 let lastScrollX = Math.round(window.scrollX || 0);
@@ -407,13 +552,29 @@ function onCaptureScroll() {
   emitStep(buildScrollPayload());
 }
 
-document.addEventListener("click", onCaptureClick, true);
-document.addEventListener("keydown", onCaptureKeydown, true);
-document.addEventListener("input", onCaptureInput, true);
-document.addEventListener("change", onCaptureChange, true);
-window.addEventListener("scroll", onCaptureScroll, { capture: true, passive: true });
+// Subframes capture only when every ancestor frame is same-origin, so the frame path is resolvable.
+const CAPTURE_IN_FRAME = IS_TOP_FRAME || resolveFramePath() !== null;
+if (CAPTURE_IN_FRAME) {
+  document.addEventListener("click", onCaptureClick, true);
+  document.addEventListener("keydown", onCaptureKeydown, true);
+  document.addEventListener("input", onCaptureInput, true);
+  document.addEventListener("change", onCaptureChange, true);
+  document.addEventListener("focusin", onCaptureFocusIn, true);
+}
+if (IS_TOP_FRAME) {
+  window.addEventListener("scroll", onCaptureScroll, { capture: true, passive: true });
+}
 
-const dockState = { isCapturing: false, startedAt: null, stepCount: 0 };
+const dockState = {
+  isCapturing: false,
+  startedAt: null,
+  isPaused: false,
+  pausedAt: null,
+  pausedMs: 0,
+  stepCount: 0,
+  stepLimitReached: false,
+  siteExcluded: false
+};
 let floatingDockFrame = null;
 let dockUi = { left: null, bottom: 18, minimized: false };
 let dockUiLoaded = false;
@@ -448,6 +609,54 @@ function sendRuntimeMessage(message) {
   });
 }
 
+// Thumbnails live in the extension's IndexedDB, which only the worker can read for this page.
+async function resolveBridgeStepThumbnails(steps) {
+  const response = await sendRuntimeMessage({ type: "RESOLVE_THUMBNAILS", payload: { steps } });
+  return response?.ok && Array.isArray(response.steps) ? response.steps : steps;
+}
+
+// Editor pages subscribed to a session's live capture: subscribing requestId -> session id. Storage is relayed as-is
+// (scoped to the session); the editor's live-step feed does the diffing for both the bridge and extension pages.
+const liveSessionSubscriptions = new Map();
+
+function sessionStepsOnly(steps, sessionId) {
+  return (Array.isArray(steps) ? steps : []).filter((step) => step?.sessionId === sessionId);
+}
+
+function postLiveSessionMessage(requestId, sessionId, body) {
+  window.postMessage(
+    {
+      channel: APP_BRIDGE_CHANNEL,
+      type: "SESSION_LIVE_UPDATE",
+      requestId,
+      protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+      ok: true,
+      sessionId,
+      ...body
+    },
+    "*"
+  );
+}
+
+function relayLiveSessionChanges(changes) {
+  liveSessionSubscriptions.forEach((sessionId, requestId) => {
+    const relayed = {};
+    if (changes.steps) {
+      relayed.steps = {
+        oldValue: sessionStepsOnly(changes.steps.oldValue, sessionId),
+        newValue: sessionStepsOnly(changes.steps.newValue, sessionId)
+      };
+    }
+    if (changes.captureState) {
+      relayed.captureState = { newValue: changes.captureState.newValue };
+    }
+    if (changes.sessionByTab) {
+      relayed.sessionByTab = { newValue: changes.sessionByTab.newValue };
+    }
+    postLiveSessionMessage(requestId, sessionId, { changes: relayed });
+  });
+}
+
 function getCurrentDockSize() {
   return dockUi.minimized ? DOCK_MINIMIZED : DOCK_EXPANDED;
 }
@@ -596,6 +805,18 @@ function postDockState() {
   );
 }
 
+function togglePause() {
+  sendRuntimeMessage({ type: dockState.isPaused ? "RESUME_CAPTURE" : "PAUSE_CAPTURE" }).then((response) => {
+    if (response?.ok && !response.ignored && floatingDockFrame?.contentWindow) {
+      floatingDockFrame.contentWindow.postMessage(
+        { channel: "CAP_ME_DOCK", type: "PAUSE_RESULT", isPaused: Boolean(response.captureState?.isPaused) },
+        "*"
+      );
+    }
+    setTimeout(refreshDockState, 80);
+  });
+}
+
 async function refreshDockState() {
   if (!hasLiveExtensionContext()) {
     removeFloatingDock();
@@ -604,7 +825,7 @@ async function refreshDockState() {
   try {
     await ensureDockUiLoaded();
 
-    const response = await sendRuntimeMessage({ type: "GET_DOCK_STATE" });
+    const response = await sendRuntimeMessage({ type: "GET_DOCK_STATE", payload: { href: window.location.href } });
     if (!response?.ok) {
       removeFloatingDock();
       return;
@@ -612,8 +833,17 @@ async function refreshDockState() {
 
     dockState.isCapturing = Boolean(response.isCapturing);
     dockState.startedAt = response.startedAt ?? null;
+    dockState.isPaused = Boolean(response.isPaused);
+    dockState.pausedAt = response.pausedAt ?? null;
+    dockState.pausedMs = response.pausedMs ?? 0;
     dockState.stepCount = response.stepsCount ?? 0;
+    dockState.stepLimitReached = Boolean(response.stepLimitReached);
+    dockState.siteExcluded = Boolean(response.siteExcluded);
 
+    // Subframes track capture state for hotkeys; only the top frame hosts the dock.
+    if (!IS_TOP_FRAME) {
+      return;
+    }
     if (dockState.isCapturing) {
       ensureFloatingDock();
       applyDockFrameStyle();
@@ -635,9 +865,8 @@ window.addEventListener("message", (event) => {
     return;
   }
 
-  if (data.type === "TOGGLE_CAPTURE") {
-    safeSendMessage({ type: dockState.isCapturing ? "STOP_CAPTURE" : "START_CAPTURE" });
-    setTimeout(refreshDockState, 80);
+  if (data.type === "TOGGLE_PAUSE") {
+    togglePause();
     return;
   }
 
@@ -678,7 +907,7 @@ window.addEventListener("message", (event) => {
 });
 
 window.addEventListener("message", (event) => {
-  if (event.source !== window) {
+  if (!IS_TOP_FRAME || event.source !== window) {
     return;
   }
   const data = event.data;
@@ -711,18 +940,20 @@ window.addEventListener("message", (event) => {
     try {
       chrome.storage.local.get(["sessions", "steps"], (result) => {
         const payload = result ?? {};
-        window.postMessage(
-          {
-            channel: APP_BRIDGE_CHANNEL,
-            type: "SESSIONS_RESPONSE",
-            requestId: data.requestId,
-            protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
-            ok: true,
-            sessions: payload.sessions ?? [],
-            steps: payload.steps ?? []
-          },
-          "*"
-        );
+        resolveBridgeStepThumbnails(payload.steps ?? []).then((steps) => {
+          window.postMessage(
+            {
+              channel: APP_BRIDGE_CHANNEL,
+              type: "SESSIONS_RESPONSE",
+              requestId: data.requestId,
+              protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+              ok: true,
+              sessions: payload.sessions ?? [],
+              steps
+            },
+            "*"
+          );
+        });
       });
     } catch {
       window.postMessage(
@@ -765,6 +996,133 @@ window.addEventListener("message", (event) => {
     return;
   }
 
+  const replayRequestTypes = {
+    REQUEST_REPLAY: "START_REPLAY",
+    REQUEST_REPLAY_STATE: "GET_REPLAY_STATE",
+    REQUEST_REPLAY_CANCEL: "CANCEL_REPLAY"
+  };
+
+  if (replayRequestTypes[data.type]) {
+    const payload = data.type === "REQUEST_REPLAY" ? { ...(data.payload ?? {}), source: "editor" } : undefined;
+    sendRuntimeMessage({ type: replayRequestTypes[data.type], payload }).then((result) => {
+      window.postMessage(
+        {
+          channel: APP_BRIDGE_CHANNEL,
+          type: "REPLAY_RESPONSE",
+          requestId: data.requestId,
+          protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+          ...(result ?? {}),
+          ok: Boolean(result?.ok),
+          error: result?.ok ? null : String(result?.errorCode || result?.error || "REPLAY_UNAVAILABLE")
+        },
+        "*"
+      );
+    });
+    return;
+  }
+
+  if (data.type === "REQUEST_SAVE_SESSION") {
+    // The worker validates the payload and checks this page's origin before anything is written.
+    sendRuntimeMessage({ type: "SAVE_SESSION", payload: data.payload }).then((result) => {
+      window.postMessage(
+        {
+          channel: APP_BRIDGE_CHANNEL,
+          type: "SAVE_SESSION_RESPONSE",
+          requestId: data.requestId,
+          protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+          ...(result ?? {}),
+          ok: Boolean(result?.ok),
+          error: result?.ok ? null : String(result?.errorCode || result?.error || "SAVE_UNAVAILABLE")
+        },
+        "*"
+      );
+    });
+    return;
+  }
+
+  if (data.type === "REQUEST_SESSION_SUBSCRIBE") {
+    const sessionId = String(data.payload?.sessionId ?? "").trim();
+    const rejectSubscription = (error) =>
+      window.postMessage(
+        {
+          channel: APP_BRIDGE_CHANNEL,
+          type: "SESSION_LIVE_UPDATE",
+          requestId: data.requestId,
+          protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+          ok: false,
+          error
+        },
+        "*"
+      );
+    if (!hasStorageApi() || !sessionId) {
+      rejectSubscription(sessionId ? "storage_unavailable" : "SESSION_ID_REQUIRED");
+      return;
+    }
+    // Session contents only stream to the editor origin; the worker applies the same check as saves.
+    sendRuntimeMessage({ type: "SUBSCRIBE_SESSION", payload: { sessionId } }).then((result) => {
+      if (!result?.ok) {
+        rejectSubscription(String(result?.errorCode || result?.error || "SUBSCRIBE_UNAVAILABLE"));
+        return;
+      }
+      // Registered before the snapshot read so no change is missed; the editor's feed ignores repeats.
+      liveSessionSubscriptions.set(requestId, sessionId);
+      chrome.storage.local.get(["steps", "captureState", "sessionByTab"], (stored) => {
+        if (!liveSessionSubscriptions.has(requestId)) {
+          return;
+        }
+        postLiveSessionMessage(requestId, sessionId, {
+          snapshot: {
+            steps: sessionStepsOnly(stored?.steps, sessionId),
+            captureState: stored?.captureState,
+            sessionByTab: stored?.sessionByTab
+          }
+        });
+      });
+    });
+    return;
+  }
+
+  if (data.type === "REQUEST_SESSION_UNSUBSCRIBE") {
+    liveSessionSubscriptions.delete(requestId);
+    return;
+  }
+
+  if (data.type === "REQUEST_THUMBNAILS") {
+    resolveBridgeStepThumbnails(Array.isArray(data.payload?.steps) ? data.payload.steps : []).then((steps) => {
+      window.postMessage(
+        {
+          channel: APP_BRIDGE_CHANNEL,
+          type: "THUMBNAILS_RESPONSE",
+          requestId: data.requestId,
+          protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+          ok: true,
+          steps
+        },
+        "*"
+      );
+    });
+    return;
+  }
+
+  if (data.type === "REQUEST_PUBLISH_SESSION") {
+    // Same validation as a save; the worker then uploads with its own token and masking settings.
+    sendRuntimeMessage({ type: "PUBLISH_SESSION", payload: data.payload }).then((result) => {
+      window.postMessage(
+        {
+          channel: APP_BRIDGE_CHANNEL,
+          type: "PUBLISH_SESSION_RESPONSE",
+          requestId: data.requestId,
+          protocolVersion: TEAM_SYNC_PROTOCOL_VERSION,
+          ...(result ?? {}),
+          ok: Boolean(result?.ok),
+          error: result?.ok ? null : String(result?.errorCode || result?.error || "PUBLISH_UNAVAILABLE")
+        },
+        "*"
+      );
+    });
+    return;
+  }
+
   // Ignore unrelated bridge messages.
   return;
 });
@@ -774,9 +1132,12 @@ if (chrome?.storage?.onChanged?.addListener) {
     if (areaName !== "local") {
       return;
     }
-    if (changes.captureState || changes.steps) {
+    if (changes.captureState || changes.capturePolicy || (IS_TOP_FRAME && changes.steps)) {
       refreshDockState();
     }
+    if (changes.steps || changes.captureState || changes.sessionByTab) {
+      relayLiveSessionChanges(changes);
+    }
   });
 }
 
@@ -793,6 +1154,11 @@ if (chrome?.runtime?.onMessage?.addListener) {
       sendResponse({ ok: setDockScreenshotVisibility(false), hidden: dockHiddenForScreenshot });
       return;
     }
+    if (message.type === "COLLECT_REDACTION_RECTS") {
+      const selectors = Array.isArray(message.selectors) ? message.selectors : [];
+      sendResponse({ ok: true, ...collectRedactionRects(selectors) });
+      return;
+    }
   });
 }
 
@@ -815,7 +1181,7 @@ function isTypingContext(target) {
 document.addEventListener(
   "keydown",
   async (event) => {
-    if (!hasLiveExtensionContext() || isTypingContext(event.target)) {
+    if (!hasLiveExtensionContext() || isTypingContext(resolveEventTarget(event))) {
       return;
     }
     if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) {
@@ -830,6 +1196,14 @@ document.addEventListener(
       return;
     }
 
+    if (key === "p") {
+      event.preventDefault();
+      if (dockState.isCapturing) {
+        togglePause();
+      }
+      return;
+    }
+
     if (key === "z") {
       event.preventDefault();
       await sendRuntimeMessage({ type: "DISCARD_LAST_STEP" });
@@ -837,7 +1211,7 @@ document.addEventListener(
       return;
     }
 
-    if (key === "m") {
+    if (key === "m" && IS_TOP_FRAME) {
       event.preventDefault();
       toggleDockMinimize();
     }
@@ -10,12 +10,34 @@ const DEFAULT_SYNC_CONFIG = {
   allowedEmails: [],
   maskInputValues: true
 };
+const DEFAULT_RETENTION_CONFIG = {
+  maxSessions: 20,
+  maxStepsPerSession: 500,
+  maxAgeDays: 0,
+  unsyncedGraceDays: 7
+};
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  burnIn: true,
+  selectors: [".pii", "[data-pii]"]
+};
+const RETENTION_LIMITS = {
+  maxSessions: [1, 500],
+  maxStepsPerSession: [10, 10000],
+  maxAgeDays: [0, 3650],
+  unsyncedGraceDays: [0, 365]
+};
 let selectedSessionId = null;
 let syncConfigDirty = false;
+let retentionConfigDirty = false;
+let redactionConfigDirty = false;
+let capturePolicyDirty = false;
 let localEditorProbe = { status: "unknown", url: "http://localhost:5173", checkedAt: null };
 let localEditorProbeInFlight = false;
 let authProbe = { status: "unknown", checkedAt: null, errorCode: null, accountEmail: null };
 let authProbeInFlight = false;
+let thumbnailRenderToken = 0;
+let replayRenderToken = 0;
 let readinessContext = {
   syncConfig: { ...DEFAULT_SYNC_CONFIG },
   selectedSession: null,
@@ -47,6 +69,34 @@ function setSyncConfigStatusText(text) {
   }
 }
 
+function setRetentionStatusText(text) {
+  const el = document.getElementById("retentionStatus");
+  if (el) {
+    el.textContent = text;
+  }
+}
+
+function setRedactionStatusText(text) {
+  const el = document.getElementById("redactionStatus");
+  if (el) {
+    el.textContent = text;
+  }
+}
+
+function setCapturePolicyStatusText(text) {
+  const el = document.getElementById("capturePolicyStatus");
+  if (el) {
+    el.textContent = text;
+  }
+}
+
+function setReplayStatusText(text) {
+  const el = document.getElementById("replayStatus");
+  if (el) {
+    el.textContent = text;
+  }
+}
+
 function setSyncAccountText(email) {
   const el = document.getElementById("syncAccountText");
   if (!el) {
@@ -174,6 +224,10 @@ function getReadinessSyncText(syncConfig, selectedSession, syncState) {
     return "Sync: selected session blocked by current sync settings.";
   }
 
+  if (status === "conflict") {
+    return "Sync: selected session conflicts with a newer team library revision; open it in the editor to resolve.";
+  }
+
   if (!syncConfig.enabled) {
     return "Sync: local-only session (team sync disabled).";
   }
@@ -205,6 +259,8 @@ function explainSyncErrorCode(errorCode) {
       return "verify endpoint URL and network reachability";
     case "QUOTA_EXCEEDED":
       return "check Apps Script/Drive quota and retry later";
+    case "REVISION_CONFLICT":
+      return "import the latest team revision in the editor and publish again";
     default:
       return "check endpoint/auth settings and retry";
   }
@@ -226,7 +282,7 @@ function getManualSyncStatusText(response) {
     }
     return "Session sync queued and pending upload.";
   }
-  if (status === "failed" || status === "blocked") {
+  if (status === "failed" || status === "blocked" || status === "conflict") {
     const code = errorCode || "UNKNOWN_ERROR";
     return `Session sync ${status}: ${code}. Next step: ${explainSyncErrorCode(code)}.`;
   }
@@ -406,10 +462,211 @@ function validateSyncConfig(syncConfig) {
   return null;
 }
 
-function setCaptureBadge(isCapturing) {
+function normalizeRetentionConfig(value) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RETENTION_CONFIG).map(([key, fallback]) => {
+      const parsed = Number(value?.[key]);
+      return [key, Number.isFinite(parsed) ? Math.round(parsed) : fallback];
+    })
+  );
+}
+
+function renderRetentionForm(retentionConfig) {
+  if (retentionConfigDirty) {
+    return;
+  }
+
+  const normalized = normalizeRetentionConfig(retentionConfig);
+  document.getElementById("retentionMaxSessions").value = String(normalized.maxSessions);
+  document.getElementById("retentionMaxStepsPerSession").value = String(normalized.maxStepsPerSession);
+  document.getElementById("retentionMaxAgeDays").value = String(normalized.maxAgeDays);
+  document.getElementById("retentionUnsyncedGraceDays").value = String(normalized.unsyncedGraceDays);
+}
+
+function readRetentionForm() {
+  return {
+    maxSessions: Number(document.getElementById("retentionMaxSessions").value),
+    maxStepsPerSession: Number(document.getElementById("retentionMaxStepsPerSession").value),
+    maxAgeDays: Number(document.getElementById("retentionMaxAgeDays").value),
+    unsyncedGraceDays: Number(document.getElementById("retentionUnsyncedGraceDays").value)
+  };
+}
+
+function validateRetentionConfig(retentionConfig) {
+  const invalidKey = Object.keys(RETENTION_LIMITS).find((key) => {
+    const value = retentionConfig[key];
+    const [min, max] = RETENTION_LIMITS[key];
+    return !Number.isInteger(value) || value < min || value > max;
+  });
+  if (invalidKey) {
+    const [min, max] = RETENTION_LIMITS[invalidKey];
+    return `Retention value ${invalidKey} must be a whole number between ${min} and ${max}.`;
+  }
+  return null;
+}
+
+function normalizeRedactionConfig(value) {
+  return {
+    enabled: typeof value?.enabled === "boolean" ? value.enabled : DEFAULT_REDACTION_CONFIG.enabled,
+    burnIn: typeof value?.burnIn === "boolean" ? value.burnIn : DEFAULT_REDACTION_CONFIG.burnIn,
+    selectors: Array.isArray(value?.selectors) ? value.selectors.map(String) : [...DEFAULT_REDACTION_CONFIG.selectors]
+  };
+}
+
+function renderRedactionForm(redactionConfig) {
+  if (redactionConfigDirty) {
+    return;
+  }
+
+  const normalized = normalizeRedactionConfig(redactionConfig);
+  document.getElementById("redactionEnabled").checked = normalized.enabled;
+  document.getElementById("redactionBurnIn").checked = normalized.burnIn;
+  document.getElementById("redactionSelectors").value = normalized.selectors.join("\n");
+  const mode = normalized.burnIn ? "with burn-in" : "as overlays only";
+  setRedactionStatusText(
+    normalized.enabled
+      ? `Redacting ${mode}, ${normalized.selectors.length} extra selectors.`
+      : "Screenshot redaction is off."
+  );
+}
+
+function readRedactionForm() {
+  return {
+    enabled: document.getElementById("redactionEnabled").checked,
+    burnIn: document.getElementById("redactionBurnIn").checked,
+    selectors: document
+      .getElementById("redactionSelectors")
+      .value.split("\n")
+      .map((selector) => selector.trim())
+      .filter(Boolean)
+  };
+}
+
+function validateRedactionConfig(redactionConfig) {
+  const invalidSelector = redactionConfig.selectors.find((selector) => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return false;
+    } catch {
+      return true;
+    }
+  });
+  return invalidSelector ? `Invalid selector: ${invalidSelector}` : null;
+}
+
+function parseHostList(text) {
+  return String(text ?? "")
+    .split(/[\n,]/)
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function normalizeCapturePolicy(value) {
+  return {
+    allowedHosts: Array.isArray(value?.allowedHosts) ? value.allowedHosts.map(String) : [],
+    blockedHosts: Array.isArray(value?.blockedHosts) ? value.blockedHosts.map(String) : []
+  };
+}
+
+function getManagedCapturePolicy() {
+  return new Promise((resolve) => {
+    if (!chrome.storage.managed?.get) {
+      resolve(null);
+      return;
+    }
+    chrome.storage.managed.get(["capturePolicy"], (result) => {
+      resolve(chrome.runtime.lastError || !result?.capturePolicy ? null : normalizeCapturePolicy(result.capturePolicy));
+    });
+  });
+}
+
+async function renderCapturePolicyForm(capturePolicy) {
+  const managed = await getManagedCapturePolicy();
+  const managedEl = document.getElementById("capturePolicyManaged");
+  const managedAllowed = managed?.allowedHosts.length
+    ? `${managed.allowedHosts.length} allowed (replaces the local allow list)`
+    : "no allow list";
+  managedEl.textContent = managed
+    ? `Managed by your organization: ${managed.blockedHosts.length} blocked, ${managedAllowed}. ` +
+      "Local entries can only add blocks."
+    : "";
+  if (capturePolicyDirty) {
+    return;
+  }
+
+  const normalized = normalizeCapturePolicy(capturePolicy);
+  document.getElementById("capturePolicyAllowed").value = normalized.allowedHosts.join("\n");
+  document.getElementById("capturePolicyBlocked").value = normalized.blockedHosts.join("\n");
+  setCapturePolicyStatusText(
+    `${normalized.blockedHosts.length} blocked, ${normalized.allowedHosts.length || "all"} allowed (local).`
+  );
+}
+
+function renderRetentionStatus(retentionState, selectedSession) {
+  const pending = Object.values(retentionState?.pendingEvictions ?? {});
+  const warned = pending.filter((item) => item?.action === "warned").length;
+  const queued = pending.filter((item) => item?.action === "upload_queued").length;
+  const lastRun = retentionState?.lastRunAt ? formatSyncTime(retentionState.lastRunAt) : "never";
+  const parts = [`Last cleanup: ${lastRun}`, `pruned ${Number(retentionState?.prunedCount) || 0}`];
+  if (warned) {
+    parts.push(`${warned} unsynced awaiting prune`);
+  }
+  if (queued) {
+    parts.push(`${queued} uploading before prune`);
+  }
+  if (!retentionConfigDirty) {
+    setRetentionStatusText(`${parts.join(" | ")}.`);
+  }
+
+  const pinButton = document.getElementById("togglePinSelected");
+  pinButton.disabled = !selectedSession;
+  pinButton.textContent = selectedSession?.pinned ? "Unpin Selected Session" : "Pin Selected Session";
+}
+
+function formatBytes(bytes) {
+  const value = Number(bytes) || 0;
+  if (value < 1024) {
+    return `${value} B`;
+  }
+  if (value < 1024 * 1024) {
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function renderStorageUsage() {
+  const el = document.getElementById("storageUsage");
+  const recordBytes = await new Promise((resolve) => chrome.storage.local.getBytesInUse(null, resolve));
+  let thumbnails = null;
+  try {
+    thumbnails = await estimateThumbnailUsage();
+  } catch {
+    thumbnails = null;
+  }
+  let estimate = null;
+  if (navigator.storage?.estimate) {
+    estimate = await navigator.storage.estimate().catch(() => null);
+  }
+
+  const parts = [`Storage: records ${formatBytes(recordBytes)}`];
+  parts.push(
+    thumbnails
+      ? `thumbnails ${formatBytes(thumbnails.bytes)} (${thumbnails.count} images)`
+      : "thumbnails unavailable"
+  );
+  if (estimate?.quota) {
+    parts.push(`profile quota ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}`);
+  }
+  el.textContent = parts.join(" | ");
+}
+
+function setCaptureBadge(isCapturing, isPaused) {
   const badge = document.getElementById("captureBadge");
-  badge.className = `capture-badge ${isCapturing ? "capturing" : "paused"}`;
-  badge.textContent = isCapturing ? "CAPTURING" : "PAUSED";
+  badge.className = `capture-badge ${isCapturing && !isPaused ? "capturing" : "paused"}`;
+  badge.textContent = isPaused ? "PAUSED" : isCapturing ? "CAPTURING" : "STOPPED";
+  const pauseButton = document.getElementById("pauseCapture");
+  pauseButton.disabled = !isCapturing;
+  pauseButton.textContent = isPaused ? "Resume Capture" : "Pause Capture";
 }
 
 function formatTargetRef(step) {
@@ -470,12 +727,17 @@ function renderStepPreview(steps) {
 
   const lines = steps.map((step) => formatStep(step));
   document.getElementById("steps").textContent = lines.length > 0 ? lines.join("\n") : "None";
-  renderThumbnails(steps);
+  void renderThumbnails(steps);
 }
 
-function renderThumbnails(steps) {
+async function renderThumbnails(steps) {
   const container = document.getElementById("thumbnails");
-  const withThumbs = steps.filter((step) => Boolean(step.thumbnailDataUrl)).slice(-6);
+  const renderToken = ++thumbnailRenderToken;
+  const candidates = steps.filter((step) => Boolean(step.thumbnailDataUrl || step.thumbnailRef)).slice(-6);
+  const withThumbs = (await resolveStepThumbnails(candidates)).filter((step) => Boolean(step.thumbnailDataUrl));
+  if (renderToken !== thumbnailRenderToken) {
+    return;
+  }
   if (withThumbs.length === 0) {
     container.className = "";
     container.textContent = "None";
@@ -502,6 +764,75 @@ function renderThumbnails(steps) {
   });
 }
 
+function getReplayStatusText(replayState) {
+  if (!replayState?.runId) {
+    return "No replay run yet.";
+  }
+  const results = Array.isArray(replayState.results) ? replayState.results : [];
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const progress = `${results.length}/${replayState.total ?? 0} steps`;
+  const summary = `${count("passed")} passed, ${count("failed")} failed, ${count("skipped")} skipped`;
+  if (replayState.status === "running") {
+    return `Replay running: ${progress} (${summary}).`;
+  }
+  const errorText = replayState.errorCode ? ` Error: ${replayState.errorCode}.` : "";
+  return `Replay ${replayState.status}: ${progress} (${summary}).${errorText}`;
+}
+
+async function renderReplayState(replayState) {
+  const renderToken = ++replayRenderToken;
+  setReplayStatusText(getReplayStatusText(replayState));
+  const results = Array.isArray(replayState?.results) ? replayState.results : [];
+  const list = document.getElementById("replayResults");
+  list.innerHTML = "";
+  results.forEach((result) => {
+    const item = document.createElement("li");
+    item.className = result.status;
+    const detail = result.errorCode ?? (result.strategy ? `via ${result.strategy}` : "");
+    const ambiguous = result.ambiguous ? " (ambiguous match)" : "";
+    item.textContent = `#${result.stepIndex ?? "?"} ${result.type} - ${result.status} ${detail}${ambiguous}`.trim();
+    list.appendChild(item);
+  });
+
+  const container = document.getElementById("replayThumbnails");
+  const withShots = results.filter((result) => result.screenshotRef).slice(-6);
+  let dataUrls = {};
+  try {
+    dataUrls = await getThumbnailDataUrls(withShots.map((result) => result.screenshotRef));
+  } catch {
+    dataUrls = {};
+  }
+  if (renderToken !== replayRenderToken) {
+    return;
+  }
+  container.className = withShots.length ? "thumb-grid" : "";
+  container.innerHTML = "";
+  withShots.forEach((result) => {
+    if (!dataUrls[result.screenshotRef]) {
+      return;
+    }
+    const figure = document.createElement("figure");
+    figure.className = "thumb-item";
+    const img = document.createElement("img");
+    img.src = dataUrls[result.screenshotRef];
+    img.alt = `Replay step ${result.stepIndex ?? ""}`.trim();
+    img.loading = "lazy";
+    const caption = document.createElement("figcaption");
+    caption.textContent = `#${result.stepIndex ?? "?"} ${result.status.toUpperCase()}`;
+    figure.appendChild(img);
+    figure.appendChild(caption);
+    container.appendChild(figure);
+  });
+}
+
+function refreshReplayState() {
+  chrome.runtime.sendMessage({ type: "GET_REPLAY_STATE" }, (response) => {
+    if (response?.ok) {
+      void renderReplayState(response.replayState);
+    }
+  });
+}
+
 function getLatestSession(sessions) {
   if (!sessions.length) {
     return null;
@@ -565,50 +896,77 @@ function buildSessionExport(selectedSession, selectedSteps) {
 }
 
 function refreshCaptureState() {
-  chrome.storage.local.get(["captureState", "sessions", "steps", "syncConfig", "syncState"], (result) => {
-    const captureState = result.captureState ?? { isCapturing: false, startedAt: null };
-    const sessions = result.sessions ?? [];
-    const allSteps = result.steps ?? [];
-    const syncConfig = normalizeSyncConfig(result.syncConfig);
-    const fallback = getLatestSession(sessions);
-    selectedSessionId = renderSessionOptions(sessions, selectedSessionId ?? fallback?.id ?? null);
-    const selectedSession = selectedSessionId
-      ? sessions.find((x) => x.id === selectedSessionId) ?? null
-      : null;
-    const sessionSteps = selectedSession ? getSessionSteps(allSteps, selectedSession.id).slice(-10) : [];
-
-    setStatusText(
-      selectedSession
-        ? captureState.isCapturing
-          ? "Capturing. Selected session loaded."
-          : "Not capturing. Selected session loaded."
-        : captureState.isCapturing
-          ? "Capturing. No session found yet."
-          : "Not capturing. No session found yet."
-    );
-    const syncLabel = selectedSession?.sync?.status ?? "local";
-    const endpointReady = syncConfig.enabled && syncConfig.endpointUrl;
-    setSyncStatusText(`Sync status: ${syncLabel}${endpointReady ? "" : " (endpoint disabled)"}`);
-    renderSyncConfigForm(syncConfig);
-    setSyncAccountText(syncConfig.accountEmail ?? null);
-    readinessContext = {
-      syncConfig,
-      selectedSession,
-      syncState: result.syncState ?? null
-    };
-    renderReadinessSummary();
-    probeLocalEditorReadiness();
-    probeAuthReadiness();
-    setCaptureBadge(Boolean(captureState.isCapturing));
-    renderJson("session", selectedSession);
-    renderStepPreview(sessionSteps);
-  });
+  chrome.storage.local.get(
+    [
+      "captureState",
+      "sessions",
+      "steps",
+      "syncConfig",
+      "syncState",
+      "retentionConfig",
+      "retentionState",
+      "redactionConfig",
+      "capturePolicy"
+    ],
+    (result) => {
+      const captureState = result.captureState ?? { isCapturing: false, startedAt: null };
+      const sessions = result.sessions ?? [];
+      const allSteps = result.steps ?? [];
+      const syncConfig = normalizeSyncConfig(result.syncConfig);
+      const fallback = getLatestSession(sessions);
+      selectedSessionId = renderSessionOptions(sessions, selectedSessionId ?? fallback?.id ?? null);
+      const selectedSession = selectedSessionId
+        ? sessions.find((x) => x.id === selectedSessionId) ?? null
+        : null;
+      const sessionSteps = selectedSession ? getSessionSteps(allSteps, selectedSession.id).slice(-10) : [];
+
+      setStatusText(
+        captureState.isCapturing && captureState.isPaused
+          ? "Capture paused. Steps are not recorded until resumed."
+          : selectedSession
+            ? captureState.isCapturing
+              ? "Capturing. Selected session loaded."
+              : "Not capturing. Selected session loaded."
+            : captureState.isCapturing
+              ? "Capturing. No session found yet."
+              : "Not capturing. No session found yet."
+      );
+      const syncLabel = selectedSession?.sync?.status ?? "local";
+      const endpointReady = syncConfig.enabled && syncConfig.endpointUrl;
+      setSyncStatusText(`Sync status: ${syncLabel}${endpointReady ? "" : " (endpoint disabled)"}`);
+      renderSyncConfigForm(syncConfig);
+      setSyncAccountText(syncConfig.accountEmail ?? null);
+      readinessContext = {
+        syncConfig,
+        selectedSession,
+        syncState: result.syncState ?? null
+      };
+      renderReadinessSummary();
+      probeLocalEditorReadiness();
+      probeAuthReadiness();
+      setCaptureBadge(Boolean(captureState.isCapturing), Boolean(captureState.isPaused));
+      renderJson("session", selectedSession);
+      renderStepPreview(sessionSteps);
+      renderRetentionForm(result.retentionConfig);
+      renderRetentionStatus(result.retentionState, selectedSession);
+      renderRedactionForm(result.redactionConfig);
+      renderCapturePolicyForm(result.capturePolicy).catch(() => {});
+      renderStorageUsage().catch(() => {});
+    }
+  );
 }
 
 function setCaptureMode(messageType) {
   chrome.runtime.sendMessage({ type: messageType }, () => refreshCaptureState());
 }
 
+function togglePauseCapture() {
+  chrome.storage.local.get(["captureState"], (result) => {
+    const messageType = result.captureState?.isPaused ? "RESUME_CAPTURE" : "PAUSE_CAPTURE";
+    chrome.runtime.sendMessage({ type: messageType }, () => refreshCaptureState());
+  });
+}
+
 function withSelectedSessionData(onResolved) {
   chrome.storage.local.get(["sessions", "steps"], (store) => {
     const sessions = store.sessions ?? [];
@@ -616,10 +974,13 @@ function withSelectedSessionData(onResolved) {
     const selectedSession = selectedSessionId
       ? sessions.find((x) => x.id === selectedSessionId) ?? null
       : getLatestSession(sessions);
-    const payload = selectedSession
-      ? buildSessionExport(selectedSession, getSessionSteps(allSteps, selectedSession.id))
-      : null;
-    onResolved(payload);
+    if (!selectedSession) {
+      onResolved(null);
+      return;
+    }
+    resolveStepThumbnails(getSessionSteps(allSteps, selectedSession.id)).then((steps) => {
+      onResolved(buildSessionExport(selectedSession, steps));
+    });
   });
 }
 
@@ -745,6 +1106,10 @@ function clearSelectedSession() {
 
     const nextSessions = sessions.filter((x) => x.id !== selectedSessionId);
     const nextSteps = steps.filter((x) => x.sessionId !== selectedSessionId);
+    const removedRefs = steps
+      .filter((x) => x.sessionId === selectedSessionId && x.thumbnailRef)
+      .map((x) => x.thumbnailRef);
+    deleteThumbnailBlobs(removedRefs).catch(() => {});
     const nextSessionByTab = Object.fromEntries(
       Object.entries(sessionByTab).filter(([, value]) => value !== selectedSessionId)
     );
@@ -761,18 +1126,20 @@ function clearSelectedSession() {
 }
 
 function resetAllCaptureData() {
+  clearThumbnailBlobs().catch(() => {});
   chrome.storage.local.set(
     {
-      storageVersion: 2,
+      storageVersion: 4,
       schemaVersion: APP_SCHEMA_VERSION,
-      captureState: { isCapturing: false, startedAt: null },
+      captureState: { isCapturing: false, startedAt: null, isPaused: false, pausedAt: null, pausedMs: 0 },
       sessions: [],
       steps: [],
       sessionByTab: {},
       eventLog: [],
       syncQueue: [],
       syncState: { lastRunAt: null, successCount: 0, failureCount: 0, quotaWarning: false },
-      teamLibraryCache: { items: [], updatedAt: null }
+      teamLibraryCache: { items: [], updatedAt: null },
+      retentionState: { lastRunAt: null, prunedCount: 0, pendingEvictions: {} }
     },
     () => {
       selectedSessionId = null;
@@ -819,6 +1186,29 @@ function openSelectedInEditor() {
   );
 }
 
+function replaySelectedSession() {
+  if (!selectedSessionId) {
+    setReplayStatusText("No selected session to replay.");
+    return;
+  }
+  chrome.runtime.sendMessage(
+    { type: "START_REPLAY", payload: { source: "inspector", sessionId: selectedSessionId } },
+    (response) => {
+      if (!response?.ok) {
+        setReplayStatusText(`Replay failed to start: ${response?.errorCode ?? response?.error ?? "unknown error"}.`);
+        return;
+      }
+      setReplayStatusText("Replay started in a new tab.");
+    }
+  );
+}
+
+function cancelReplay() {
+  chrome.runtime.sendMessage({ type: "CANCEL_REPLAY" }, (response) => {
+    setReplayStatusText(response?.cancelled ? "Cancelling replay after the current step..." : "No replay is running.");
+  });
+}
+
 function checkLocalEditor() {
   setStatusText("Checking local editor...");
   probeLocalEditorReadiness({ force: true, announce: true });
@@ -857,6 +1247,102 @@ function saveSyncConfig() {
   });
 }
 
+function markRetentionConfigDirty() {
+  retentionConfigDirty = true;
+  setRetentionStatusText("Unsaved retention settings.");
+}
+
+function saveRetentionConfig() {
+  const draft = readRetentionForm();
+  const validationError = validateRetentionConfig(draft);
+  if (validationError) {
+    setRetentionStatusText(validationError);
+    return;
+  }
+
+  chrome.storage.local.set({ retentionConfig: draft }, () => {
+    if (chrome.runtime.lastError) {
+      setRetentionStatusText(`Failed to save retention settings: ${chrome.runtime.lastError.message}`);
+      return;
+    }
+    retentionConfigDirty = false;
+    setRetentionStatusText("Retention settings saved. They apply on the next capture or cleanup run.");
+  });
+}
+
+function markRedactionConfigDirty() {
+  redactionConfigDirty = true;
+  setRedactionStatusText("Unsaved redaction settings.");
+}
+
+function saveRedactionConfig() {
+  const draft = readRedactionForm();
+  const validationError = validateRedactionConfig(draft);
+  if (validationError) {
+    setRedactionStatusText(validationError);
+    return;
+  }
+
+  chrome.storage.local.set({ redactionConfig: draft }, () => {
+    if (chrome.runtime.lastError) {
+      setRedactionStatusText(`Failed to save redaction settings: ${chrome.runtime.lastError.message}`);
+      return;
+    }
+    redactionConfigDirty = false;
+    setRedactionStatusText("Redaction settings saved. They apply to the next captured screenshot.");
+  });
+}
+
+function markCapturePolicyDirty() {
+  capturePolicyDirty = true;
+  setCapturePolicyStatusText("Unsaved capture policy.");
+}
+
+function saveCapturePolicy() {
+  const draft = {
+    allowedHosts: parseHostList(document.getElementById("capturePolicyAllowed").value),
+    blockedHosts: parseHostList(document.getElementById("capturePolicyBlocked").value)
+  };
+  const invalidHost = [...draft.allowedHosts, ...draft.blockedHosts].find(
+    (host) => !/^(\*\.)?[a-z0-9.-]+(:\d+)?$/.test(host.replace(/^[a-z]+:\/\//, "").split("/")[0])
+  );
+  if (invalidHost) {
+    setCapturePolicyStatusText(`Invalid host pattern: ${invalidHost}`);
+    return;
+  }
+
+  chrome.storage.local.set({ capturePolicy: draft }, () => {
+    if (chrome.runtime.lastError) {
+      setCapturePolicyStatusText(`Failed to save capture policy: ${chrome.runtime.lastError.message}`);
+      return;
+    }
+    capturePolicyDirty = false;
+    setCapturePolicyStatusText("Capture policy saved. It applies to the next captured step.");
+  });
+}
+
+function togglePinSelectedSession() {
+  chrome.storage.local.get(["sessions"], (result) => {
+    const session = (result.sessions ?? []).find((x) => x.id === selectedSessionId) ?? null;
+    if (!session) {
+      setRetentionStatusText("No selected session to pin.");
+      return;
+    }
+    const pinned = !session.pinned;
+    chrome.runtime.sendMessage(
+      { type: "SET_SESSION_PINNED", payload: { sessionId: session.id, pinned } },
+      (response) => {
+        if (!response?.ok) {
+          setRetentionStatusText(`Pin update failed: ${response?.errorCode || "unknown error"}.`);
+          return;
+        }
+        setStatusText(pinned ? "Selected session pinned." : "Selected session unpinned.");
+        refreshCaptureState();
+      }
+    );
+  });
+}
+
 function signInForSync() {
   chrome.runtime.sendMessage({ type: "AUTH_SIGN_IN" }, (response) => {
     if (!response?.ok) {
@@ -893,6 +1379,7 @@ document.getElementById("sessionSelect").addEventListener("change", (event) => {
 });
 document.getElementById("startCapture").addEventListener("click", () => setCaptureMode("START_CAPTURE"));
 document.getElementById("stopCapture").addEventListener("click", () => setCaptureMode("STOP_CAPTURE"));
+document.getElementById("pauseCapture").addEventListener("click", togglePauseCapture);
 document.getElementById("refresh").addEventListener("click", refreshCaptureState);
 document.getElementById("checkLocalEditor").addEventListener("click", checkLocalEditor);
 document.getElementById("syncSelected").addEventListener("click", syncSelectedSession);
@@ -912,4 +1399,27 @@ document.getElementById("syncEditorUrl").addEventListener("input", markSyncConfi
 document.getElementById("syncAutoUploadOnStop").addEventListener("change", markSyncConfigDirty);
 document.getElementById("syncMaskInputValues").addEventListener("change", markSyncConfigDirty);
 document.getElementById("syncAllowedEmails").addEventListener("input", markSyncConfigDirty);
+document.getElementById("saveRetentionConfig").addEventListener("click", saveRetentionConfig);
+document.getElementById("togglePinSelected").addEventListener("click", togglePinSelectedSession);
+[
+  "retentionMaxSessions",
+  "retentionMaxStepsPerSession",
+  "retentionMaxAgeDays",
+  "retentionUnsyncedGraceDays"
+].forEach((id) => document.getElementById(id).addEventListener("input", markRetentionConfigDirty));
+document.getElementById("saveRedactionConfig").addEventListener("click", saveRedactionConfig);
+document.getElementById("saveCapturePolicy").addEventListener("click", saveCapturePolicy);
+document.getElementById("capturePolicyAllowed").addEventListener("input", markCapturePolicyDirty);
+document.getElementById("capturePolicyBlocked").addEventListener("input", markCapturePolicyDirty);
+document.getElementById("redactionEnabled").addEventListener("change", markRedactionConfigDirty);
+document.getElementById("redactionBurnIn").addEventListener("change", markRedactionConfigDirty);
+document.getElementById("redactionSelectors").addEventListener("input", markRedactionConfigDirty);
+document.getElementById("startReplay").addEventListener("click", replaySelectedSession);
+document.getElementById("cancelReplay").addEventListener("click", cancelReplay);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.replayState) {
+    void renderReplayState(changes.replayState.newValue);
+  }
+});
 refreshCaptureState();
+refreshReplayState();
@@ -0,0 +1,224 @@
+// Purpose: re-execute one recorded step inside a tab's top frame during replay.
+// Inputs: StepRecords sent by the service worker via chrome.scripting. Outputs: `{ ok, status, errorCode, ... }`.
+// Injected after selector-engine.js into the isolated world; re-injection is a no-op so navigations can re-arm it.
+if (!globalThis.capMeReplayAgent) {
+  globalThis.capMeReplayAgent = (() => {
+    const POLL_INTERVAL_MS = 100;
+    const REPLAYED_KEYS = new Set(["Enter", "Escape", "Tab"]);
+    const REDACTED_VALUE = "[REDACTED]";
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    // Steps in same-origin iframes carry the iframe selector chain from the top document.
+    function resolveStepRoot(step) {
+      let doc = document;
+      for (const frameSelector of step.frame?.path ?? []) {
+        const frameEl = resolveSelectorCandidate(doc, { strategy: "css", selector: frameSelector })[0];
+        try {
+          doc = frameEl?.contentDocument ?? null;
+        } catch {
+          doc = null;
+        }
+        if (!doc) {
+          return null;
+        }
+      }
+      return doc;
+    }
+
+    function listLocators(step) {
+      const candidates = Array.isArray(step.selectors?.candidates) ? step.selectors.candidates : [];
+      const fallbacks = [
+        step.selectors?.css ? { strategy: "css", selector: step.selectors.css } : null,
+        step.selectors?.xpath ? { strategy: "xpath", selector: step.selectors.xpath } : null
+      ];
+      return [...candidates, ...fallbacks].filter((locator) => locator?.selector);
+    }
+
+    function isVisible(el) {
+      const rect = el.getBoundingClientRect();
+      return el.isConnected && rect.width > 0 && rect.height > 0;
+    }
+
+    // First locator that matches exactly one visible element wins; otherwise the best ambiguous match is used.
+    function locateOnce(step) {
+      const root = resolveStepRoot(step);
+      if (!root) {
+        return { el: null, errorCode: "FRAME_NOT_FOUND" };
+      }
+
+      let ambiguous = null;
+      for (const locator of listLocators(step)) {
+        let matches = [];
+        try {
+          matches = resolveSelectorCandidate(root, locator).filter(isVisible);
+        } catch {
+          continue;
+        }
+        if (matches.length === 1) {
+          return { el: matches[0], strategy: locator.strategy, selector: locator.selector, ambiguous: false };
+        }
+        if (matches.length > 1 && !ambiguous) {
+          ambiguous = { el: matches[0], strategy: locator.strategy, selector: locator.selector, ambiguous: true };
+        }
+      }
+      return ambiguous ?? { el: null, errorCode: "TARGET_NOT_FOUND" };
+    }
+
+    async function locate(step, timeoutMs) {
+      const deadline = Date.now() + timeoutMs;
+      let located = locateOnce(step);
+      while (!located.el && Date.now() < deadline) {
+        await sleep(POLL_INTERVAL_MS);
+        located = locateOnce(step);
+      }
+      return located;
+    }
+
+    // Events are built from the element's own realm so same-origin iframe listeners see native-looking events.
+    function dispatchMouseSequence(el) {
+      const view = el.ownerDocument.defaultView;
+      const rect = el.getBoundingClientRect();
+      const init = {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        view,
+        clientX: rect.left + rect.width / 2,
+        clientY: rect.top + rect.height / 2
+      };
+      el.dispatchEvent(new view.PointerEvent("pointerdown", init));
+      el.dispatchEvent(new view.MouseEvent("mousedown", init));
+      el.focus?.({ preventScroll: true });
+      el.dispatchEvent(new view.PointerEvent("pointerup", init));
+      el.dispatchEvent(new view.MouseEvent("mouseup", init));
+      el.click();
+    }
+
+    // The native setter bypasses framework value trackers, so the following input event is seen as a change.
+    function setFieldValue(el, value) {
+      const view = el.ownerDocument.defaultView;
+      const proto =
+        el instanceof view.HTMLTextAreaElement ? view.HTMLTextAreaElement.prototype : view.HTMLInputElement.prototype;
+      el.focus?.({ preventScroll: true });
+      Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+      el.dispatchEvent(new view.Event("input", { bubbles: true, composed: true }));
+      el.dispatchEvent(new view.Event("change", { bubbles: true }));
+    }
+
+    function selectOption(el, step) {
+      const view = el.ownerDocument.defaultView;
+      const option =
+        Array.from(el.options).find((item) => item.value === step.optionValue) ??
+        Array.from(el.options).find((item) => item.textContent.trim() === String(step.optionText ?? "").trim());
+      if (!option) {
+        return false;
+      }
+      el.value = option.value;
+      el.dispatchEvent(new view.Event("input", { bubbles: true, composed: true }));
+      el.dispatchEvent(new view.Event("change", { bubbles: true }));
+      return true;
+    }
+
+    function pressKey(el, step) {
+      const view = el.ownerDocument.defaultView;
+      const modifiers = step.modifiers ?? {};
+      const init = {
+        key: step.key,
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        ctrlKey: Boolean(modifiers.ctrl),
+        metaKey: Boolean(modifiers.meta),
+        altKey: Boolean(modifiers.alt),
+        shiftKey: Boolean(modifiers.shift)
+      };
+      const proceed = el.dispatchEvent(new view.KeyboardEvent("keydown", init));
+      el.dispatchEvent(new view.KeyboardEvent("keyup", init));
+      // Synthetic Enter has no default action; submit the owning form the way a real keypress would.
+      if (proceed && step.key === "Enter" && el.form && typeof el.form.requestSubmit === "function") {
+        el.form.requestSubmit();
+      }
+    }
+
+    function hasModifier(step) {
+      const modifiers = step.modifiers ?? {};
+      return Boolean(modifiers.ctrl || modifiers.meta || modifiers.alt);
+    }
+
+    async function runStep(step, options = {}) {
+      const timeoutMs = Number(options.timeoutMs) || 8000;
+      const type = step?.type ?? "";
+
+      if (type === "scroll") {
+        window.scrollTo(Number(step.scrollX) || 0, Number(step.scrollY) || 0);
+        return { ok: true, status: "passed" };
+      }
+      if (type === "key" && !REPLAYED_KEYS.has(step.key) && !hasModifier(step)) {
+        // Typed characters are replayed by the input step that follows them.
+        return { ok: true, status: "skipped", errorCode: "KEY_COVERED_BY_INPUT" };
+      }
+      if (["input", "select"].includes(type) && (step.sensitive || step.value === REDACTED_VALUE)) {
+        return { ok: true, status: "skipped", errorCode: "SENSITIVE_VALUE" };
+      }
+      if (!["click", "input", "select", "toggle", "key"].includes(type)) {
+        return { ok: true, status: "skipped", errorCode: "UNSUPPORTED_STEP_TYPE" };
+      }
+
+      const located = await locate(step, timeoutMs);
+      const el = located.el;
+      if (!el) {
+        return { ok: false, status: "failed", errorCode: located.errorCode };
+      }
+      const found = { strategy: located.strategy, selector: located.selector, ambiguous: located.ambiguous };
+      el.scrollIntoView({ block: "center", inline: "center" });
+
+      if (type === "click") {
+        dispatchMouseSequence(el);
+        if (step.clickCount === 2) {
+          dispatchMouseSequence(el);
+          el.dispatchEvent(new el.ownerDocument.defaultView.MouseEvent("dblclick", { bubbles: true, composed: true }));
+        }
+      } else if (type === "input") {
+        setFieldValue(el, String(step.value ?? ""));
+      } else if (type === "select") {
+        if (!selectOption(el, step)) {
+          return { ok: false, status: "failed", errorCode: "OPTION_NOT_FOUND", ...found };
+        }
+      } else if (type === "toggle") {
+        if (typeof step.checked === "boolean" && el.checked !== step.checked) {
+          dispatchMouseSequence(el);
+        }
+        if (typeof step.checked === "boolean" && el.checked !== step.checked) {
+          return { ok: false, status: "failed", errorCode: "TOGGLE_STATE_MISMATCH", ...found };
+        }
+      } else {
+        pressKey(el, step);
+      }
+      return { ok: true, status: "passed", ...found };
+    }
+
+    // Resolves once the DOM has been quiet for `quietMs`, or after `maxMs` for pages that never settle.
+    function waitForSettle(quietMs = 300, maxMs = 3000) {
+      return new Promise((resolve) => {
+        let quietTimer = null;
+        let maxTimer = null;
+        const finish = (settled) => {
+          observer.disconnect();
+          clearTimeout(quietTimer);
+          clearTimeout(maxTimer);
+          resolve({ ok: true, settled });
+        };
+        const observer = new MutationObserver(() => {
+          clearTimeout(quietTimer);
+          quietTimer = setTimeout(() => finish(true), quietMs);
+        });
+        observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+        quietTimer = setTimeout(() => finish(true), quietMs);
+        maxTimer = setTimeout(() => finish(false), maxMs);
+      });
+    }
+
+    return { runStep, waitForSettle };
+  })();
+}
@@ -0,0 +1,476 @@
+// Purpose: build ranked, uniqueness-checked selector candidates for a captured DOM target.
+// Inputs: live DOM elements (light DOM, open shadow roots). Outputs: `{ css, xpath, candidates }` for step.selectors,
+// plus `resolveSelectorCandidate` to map a stored candidate back to live elements during replay.
+// Loaded as a content script before content-script.js (both share the isolated-world globals); replay injects it
+// via chrome.scripting when a tab has no content scripts yet.
+// Shadow-root boundaries in a CSS selector chain (`host >>> inner`), matching the deep-combinator convention.
+const SHADOW_SELECTOR_SEPARATOR = " >>> ";
+
+function escapeSelectorValue(value) {
+  if (typeof CSS !== "undefined" && typeof CSS.escape === "function") {
+    return CSS.escape(value);
+  }
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, "\\$&");
+}
+
+// Realm-safe element check: frame ancestors and composed-path nodes may come from another document.
+function isElementNode(value) {
+  return Boolean(value) && value.nodeType === Node.ELEMENT_NODE;
+}
+
+function getShadowHost(el) {
+  const root = el?.getRootNode?.();
+  return root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && isElementNode(root.host) ? root.host : null;
+}
+
+// Selector chain from the outermost light-DOM host down to the element, one entry per shadow scope.
+function buildShadowSelectorChain(el) {
+  const chain = [];
+  let node = el;
+  while (isElementNode(node) && chain.length < 8) {
+    const scoped = buildScopedCssSelector(node);
+    if (!scoped) {
+      return [];
+    }
+    chain.unshift(scoped);
+    node = getShadowHost(node);
+  }
+  return chain;
+}
+
+function buildCssSelector(el) {
+  const chain = buildShadowSelectorChain(el);
+  return chain.length > 0 ? chain.join(SHADOW_SELECTOR_SEPARATOR) : null;
+}
+
+function buildScopedCssSelector(el) {
+  if (!isElementNode(el)) {
+    return null;
+  }
+  if (el.id) {
+    return `#${escapeSelectorValue(el.id)}`;
+  }
+
+  const parts = [];
+  let node = el;
+  let depth = 0;
+  while (node && node.nodeType === Node.ELEMENT_NODE && depth < 6) {
+    const tag = node.tagName.toLowerCase();
+    if (!tag) {
+      break;
+    }
+
+    if (node.id) {
+      parts.unshift(`#${escapeSelectorValue(node.id)}`);
+      break;
+    }
+
+    let segment = tag;
+    const parent = node.parentElement;
+    // Top-level nodes of a shadow tree have no parentElement; their siblings live on the root.
+    const siblingScope = parent ?? (node.parentNode?.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? node.parentNode : null);
+    if (siblingScope) {
+      const sameTagSiblings = Array.from(siblingScope.children).filter(
+        (child) => child.tagName.toLowerCase() === tag
+      );
+      if (sameTagSiblings.length > 1) {
+        const index = sameTagSiblings.indexOf(node) + 1;
+        segment += `:nth-of-type(${index})`;
+      }
+    }
+
+    parts.unshift(segment);
+    node = parent;
+    depth += 1;
+  }
+
+  return parts.length > 0 ? parts.join(" > ") : null;
+}
+
+function buildXPath(el) {
+  // XPath cannot address nodes inside shadow trees; the css chain covers those targets.
+  if (!isElementNode(el) || getShadowHost(el)) {
+    return null;
+  }
+  if (el.id) {
+    return `//*[@id="${String(el.id).replace(/"/g, '\\"')}"]`;
+  }
+
+  const parts = [];
+  let node = el;
+  while (node && node.nodeType === Node.ELEMENT_NODE) {
+    const tag = node.tagName.toLowerCase();
+    const parent = node.parentElement;
+    if (!parent) {
+      parts.unshift(`/${tag}`);
+      break;
+    }
+
+    const siblings = Array.from(parent.children).filter(
+      (child) => child.tagName.toLowerCase() === tag
+    );
+    const index = siblings.indexOf(node) + 1;
+    parts.unshift(`/${tag}[${index}]`);
+    node = parent;
+  }
+
+  return parts.join("");
+}
+
+// Ordered from most to least stable across redeploys; the structural path is the last resort.
+const SELECTOR_STRATEGIES = ["testid", "role", "text", "label", "structural"];
+const TEST_ID_ATTRIBUTES = ["data-testid", "data-test", "data-qa"];
+const NAME_FROM_CONTENT_ROLES = new Set([
+  "button",
+  "link",
+  "heading",
+  "tab",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "treeitem",
+  "cell",
+  "switch"
+]);
+const IMPLICIT_ROLE_BY_TAG = {
+  button: "button",
+  summary: "button",
+  textarea: "textbox",
+  img: "img",
+  h1: "heading",
+  h2: "heading",
+  h3: "heading",
+  h4: "heading",
+  h5: "heading",
+  h6: "heading",
+  li: "listitem",
+  option: "option",
+  nav: "navigation",
+  dialog: "dialog",
+  table: "table"
+};
+const INPUT_ROLE_BY_TYPE = {
+  checkbox: "checkbox",
+  radio: "radio",
+  button: "button",
+  submit: "button",
+  reset: "button",
+  image: "button",
+  range: "slider",
+  number: "spinbutton",
+  search: "searchbox"
+};
+const MAX_TEXT_SELECTOR_LENGTH = 60;
+
+function normalizeSelectorText(value, maxLen = 80) {
+  return String(value ?? "").replace(/\s+/g, " ").trim().slice(0, maxLen);
+}
+
+function quoteSelectorText(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function getSelectorScope(el) {
+  const root = el.getRootNode?.();
+  return typeof root?.querySelectorAll === "function" ? root : el.ownerDocument ?? document;
+}
+
+// Role/text/label candidates are evaluated inside the target's shadow scope; the host chain is prefixed.
+function buildHostPrefix(el) {
+  const host = getShadowHost(el);
+  const hostCss = host ? buildCssSelector(host) : null;
+  return hostCss ? `${hostCss}${SHADOW_SELECTOR_SEPARATOR}` : "";
+}
+
+function getElementRole(el) {
+  const explicit = String(el.getAttribute("role") || "").trim().split(/\s+/)[0];
+  if (explicit) {
+    return explicit.toLowerCase();
+  }
+
+  const tag = el.tagName.toLowerCase();
+  if (tag === "input") {
+    const type = String(el.getAttribute("type") || "text").toLowerCase();
+    if (type === "hidden" || type === "file") {
+      return null;
+    }
+    return INPUT_ROLE_BY_TYPE[type] ?? "textbox";
+  }
+  if (tag === "a") {
+    return el.hasAttribute("href") ? "link" : null;
+  }
+  if (tag === "select") {
+    return el.multiple || Number(el.size) > 1 ? "listbox" : "combobox";
+  }
+  return IMPLICIT_ROLE_BY_TAG[tag] ?? null;
+}
+
+// Every element getElementRole can map to `role`, so role lookups never have to visit the whole scope.
+const roleQueryCache = new Map();
+function buildRoleQuery(role) {
+  if (!roleQueryCache.has(role)) {
+    const tags = Object.keys(IMPLICIT_ROLE_BY_TAG).filter((tag) => IMPLICIT_ROLE_BY_TAG[tag] === role);
+    if (role === "textbox" || Object.values(INPUT_ROLE_BY_TYPE).includes(role)) {
+      tags.push("input");
+    }
+    if (role === "link") {
+      tags.push("a[href]");
+    }
+    if (role === "combobox" || role === "listbox") {
+      tags.push("select");
+    }
+    roleQueryCache.set(role, [...tags, `[role~=${quoteSelectorText(role)} i]`].join(","));
+  }
+  return roleQueryCache.get(role);
+}
+
+function isLabelableElement(el) {
+  const tag = el.tagName.toLowerCase();
+  if (tag === "input") {
+    return String(el.getAttribute("type") || "").toLowerCase() !== "hidden";
+  }
+  return ["textarea", "select", "button", "meter", "output", "progress"].includes(tag);
+}
+
+function getAssociatedLabelText(el) {
+  if (!isLabelableElement(el)) {
+    return "";
+  }
+
+  const wrappedLabel = el.closest("label");
+  if (wrappedLabel) {
+    return normalizeSelectorText(wrappedLabel.textContent);
+  }
+
+  if (el.id) {
+    const forLabel = getSelectorScope(el).querySelector(`label[for=${quoteSelectorText(el.id)}]`);
+    if (forLabel) {
+      return normalizeSelectorText(forLabel.textContent);
+    }
+  }
+  return "";
+}
+
+// Simplified accessible-name computation: aria-label, aria-labelledby, label, alt/title, then content.
+function getAccessibleName(el) {
+  const ariaLabel = normalizeSelectorText(el.getAttribute("aria-label"));
+  if (ariaLabel) {
+    return ariaLabel;
+  }
+
+  const labelledBy = String(el.getAttribute("aria-labelledby") || "").trim();
+  if (labelledBy) {
+    const scope = getSelectorScope(el);
+    const text = labelledBy
+      .split(/\s+/)
+      .map((id) => scope.getElementById?.(id)?.textContent ?? "")
+      .join(" ");
+    if (normalizeSelectorText(text)) {
+      return normalizeSelectorText(text);
+    }
+  }
+
+  const label = getAssociatedLabelText(el);
+  if (label) {
+    return label;
+  }
+
+  const alt = normalizeSelectorText(el.getAttribute("alt") || el.getAttribute("title"));
+  if (alt) {
+    return alt;
+  }
+
+  const role = getElementRole(el);
+  if (role && NAME_FROM_CONTENT_ROLES.has(role)) {
+    return normalizeSelectorText(el.textContent);
+  }
+  if (role === "textbox" || role === "searchbox") {
+    return normalizeSelectorText(el.getAttribute("placeholder"));
+  }
+  return "";
+}
+
+// Stops at 2 because only "unique or not" matters for ranking.
+function countScopeMatches(scope, query, predicate) {
+  const nodes = scope.querySelectorAll(query);
+  let count = 0;
+  for (let i = 0; i < nodes.length; i += 1) {
+    if (predicate(nodes[i])) {
+      count += 1;
+      if (count > 1) {
+        break;
+      }
+    }
+  }
+  return count;
+}
+
+function buildTestIdCandidate(el, scope) {
+  const attribute = TEST_ID_ATTRIBUTES.find((name) => normalizeSelectorText(el.getAttribute(name)));
+  if (!attribute) {
+    return null;
+  }
+  const value = el.getAttribute(attribute);
+  const query = `[${attribute}=${quoteSelectorText(value)}]`;
+  return {
+    strategy: "testid",
+    selector: `${buildHostPrefix(el)}${query}`,
+    attribute,
+    value,
+    matchCount: countScopeMatches(scope, query, () => true)
+  };
+}
+
+function buildRoleCandidate(el, scope) {
+  const role = getElementRole(el);
+  const name = role ? getAccessibleName(el) : "";
+  if (!role || !name) {
+    return null;
+  }
+  return {
+    strategy: "role",
+    selector: `${buildHostPrefix(el)}role=${role}[name=${quoteSelectorText(name)}]`,
+    role,
+    name,
+    // Same query as resolveSelectorCandidate: implicit roles (e.g. `a[href]` as link) span more than one tag.
+    matchCount: countScopeMatches(
+      scope,
+      buildRoleQuery(role),
+      (node) => getElementRole(node) === role && getAccessibleName(node) === name
+    )
+  };
+}
+
+function buildTextCandidate(el, scope) {
+  const tag = el.tagName.toLowerCase();
+  if (["input", "textarea", "select"].includes(tag)) {
+    return null;
+  }
+  const text = normalizeSelectorText(el.textContent, MAX_TEXT_SELECTOR_LENGTH + 1);
+  if (!text || text.length > MAX_TEXT_SELECTOR_LENGTH) {
+    return null;
+  }
+  return {
+    strategy: "text",
+    selector: `${buildHostPrefix(el)}${tag}:text(${quoteSelectorText(text)})`,
+    tag,
+    text,
+    matchCount: countScopeMatches(scope, tag, (node) => normalizeSelectorText(node.textContent) === text)
+  };
+}
+
+function buildLabelCandidate(el, scope) {
+  const tag = el.tagName.toLowerCase();
+  if (!["input", "textarea", "select"].includes(tag)) {
+    return null;
+  }
+  const label = getAssociatedLabelText(el);
+  if (!label) {
+    return null;
+  }
+  return {
+    strategy: "label",
+    selector: `${buildHostPrefix(el)}label=${quoteSelectorText(label)}`,
+    label,
+    matchCount: countScopeMatches(scope, "input,textarea,select", (node) => getAssociatedLabelText(node) === label)
+  };
+}
+
+function buildStructuralCandidate(el, scope) {
+  const css = buildCssSelector(el);
+  const scopedCss = buildScopedCssSelector(el);
+  if (!css || !scopedCss) {
+    return null;
+  }
+  return {
+    strategy: "structural",
+    selector: css,
+    matchCount: scope.querySelectorAll(scopedCss).length
+  };
+}
+
+function buildSelectorCandidates(el) {
+  if (!isElementNode(el)) {
+    return [];
+  }
+
+  const scope = getSelectorScope(el);
+  const builders = {
+    testid: buildTestIdCandidate,
+    role: buildRoleCandidate,
+    text: buildTextCandidate,
+    label: buildLabelCandidate,
+    structural: buildStructuralCandidate
+  };
+  const candidates = [];
+  SELECTOR_STRATEGIES.forEach((strategy) => {
+    try {
+      const candidate = builders[strategy](el, scope);
+      if (candidate) {
+        candidates.push({ ...candidate, unique: candidate.matchCount === 1 });
+      }
+    } catch {
+      // A failing strategy only drops its own candidate.
+    }
+  });
+
+  // Unique candidates first; strategy order breaks ties (Array.prototype.sort is stable).
+  return candidates.sort((a, b) => Number(b.unique) - Number(a.unique));
+}
+
+function buildSelectors(el) {
+  return {
+    css: buildCssSelector(el),
+    xpath: buildXPath(el),
+    candidates: buildSelectorCandidates(el)
+  };
+}
+
+// Replay side: resolve a stored selector back to live elements, mirroring how each candidate was counted.
+function resolveShadowScope(root, selector) {
+  const segments = String(selector ?? "").split(SHADOW_SELECTOR_SEPARATOR);
+  let scope = root;
+  for (const segment of segments.slice(0, -1)) {
+    const host = scope.querySelector(segment);
+    if (!host?.shadowRoot) {
+      return { scope: null, last: "" };
+    }
+    scope = host.shadowRoot;
+  }
+  return { scope, last: segments[segments.length - 1] };
+}
+
+function resolveSelectorCandidate(root, candidate) {
+  const { scope, last } = resolveShadowScope(root, candidate?.selector);
+  if (!scope) {
+    return [];
+  }
+
+  switch (candidate.strategy) {
+    case "testid":
+      return Array.from(scope.querySelectorAll(`[${candidate.attribute}=${quoteSelectorText(candidate.value)}]`));
+    case "role":
+      return Array.from(scope.querySelectorAll(buildRoleQuery(candidate.role))).filter(
+        (node) => getElementRole(node) === candidate.role && getAccessibleName(node) === candidate.name
+      );
+    case "text":
+      return Array.from(scope.querySelectorAll(candidate.tag)).filter(
+        (node) => normalizeSelectorText(node.textContent) === candidate.text
+      );
+    case "label":
+      return Array.from(scope.querySelectorAll("input,textarea,select")).filter(
+        (node) => getAssociatedLabelText(node) === candidate.label
+      );
+    case "structural":
+    case "css":
+      return last ? Array.from(scope.querySelectorAll(last)) : [];
+    case "xpath": {
+      const doc = root.ownerDocument ?? root;
+      const snapshot = doc.evaluate(candidate.selector, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      return Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i)).filter(isElementNode);
+    }
+    default:
+      return [];
+  }
+}
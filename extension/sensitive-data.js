@@ -0,0 +1,174 @@
+// Purpose: classify and mask sensitive form data before a captured step is stored or leaves the page.
+// Inputs: step payloads/records (target meta + values). Outputs: masked copies with `sensitive: { rule, category }`.
+// Shared by the content script (masks before sending) and the service worker (importScripts backstop + migration).
+const SENSITIVE_MASK = "[REDACTED]";
+
+const SENSITIVE_AUTOCOMPLETE_HINTS = {
+  "cc-number": "card",
+  "cc-csc": "card",
+  "cc-exp": "card",
+  "cc-exp-month": "card",
+  "cc-exp-year": "card",
+  "cc-name": "card",
+  "one-time-code": "otp",
+  "current-password": "password",
+  "new-password": "password",
+  email: "email",
+  tel: "phone",
+  "tel-national": "phone",
+  "tel-local": "phone",
+  bday: "identity",
+  "transaction-amount": "financial"
+};
+
+const SENSITIVE_INPUT_TYPES = { password: "password", email: "email", tel: "phone" };
+const SENSITIVE_FIELD_TAGS = new Set(["input", "textarea", "select"]);
+const NON_TEXT_INPUT_TYPES = new Set(["checkbox", "radio", "button", "submit", "reset", "image", "range", "color"]);
+
+// Matched against space-separated tokens of the field name, id, label, and placeholder.
+const SENSITIVE_FIELD_NAME_RULES = [
+  { id: "ssn", category: "identity", pattern: /\b(ssn|social security|national id|tax id|passport)\b/ },
+  { id: "iban", category: "financial", pattern: /\b(iban|bic|swift|routing|account number|sort code)\b/ },
+  { id: "card", category: "card", pattern: /\b(card ?number|cc ?num|ccnum|credit card|cvv|cvc|csc|security code)\b/ },
+  { id: "password", category: "password", pattern: /\b(password|passwd|pwd|passcode|pin)\b/ },
+  { id: "otp", category: "otp", pattern: /\b(otp|one time code|verification code|2fa|mfa)\b/ },
+  { id: "token", category: "secret", pattern: /\b(token|secret|api ?key|access key|private key|client secret)\b/ }
+];
+
+const SENSITIVE_VALUE_RULES = [
+  {
+    id: "api-key",
+    category: "secret",
+    pattern:
+      /\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abprs]-[A-Za-z0-9-]{10,}|eyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,})/
+  },
+  { id: "card", category: "card", pattern: /\b(?:\d[ -]?){12,18}\d\b/g, verify: isLuhnValid },
+  { id: "iban", category: "financial", pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/gi, verify: isIbanValid },
+  { id: "email", category: "email", pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i },
+  {
+    id: "phone",
+    category: "phone",
+    pattern: /(?:\+\d{7,15}\b|(?<![\d+])(?:\+\d{1,3}[\s.-]?)?\(?\d{2,4}\)?[\s.-]\d{3,4}[\s.-]?\d{3,4}\b)/g,
+    verify: (match) => {
+      const digits = match.replace(/\D/g, "").length;
+      return digits >= 7 && digits <= 15;
+    }
+  }
+];
+
+function isLuhnValid(match) {
+  const digits = match.replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isIbanValid(match) {
+  const iban = match.replace(/\s/g, "").toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+function tokenizeFieldHint(value) {
+  return String(value ?? "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/[^A-Za-z0-9]+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+// Field-level rules: a match masks the field even before its value looks sensitive (e.g. a half-typed card).
+function classifySensitiveField(target) {
+  const inputType = String(target?.type ?? "").toLowerCase();
+  // Buttons and links labelled "Forgot password?" are not fields; only text-entry controls are classified.
+  if (!SENSITIVE_FIELD_TAGS.has(target?.tag) || NON_TEXT_INPUT_TYPES.has(inputType)) {
+    return null;
+  }
+
+  const hints = String(target.autocomplete ?? "").toLowerCase().split(/\s+/).filter(Boolean);
+  const hint = hints.find((token) => SENSITIVE_AUTOCOMPLETE_HINTS[token]);
+  if (hint) {
+    return { rule: `autocomplete:${hint}`, category: SENSITIVE_AUTOCOMPLETE_HINTS[hint] };
+  }
+
+  if (target.tag === "input" && SENSITIVE_INPUT_TYPES[inputType]) {
+    return { rule: `input-type:${inputType}`, category: SENSITIVE_INPUT_TYPES[inputType] };
+  }
+
+  const haystack = [target.name, target.id, target.label, target.placeholder].map(tokenizeFieldHint).join(" | ");
+  const fieldRule = SENSITIVE_FIELD_NAME_RULES.find((rule) => rule.pattern.test(haystack));
+  return fieldRule ? { rule: `field-name:${fieldRule.id}`, category: fieldRule.category } : null;
+}
+
+function detectSensitiveValue(value) {
+  const text = String(value ?? "");
+  if (!text || text === SENSITIVE_MASK) {
+    return null;
+  }
+
+  for (const rule of SENSITIVE_VALUE_RULES) {
+    const matches = rule.pattern.global ? text.match(rule.pattern) ?? [] : [text.match(rule.pattern)?.[0]];
+    if (matches.some((match) => match && (!rule.verify || rule.verify(match)))) {
+      return { rule: `value:${rule.id}`, category: rule.category };
+    }
+  }
+  return null;
+}
+
+// Accepts both content-script payloads (`kind`) and stored steps (`type`); returns a masked copy.
+function maskSensitiveStep(step) {
+  if (!step || typeof step !== "object") {
+    return step;
+  }
+
+  const type = step.type ?? step.kind ?? "";
+  const existing = typeof step.sensitive?.rule === "string" ? step.sensitive : null;
+  const match =
+    existing ??
+    classifySensitiveField(step.target) ??
+    [step.value, step.optionValue, step.optionText, step.target?.text].map(detectSensitiveValue).find(Boolean);
+  if (!match) {
+    return { ...step, sensitive: null };
+  }
+
+  const masked = { ...step, sensitive: { rule: String(match.rule), category: String(match.category ?? "unknown") } };
+  if (Array.isArray(masked.selectors?.candidates)) {
+    const candidates = masked.selectors.candidates.filter((candidate) => !detectSensitiveValue(candidate?.selector));
+    masked.selectors = { ...masked.selectors, candidates };
+  }
+  ["value", "optionValue", "optionText"].forEach((field) => {
+    if (masked[field]) {
+      masked[field] = SENSITIVE_MASK;
+    }
+  });
+  // Printable keystrokes on a sensitive field spell out its value one step at a time.
+  if (type === "key" && typeof masked.key === "string" && masked.key.length === 1) {
+    masked.key = SENSITIVE_MASK;
+  }
+  if (masked.target?.text) {
+    masked.target = { ...masked.target, text: SENSITIVE_MASK };
+  }
+  return masked;
+}
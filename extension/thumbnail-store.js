@@ -0,0 +1,187 @@
+// Purpose: keep step thumbnails as binary blobs in IndexedDB so chrome.storage.local only holds small step records.
+// Inputs: step ids + thumbnail data URLs/blobs. Outputs: thumbnail refs, resolved data URLs, and blob cleanup helpers.
+// Shared by the service worker (importScripts) and extension pages (inspector/popup script tags).
+const THUMBNAIL_DB_NAME = "capme-thumbnails";
+const THUMBNAIL_DB_VERSION = 1;
+const THUMBNAIL_STORE_NAME = "thumbnails";
+
+let thumbnailDbPromise = null;
+
+function openThumbnailDb() {
+  if (thumbnailDbPromise) {
+    return thumbnailDbPromise;
+  }
+
+  thumbnailDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("INDEXEDDB_UNAVAILABLE"));
+      return;
+    }
+
+    const request = indexedDB.open(THUMBNAIL_DB_NAME, THUMBNAIL_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(THUMBNAIL_STORE_NAME)) {
+        db.createObjectStore(THUMBNAIL_STORE_NAME);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        thumbnailDbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error ?? new Error("INDEXEDDB_OPEN_FAILED"));
+  });
+  thumbnailDbPromise.catch(() => {
+    thumbnailDbPromise = null;
+  });
+  return thumbnailDbPromise;
+}
+
+function runThumbnailTransaction(mode, work) {
+  return openThumbnailDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(THUMBNAIL_STORE_NAME, mode);
+        const output = work(tx.objectStore(THUMBNAIL_STORE_NAME));
+        tx.oncomplete = () => resolve(output);
+        tx.onerror = () => reject(tx.error ?? new Error("THUMBNAIL_TX_FAILED"));
+        tx.onabort = () => reject(tx.error ?? new Error("THUMBNAIL_TX_ABORTED"));
+      })
+  );
+}
+
+function uniqueThumbnailKeys(keys) {
+  return [...new Set((Array.isArray(keys) ? keys : []).filter(Boolean).map((key) => String(key)))];
+}
+
+async function thumbnailBlobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const chunkSize = 0x8000;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${blob.type || "image/jpeg"};base64,${btoa(binary)}`;
+}
+
+async function putThumbnailBlob(key, blob) {
+  const normalizedKey = String(key ?? "").trim();
+  if (!normalizedKey || !(blob instanceof Blob)) {
+    return null;
+  }
+  await runThumbnailTransaction("readwrite", (store) => {
+    store.put({ blob, bytes: blob.size, createdAt: Date.now() }, normalizedKey);
+  });
+  return normalizedKey;
+}
+
+async function putThumbnailDataUrl(key, dataUrl) {
+  if (typeof dataUrl !== "string" || !dataUrl.startsWith("data:")) {
+    return null;
+  }
+  const response = await fetch(dataUrl);
+  const blob = await response.blob();
+  return putThumbnailBlob(key, blob);
+}
+
+async function getThumbnailBlobs(keys) {
+  const unique = uniqueThumbnailKeys(keys);
+  if (!unique.length) {
+    return {};
+  }
+  return runThumbnailTransaction("readonly", (store) => {
+    const found = {};
+    unique.forEach((key) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const record = request.result;
+        if (record?.blob instanceof Blob) {
+          found[key] = record.blob;
+        }
+      };
+    });
+    return found;
+  });
+}
+
+async function getThumbnailDataUrls(keys) {
+  const blobs = await getThumbnailBlobs(keys);
+  const entries = await Promise.all(
+    Object.entries(blobs).map(async ([key, blob]) => [key, await thumbnailBlobToDataUrl(blob)])
+  );
+  return Object.fromEntries(entries);
+}
+
+async function deleteThumbnailBlobs(keys) {
+  const unique = uniqueThumbnailKeys(keys);
+  if (!unique.length) {
+    return 0;
+  }
+  await runThumbnailTransaction("readwrite", (store) => {
+    unique.forEach((key) => store.delete(key));
+  });
+  return unique.length;
+}
+
+async function clearThumbnailBlobs() {
+  await runThumbnailTransaction("readwrite", (store) => {
+    store.clear();
+  });
+}
+
+async function listThumbnailKeys() {
+  return runThumbnailTransaction("readonly", (store) => {
+    const keys = [];
+    const request = store.getAllKeys();
+    request.onsuccess = () => {
+      keys.push(...(request.result ?? []).map((key) => String(key)));
+    };
+    return keys;
+  });
+}
+
+async function estimateThumbnailUsage() {
+  return runThumbnailTransaction("readonly", (store) => {
+    const usage = { count: 0, bytes: 0 };
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        return;
+      }
+      usage.count += 1;
+      usage.bytes += Number(cursor.value?.bytes) || 0;
+      cursor.continue();
+    };
+    return usage;
+  });
+}
+
+// Fills `thumbnailDataUrl` from `thumbnailRef` for consumers that need the image (exports, bridge, sync).
+async function resolveStepThumbnails(steps) {
+  const list = Array.isArray(steps) ? steps : [];
+  const refs = list
+    .filter((step) => !step?.thumbnailDataUrl && typeof step?.thumbnailRef === "string")
+    .map((step) => step.thumbnailRef);
+  if (!refs.length) {
+    return list;
+  }
+
+  let dataUrls = {};
+  try {
+    dataUrls = await getThumbnailDataUrls(refs);
+  } catch {
+    return list;
+  }
+
+  return list.map((step) => {
+    if (step?.thumbnailDataUrl || !step?.thumbnailRef) {
+      return step;
+    }
+    return { ...step, thumbnailDataUrl: dataUrls[step.thumbnailRef] ?? null };
+  });
+}
@@ -12,13 +12,24 @@ const minimizeBtn = document.getElementById("dockMinimize");
 const dragHandle = document.getElementById("dockDragHandle");
 const toastEl = document.getElementById("dockToast");
 const minimizeIcon = document.getElementById("dockMinimizeIcon");
+const indicatorEl = document.getElementById("dockIndicator");
 
 const PAUSE_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>';
 const PLAY_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>';
 const MINIMIZE_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="4 14 10 14 10 20"></polyline><polyline points="20 10 14 10 14 4"></polyline><line x1="14" y1="10" x2="21" y2="3"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>';
 const EXPAND_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>';
 
-const state = { isCapturing: false, startedAt: null, stepCount: 0, minimized: false };
+const state = {
+  isCapturing: false,
+  startedAt: null,
+  isPaused: false,
+  pausedAt: null,
+  pausedMs: 0,
+  stepCount: 0,
+  stepLimitReached: false,
+  siteExcluded: false,
+  minimized: false
+};
 let toastTimer = null;
 let isDragging = false;
 let lastPointer = null;
@@ -30,12 +41,30 @@ function formatDuration(ms) {
   return `${mm}:${ss}`;
 }
 
+function activeElapsedMs(now) {
+  if (!state.isCapturing || !state.startedAt) {
+    return 0;
+  }
+  const currentPauseMs = state.isPaused && state.pausedAt ? now - state.pausedAt : 0;
+  return now - state.startedAt - (Number(state.pausedMs) || 0) - currentPauseMs;
+}
+
 function render() {
-  stepEl.textContent = String(state.stepCount ?? 0);
-  timerEl.textContent = state.isCapturing && state.startedAt ? formatDuration(Date.now() - state.startedAt) : "00:00";
-  pauseIcon.innerHTML = state.isCapturing ? PAUSE_ICON : PLAY_ICON;
+  stepEl.textContent = state.stepLimitReached ? `${state.stepCount ?? 0} max` : String(state.stepCount ?? 0);
+  stepEl.classList.toggle("limit-reached", Boolean(state.stepLimitReached));
+  stepEl.title = state.stepLimitReached ? "Session step limit reached; new steps are not recorded." : "";
+  timerEl.textContent = formatDuration(activeElapsedMs(Date.now()));
+  pauseIcon.innerHTML = state.isCapturing && !state.isPaused ? PAUSE_ICON : PLAY_ICON;
+  pauseBtn.title = state.isPaused ? "Resume (Alt+Shift+P)" : "Pause (Alt+Shift+P)";
   if (dockRoot) {
     dockRoot.classList.toggle("minimized", Boolean(state.minimized));
+    dockRoot.classList.toggle("paused", Boolean(state.isPaused));
+    dockRoot.classList.toggle("excluded", Boolean(state.siteExcluded));
+  }
+  if (indicatorEl) {
+    indicatorEl.title = state.siteExcluded
+      ? "This site is excluded by the capture policy; nothing is recorded here."
+      : "Recording in progress";
   }
   if (minimizeBtn && minimizeIcon) {
     minimizeIcon.innerHTML = state.minimized ? EXPAND_ICON : MINIMIZE_ICON;
@@ -64,8 +93,16 @@ window.addEventListener("message", (event) => {
     return;
   }
   if (data.type === "STATE") {
+    const wasExcluded = state.siteExcluded;
     Object.assign(state, data.payload ?? {});
     render();
+    if (state.siteExcluded && !wasExcluded) {
+      showToast("Site excluded - not recording");
+    }
+    return;
+  }
+  if (data.type === "PAUSE_RESULT") {
+    showToast(data.isPaused ? "Paused - steps are not recorded" : "Resumed");
     return;
   }
   if (data.type === "DISCARD_RESULT") {
@@ -73,7 +110,7 @@ window.addEventListener("message", (event) => {
   }
 });
 
-pauseBtn.addEventListener("click", () => send("TOGGLE_CAPTURE"));
+pauseBtn.addEventListener("click", () => send("TOGGLE_PAUSE"));
 finishBtn.addEventListener("click", () => send("STOP_CAPTURE"));
 discardBtn.addEventListener("click", () => send("DISCARD_LAST_STEP"));
 if (minimizeBtn) {
@@ -11,6 +11,7 @@ const openInspectorFooter = document.getElementById("openInspectorFooter");
 const openEditor = document.getElementById("openEditor");
 const checkLocalEditor = document.getElementById("checkLocalEditor");
 const downloadLastJson = document.getElementById("downloadLastJson");
+const retentionWarning = document.getElementById("retentionWarning");
 
 function getStorage(keys) {
   return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
@@ -128,7 +129,7 @@ async function openEditorForSession(sessionId) {
 function renderRecentSessions(sessions, latestStepBySession) {
   const topSessions = [...sessions].sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0)).slice(0, 3);
   if (topSessions.length === 0) {
-    recentCaptureList.innerHTML = '<p class="empty">No sessions yet. Start capture and interact with a page. Hotkeys: Alt+Shift+R/Z/M.</p>';
+    recentCaptureList.innerHTML = '<p class="empty">No sessions yet. Start capture and interact with a page. Hotkeys: Alt+Shift+R/P/Z/M.</p>';
     return;
   }
 
@@ -140,7 +141,8 @@ function renderRecentSessions(sessions, latestStepBySession) {
       const thumbStyle = latestStep?.thumbnailDataUrl
         ? ` style="background-image:url('${escapeHtml(latestStep.thumbnailDataUrl)}')"`
         : "";
-      const syncState = session.sync?.status ? ` | sync: ${escapeHtml(session.sync.status)}` : "";
+      const syncLabel = session.sync?.status === "conflict" ? "conflict (newer team revision)" : session.sync?.status;
+      const syncState = syncLabel ? ` | sync: ${escapeHtml(syncLabel)}` : "";
       return `<article class="recent-item" data-session-id="${escapeHtml(session.id)}" role="button" tabindex="0">
         <div class="recent-thumb"${thumbStyle}></div>
         <div>
@@ -152,21 +154,50 @@ function renderRecentSessions(sessions, latestStepBySession) {
     .join("");
 }
 
+function renderRetentionWarning(retentionState) {
+  const pending = Object.values(retentionState?.pendingEvictions ?? {});
+  const warned = pending.filter((item) => item?.action === "warned");
+  const queued = pending.filter((item) => item?.action === "upload_queued");
+  if (!warned.length && !queued.length) {
+    retentionWarning.hidden = true;
+    retentionWarning.textContent = "";
+    return;
+  }
+
+  const parts = [];
+  if (warned.length) {
+    const nextPruneAt = Math.min(...warned.map((item) => Number(item.pruneAt) || Date.now()));
+    parts.push(
+      `${warned.length} unsynced session${warned.length === 1 ? "" : "s"} will be pruned on ` +
+        `${new Date(nextPruneAt).toLocaleDateString()} unless pinned in the inspector; export them to keep a copy.`
+    );
+  }
+  if (queued.length) {
+    parts.push(`${queued.length} session${queued.length === 1 ? " is" : "s are"} uploading before retention cleanup.`);
+  }
+  retentionWarning.textContent = parts.join(" ");
+  retentionWarning.hidden = false;
+}
+
 async function refreshState() {
-  const store = await getStorage(["captureState", "sessions", "steps"]);
+  const store = await getStorage(["captureState", "sessions", "steps", "retentionState"]);
   const captureState = store.captureState ?? { isCapturing: false };
   const sessions = store.sessions ?? [];
-  const latestStepBySession = getLatestStepBySession(store.steps ?? []);
+  const latestSteps = await resolveStepThumbnails(Object.values(getLatestStepBySession(store.steps ?? [])));
+  const latestStepBySession = getLatestStepBySession(latestSteps);
   const isCapturing = Boolean(captureState.isCapturing);
+  const isPaused = isCapturing && Boolean(captureState.isPaused);
 
   captureToggleLabel.textContent = isCapturing ? "Stop Recording" : "Start Recording";
-  captureStatus.textContent = isCapturing
-    ? "Recording in progress..."
-    : "Click to start capturing clicks & types";
+  captureStatus.textContent = isPaused
+    ? "Recording paused. Resume from the dock (Alt+Shift+P)."
+    : isCapturing
+      ? "Recording in progress..."
+      : "Click to start capturing clicks & types";
     
   const dot = document.getElementById("captureDot");
   if (dot) {
-    if (isCapturing) {
+    if (isCapturing && !isPaused) {
       dot.classList.add("recording");
     } else {
       dot.classList.remove("recording");
@@ -174,6 +205,7 @@ async function refreshState() {
   }
 
   renderRecentSessions(sessions, latestStepBySession);
+  renderRetentionWarning(store.retentionState);
 }
 
 async function toggleCapture() {
@@ -213,7 +245,7 @@ async function handleDownloadLatestJson() {
     return;
   }
 
-  const sessionSteps = getSessionSteps(steps, latest.id);
+  const sessionSteps = await resolveStepThumbnails(getSessionSteps(steps, latest.id));
   downloadJson(`cap-me-session-${latest.id}.json`, buildSessionExport(latest, sessionSteps));
   captureStatus.textContent = "Downloaded latest session JSON.";
 }
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+// Headless exporter: turns session JSON (editor exports, team-library payloads, DevTools recordings) into
+// the same documents and scripts the editor produces. Runs through tsx so it can share the app's TS modules.
+import { mkdirSync, readFileSync, readdirSync, statSync, writeFileSync } from "node:fs";
+import { basename, dirname, extname, join, relative, resolve } from "node:path";
+import { buildSessionExport, migrateSessionPayload, toDevToolsRecording } from "../app/src/lib/migrations.ts";
+import { normalizePayload } from "../app/src/lib/derivation.ts";
+import {
+  asCypress,
+  asHtml,
+  asMarkdown,
+  asPlaywright,
+  asSeleniumSide,
+  buildPdfDocument
+} from "../app/src/lib/exporters.ts";
+import { buildDocx } from "../app/src/lib/docx.ts";
+import { buildConfluenceBundle, buildNotionBundle } from "../app/src/lib/wiki.ts";
+import { asWalkthroughHtml } from "../app/src/lib/walkthrough.ts";
+
+const FORMATS = {
+  md: { extension: ".md", render: (payload) => asMarkdown(payload) },
+  html: { extension: ".html", render: (payload) => asHtml(payload) },
+  walkthrough: { extension: ".walkthrough.html", render: (payload) => asWalkthroughHtml(payload) },
+  pdf: { extension: ".pdf", render: (payload) => Buffer.from(buildPdfDocument(payload).output("arraybuffer")) },
+  docx: { extension: ".docx", render: (payload) => buildDocx(payload) },
+  confluence: { extension: ".confluence.zip", render: (payload) => buildConfluenceBundle(payload) },
+  notion: { extension: ".notion.zip", render: (payload) => buildNotionBundle(payload) },
+  json: { extension: ".json", render: (payload) => asJson(buildSessionExport(payload)) },
+  playwright: { extension: ".spec.js", render: (payload) => asPlaywright(payload) },
+  cypress: { extension: ".cy.js", render: (payload) => asCypress(payload) },
+  side: { extension: ".side", render: (payload) => asJson(asSeleniumSide(payload)) },
+  devtools: { extension: ".recording.json", render: (payload) => asJson(toDevToolsRecording(payload)) }
+};
+
+const USAGE = `Usage: pnpm capme export <file-or-folder...> [--format md|html|pdf|json|...] [--out dir]
+
+  --format  One or more of ${Object.keys(FORMATS).join(", ")} (comma separated or repeated). Default: md.
+  --out     Output folder. Default: ./capme-export. Folder inputs keep their relative layout.
+
+Inputs may be editor exports, team-library getSession responses, DevTools Recorder JSON, or arrays of them.`;
+
+class UsageError extends Error {}
+
+function asJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+function parseArgs(argv) {
+  const result = { command: "", inputs: [], formats: [], outDir: "capme-export", help: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      result.help = true;
+      continue;
+    }
+    if (arg === "--format" || arg === "--out") {
+      const value = String(argv[i + 1] ?? "").trim();
+      if (!value || value.startsWith("--")) {
+        throw new UsageError(`${arg} needs a value.`);
+      }
+      if (arg === "--format") {
+        result.formats.push(...value.split(",").map((format) => format.trim().toLowerCase()).filter(Boolean));
+      } else {
+        result.outDir = value;
+      }
+      i += 1;
+      continue;
+    }
+    if (arg.startsWith("--")) {
+      throw new UsageError(`Unknown option ${arg}.`);
+    }
+    if (!result.command) {
+      result.command = arg;
+    } else {
+      result.inputs.push(arg);
+    }
+  }
+
+  if (!result.formats.length) {
+    result.formats.push("md");
+  }
+  return result;
+}
+
+function listJsonFiles(rootDir) {
+  const files = [];
+
+  function walk(currentDir) {
+    const entries = readdirSync(currentDir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const fullPath = join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+        continue;
+      }
+      if (entry.isFile() && extname(entry.name).toLowerCase() === ".json") {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  walk(rootDir);
+  return files;
+}
+
+// Each input file maps to `relativeStem`, which output files reuse under --out.
+function collectSources(inputs) {
+  const sources = [];
+  for (const input of inputs) {
+    const inputPath = resolve(input);
+    if (statSync(inputPath).isDirectory()) {
+      for (const file of listJsonFiles(inputPath)) {
+        const rel = relative(inputPath, file);
+        sources.push({ file, relativeStem: join(dirname(rel), basename(rel, extname(rel))) });
+      }
+    } else {
+      sources.push({ file: inputPath, relativeStem: basename(inputPath, extname(inputPath)) });
+    }
+  }
+  return sources;
+}
+
+// Team-library responses wrap the session in `payload`; library dumps may hold several sessions per file.
+function unwrapPayloads(body) {
+  const entries = Array.isArray(body) ? body : [body];
+  return entries.map((entry) => (entry?.payload && typeof entry.payload === "object" ? entry.payload : entry));
+}
+
+function slugify(value) {
+  return String(value || "session")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function exportSource(source, formats, outDir) {
+  const raw = JSON.parse(readFileSync(source.file, "utf8"));
+  const payloads = unwrapPayloads(raw).map((entry) => normalizePayload(migrateSessionPayload(entry)));
+  const written = [];
+
+  payloads.forEach((payload) => {
+    if (!payload.steps.length) {
+      throw new Error(`session ${payload.session?.id || "(no id)"} has no steps`);
+    }
+    const stem = payloads.length > 1 ? `${source.relativeStem}-${slugify(payload.session?.id)}` : source.relativeStem;
+    for (const format of formats) {
+      const target = resolve(outDir, `${stem}${FORMATS[format].extension}`);
+      if (target === source.file) {
+        throw new Error(`refusing to overwrite input ${source.file}`);
+      }
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, FORMATS[format].render(payload));
+      written.push(target);
+    }
+  });
+  return written;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.command !== "export" || !args.inputs.length) {
+    console.error(USAGE);
+    return 2;
+  }
+  const unknown = args.formats.filter((format) => !FORMATS[format]);
+  if (unknown.length) {
+    console.error(`Unknown format: ${unknown.join(", ")}\n\n${USAGE}`);
+    return 2;
+  }
+
+  let sources;
+  try {
+    sources = collectSources(args.inputs);
+  } catch (err) {
+    console.error(`Cannot read input: ${err.message}`);
+    return 2;
+  }
+  if (!sources.length) {
+    console.error("No .json session files found.");
+    return 1;
+  }
+
+  const formats = [...new Set(args.formats)];
+  let failures = 0;
+  let writtenCount = 0;
+  for (const source of sources) {
+    try {
+      const written = exportSource(source, formats, args.outDir);
+      writtenCount += written.length;
+      written.forEach((target) => console.log(`wrote ${relative(process.cwd(), target)}`));
+    } catch (err) {
+      failures += 1;
+      console.error(`failed ${relative(process.cwd(), source.file)}: ${err.message}`);
+    }
+  }
+
+  console.log(`Exported ${sources.length - failures}/${sources.length} file(s), ${writtenCount} output(s).`);
+  return failures ? 1 : 0;
+}
+
+process.exitCode = main();
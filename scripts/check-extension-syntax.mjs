@@ -5,6 +5,10 @@ const files = [
   "extension/background.js",
   "extension/content-script.js",
   "extension/inspector.js",
+  "extension/replay-agent.js",
+  "extension/selector-engine.js",
+  "extension/sensitive-data.js",
+  "extension/thumbnail-store.js",
   "extension/ui-floating-control/dock.js",
   "extension/ui-record-popup/popup.js"
 ];
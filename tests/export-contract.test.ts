@@ -1,8 +1,36 @@
 import assert from "node:assert";
 import fs from "node:fs";
 import path from "node:path";
-import { buildSessionExport, migrateSessionPayload, APP_SCHEMA_VERSION } from "../app/src/lib/migrations";
+import vm from "node:vm";
+import {
+  buildSessionExport,
+  devToolsSkippedSteps,
+  migrateSessionPayload,
+  toDevToolsRecording,
+  APP_SCHEMA_VERSION
+} from "../app/src/lib/migrations";
 import { assertValidSessionPayloadContract } from "../app/src/lib/contracts";
+import { normalizePayload } from "../app/src/lib/derivation";
+import { asCypress, asMarkdown, asPlaywright, asSeleniumSide, buildPdfDocument } from "../app/src/lib/exporters";
+import { buildDocx } from "../app/src/lib/docx";
+import { asConfluenceStorage, asNotionMarkdown, buildNotionBundle } from "../app/src/lib/wiki";
+import { asWalkthroughHtml } from "../app/src/lib/walkthrough";
+import { createGifEncoder } from "../app/src/lib/gif";
+import { isDraftExpired, reattachDraftThumbnails, summarizeDraftChanges, DRAFT_MAX_AGE_MS } from "../app/src/lib/drafts";
+import {
+  emptyHistory,
+  mergeStepWithNextById,
+  rebaseHistory,
+  recordEdit,
+  redoEdit,
+  undoEdit
+} from "../app/src/editor/state/sessionReducer";
+import {
+  applyLiveStepUpdate,
+  createLiveStepFeed,
+  diffSessionSteps,
+  liveCaptureStatus
+} from "../app/src/editor/state/liveSteps";
 
 const basePayload = {
   schemaVersion: "1.0.0",
@@ -135,4 +163,409 @@ assert.throws(
   "invalid annotation type should fail documented schema parity validation"
 );
 
-console.log("export-contract: ok");
+// DevTools Recorder user flows import as SessionPayloads and export back to the Recorder format
+const devToolsRecording = {
+  title: "Checkout",
+  steps: [
+    { type: "setViewport", width: 1280, height: 720, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: true },
+    { type: "navigate", url: "https://shop.example.com/", assertedEvents: [{ type: "navigation", url: "https://shop.example.com/", title: "Shop" }] },
+    {
+      type: "click",
+      target: "main",
+      selectors: [["aria/Checkout[role=\"button\"]"], ["#checkout"], ["xpath///*[@id=\"checkout\"]"], ["pierce/#checkout"]],
+      offsetX: 10,
+      offsetY: 5,
+      assertedEvents: [{ type: "navigation", url: "https://shop.example.com/cart", title: "Cart" }]
+    },
+    { type: "change", target: "main", selectors: [["shop-form", "#email"]], value: "qa@example.com" },
+    { type: "keyDown", target: "main", key: "Control" },
+    { type: "keyDown", target: "main", key: "Enter" },
+    { type: "keyUp", target: "main", key: "Enter" },
+    { type: "keyUp", target: "main", key: "Control" }
+  ]
+};
+const importedRecording = migrateSessionPayload(devToolsRecording);
+validateExportShape(buildSessionExport(importedRecording));
+assert.deepEqual(
+  importedRecording.steps.map((step: any) => step.type),
+  ["navigate", "click", "navigate", "input", "key"],
+  "recorder steps should map to capture step types, with asserted navigations as navigate steps"
+);
+assert.equal(importedRecording.session.startUrl, "https://shop.example.com/", "first navigation should become startUrl");
+const importedClick: any = importedRecording.steps[1];
+assert.equal(importedClick.selectors.css, "#checkout", "unprefixed selector should become css");
+assert.equal(importedClick.selectors.xpath, "//*[@id=\"checkout\"]", "xpath/ selector should become xpath");
+assert.equal(importedClick.selectors.candidates[0].role, "button", "aria selector with role should become a role candidate");
+assert.equal((importedRecording.steps[3] as any).selectors.css, "shop-form >>> #email", "selector chains should pierce shadow roots");
+assert.deepEqual(
+  (importedRecording.steps[4] as any).modifiers,
+  { ctrl: true, meta: false, alt: false, shift: false },
+  "held modifier keys should fold into the key step"
+);
+
+const exportedRecording = toDevToolsRecording(importedRecording);
+assert.equal(exportedRecording.title, "Checkout", "recorder export should keep the session title");
+assert.deepEqual(
+  exportedRecording.steps.map((step) => step.type),
+  ["navigate", "click", "change", "keyDown", "keyDown", "keyUp", "keyUp"],
+  "recorder export should fold interaction navigations into assertedEvents and wrap modifiers"
+);
+assert.equal((exportedRecording.steps[1] as any).assertedEvents[0].url, "https://shop.example.com/cart");
+assert.deepEqual((exportedRecording.steps[2] as any).selectors, [["shop-form", "#email"]], "shadow chains should export as arrays");
+const maskedRecording = toDevToolsRecording({
+  session: { id: "sess_masked", startUrl: "https://example.com/" },
+  steps: [{ type: "input", value: "[REDACTED]", sensitive: { rule: "input-type:password" }, selectors: { css: "#pw" } }]
+});
+assert.equal((maskedRecording.steps[1] as any).value, "", "masked values should not be exported literally");
+const framedRecording = {
+  title: "Embedded form",
+  steps: [
+    { type: "navigate", url: "https://host.example.com/" },
+    { type: "doubleClick", target: "main", frame: [0, 1], selectors: [["pierce/#row-2"]], offsetX: 3, offsetY: 3 },
+    { type: "change", target: "https://pay.example.net/frame", selectors: [["#card"]], value: "4111" }
+  ]
+};
+const importedFramed = migrateSessionPayload(framedRecording);
+const [, framedClick, outOfProcess]: any[] = importedFramed.steps;
+assert.equal(framedClick.clickCount, 2, "doubleClick should import as a double click");
+assert.equal(framedClick.selectors.pierce, "#row-2", "pierce/ selectors should be kept");
+assert.equal(framedClick.selectors.css, "#row-2", "a pierce-only step should still get a css locator");
+assert.deepEqual(framedClick.frame.recorderPath, [0, 1], "recorder frame indexes should be kept");
+assert.equal(outOfProcess.frame.recorderTarget, "https://pay.example.net/frame", "non-main targets should be kept");
+const reexportedFramed = toDevToolsRecording(importedFramed);
+assert.deepEqual(
+  reexportedFramed.steps.map((step: any) => [step.type, step.target, step.frame]),
+  [
+    ["navigate", undefined, undefined],
+    ["doubleClick", "main", [0, 1]],
+    ["change", "https://pay.example.net/frame", []]
+  ],
+  "imported frame addressing should round-trip"
+);
+assert.deepEqual((reexportedFramed.steps[1] as any).selectors, [["#row-2"], ["pierce/#row-2"]]);
+const capturedFramed = {
+  session: { id: "sess_iframe", startUrl: "https://host.example.com/" },
+  steps: [
+    { stepIndex: 1, type: "click", selectors: { css: "#top" } },
+    {
+      stepIndex: 2,
+      type: "click",
+      selectors: { css: "#inner" },
+      frame: { path: ["iframe#pay"], url: "https://host.example.com/pay" }
+    }
+  ]
+};
+assert.deepEqual(
+  toDevToolsRecording(capturedFramed).steps.map((step: any) => step.selectors?.[0]?.[0] ?? step.type),
+  ["navigate", "#top"],
+  "steps captured inside iframes should be left out of the recorder export"
+);
+assert.deepEqual(devToolsSkippedSteps(capturedFramed), [2], "skipped iframe steps should be reported");
+
+const headless = normalizePayload(migrateSessionPayload(importedRecording));
+assert.ok(headless.steps.every((step: any) => step.title && step.instruction), "normalized steps should carry derived text");
+assert.ok(asMarkdown(headless).startsWith("# Checkout\n"), "markdown export should render without the editor");
+assert.ok(buildPdfDocument(headless).output("arraybuffer").byteLength > 0, "pdf export should render under node");
+const pixel = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==";
+const shotStep = { ...headless.steps[1], thumbnailDataUrl: pixel, annotations: [] };
+const redactedStep = { ...shotStep, annotations: [{ id: "ann_1", x: 0, y: 0, width: 0.5, height: 0.5, type: "redact" }] };
+const shotPdf = buildPdfDocument({ ...headless, steps: [shotStep] }).output();
+assert.ok(shotPdf.includes("/Subtype /Image"), "pdf export should embed step screenshots");
+const withheldPdf = buildPdfDocument({ ...headless, steps: [redactedStep] }).output();
+assert.ok(!withheldPdf.includes("/Subtype /Image"), "unburned redacted screenshots should be withheld");
+const burnedPdf = buildPdfDocument({ ...headless, steps: [redactedStep] }, { redactionsBurnedIn: true }).output();
+assert.ok(burnedPdf.includes("/Subtype /Image"), "burned-in screenshots should be embedded");
+const docxText = Buffer.from(buildDocx({ ...headless, steps: [shotStep, redactedStep] })).toString("latin1");
+assert.ok(docxText.startsWith("PK\u0003\u0004"), "docx export should be a zip package");
+assert.equal(docxText.match(/word\/media\/step-\d+\.png/g)?.length, 2, "docx should embed only the unredacted screenshot");
+assert.ok(docxText.includes('<w:pStyle w:val="Heading2"/>') && docxText.includes("<w:numPr>"), "step titles should be numbered headings");
+const notedStep = { ...shotStep, note: "Ask <finance> first" };
+const storage = asConfluenceStorage({ ...headless, steps: [notedStep, redactedStep] });
+assert.ok(storage.includes('<ri:attachment ri:filename="step-001.png" />'), "confluence export should reference attachments");
+assert.ok(storage.includes('ac:name="info"') && storage.includes("Ask &lt;finance&gt; first"), "notes should become info macros");
+assert.ok(!storage.includes("step-002.png") && storage.includes('ac:name="note"'), "withheld screenshots should be flagged");
+const notionMarkdown = asNotionMarkdown({ ...headless, steps: [notedStep] });
+assert.ok(notionMarkdown.includes("<aside>\n💡 **Note:** Ask \\<finance\\> first\n</aside>"), "notes should become callouts");
+assert.ok(notionMarkdown.includes("](Checkout/step-001.png)"), "notion images should sit in the page folder");
+assert.ok(Buffer.from(buildNotionBundle({ ...headless, steps: [notedStep] })).toString("latin1").includes("Checkout/step-001.png"));
+const walkthrough = asWalkthroughHtml({
+  ...headless,
+  steps: [{ ...shotStep, title: "</script><b>x</b>", annotations: [{ x: 0.1, y: 0.1, width: 0.2, height: 0.2, type: "highlight" }] }]
+});
+assert.equal(walkthrough.match(/<\/script>/g)?.length, 2, "step text must not close the walkthrough data block");
+assert.ok(walkthrough.includes('"type":"highlight"') && walkthrough.includes(pixel), "walkthrough should inline shots and hotspots");
+const gif = createGifEncoder(2, 2);
+gif.addFrame(new Uint8Array(16).fill(255), 1500);
+gif.addFrame(new Uint8Array(16), 40);
+const gifText = Buffer.from(gif.finish()).toString("latin1");
+assert.ok(gifText.startsWith("GIF89a") && gifText.endsWith(";"), "clip export should produce a complete GIF89a file");
+assert.equal(gifText.match(/\x21\xf9\x04/g)?.length, 2, "each slideshow frame should carry its own delay");
+assert.ok(gifText.includes("NETSCAPE2.0"), "clips should loop");
+const typed = ["a", "ab", "abc"].reduce(
+  (history, title, idx) =>
+    recordEdit(history, { label: "Edit title", before: title.slice(0, -1), after: title, at: idx * 300, coalesceKey: "s1:title" }),
+  emptyHistory<string>()
+);
+assert.equal(typed.past.length, 1, "rapid keystrokes in one field should coalesce into one entry");
+const paused = recordEdit(typed, { label: "Edit title", before: "abc", after: "abcd", at: 5000, coalesceKey: "s1:title" });
+assert.equal(paused.past.length, 2, "a pause should start a new history entry");
+const undone = undoEdit(paused);
+assert.equal(undone?.state, "abc");
+assert.equal(redoEdit(undone!.history)?.state, "abcd");
+assert.equal(recordEdit(undone!.history, { label: "Delete", before: "abc", after: "", at: 5100 }).future.length, 0);
+const merged = mergeStepWithNextById(headless.steps, headless.steps[0].id);
+assert.equal(merged.length, headless.steps.length - 1, "merge should fold the next step in");
+assert.equal(merged[0].stepIndex, 1);
+const [firstStep, secondStep] = headless.steps;
+const draftBase = { ...headless, steps: [firstStep, secondStep] };
+const draftChanges = summarizeDraftChanges(draftBase, {
+  ...draftBase,
+  steps: [{ ...secondStep, title: "Renamed", annotations: [{ x: 0, y: 0, width: 1, height: 1, type: "redact" }] }]
+});
+assert.deepEqual(draftChanges, ["1 title edited", "Annotations changed on 1 step", "1 step deleted or merged"]);
+assert.deepEqual(summarizeDraftChanges(draftBase, { ...draftBase, steps: [secondStep, firstStep] }), ["Steps reordered"]);
+const reattached = reattachDraftThumbnails(
+  {
+    steps: [
+      { id: "d1", thumbnailRef: "ref_1", thumbnailDataUrl: null },
+      { id: "d2", thumbnailRef: "ref_2_old", thumbnailDataUrl: null },
+      { id: "d3", thumbnailRef: "ref_3", thumbnailDataUrl: null }
+    ]
+  },
+  {
+    steps: [
+      { id: "d1", thumbnailRef: "ref_1", thumbnailDataUrl: "data:one" },
+      { id: "d2", thumbnailRef: "ref_2_new", thumbnailDataUrl: "data:two" }
+    ]
+  }
+);
+assert.deepEqual(
+  reattached.steps.map((step) => step.thumbnailDataUrl),
+  ["data:one", null, null],
+  "only screenshots of unchanged refs should be reattached; the rest are resolved by ref"
+);
+assert.equal(isDraftExpired({ savedAt: Date.now() - DRAFT_MAX_AGE_MS - 1 }), true);
+assert.equal(isDraftExpired({ savedAt: Date.now() - 1000 }), false);
+assert.deepEqual(summarizeDraftChanges(draftBase, draftBase), [], "an untouched draft has nothing to restore");
+
+// Live capture streaming: storage deltas merge into the edited steps without overwriting the user's text.
+const liveStored = [
+  { id: "live_1", sessionId: "sess_live", type: "click", url: "https://a.test/", at: 1 },
+  { id: "live_2", sessionId: "sess_live", type: "input", value: "hunter2", url: "https://a.test/", at: 2 },
+  { id: "other", sessionId: "sess_other", type: "click", url: "https://b.test/", at: 3 }
+];
+const liveEditor = normalizePayload({ session: { id: "sess_live" }, steps: liveStored.slice(0, 2) }).steps;
+const liveEdited = [{ ...liveEditor[0], title: "Open the menu" }, liveEditor[1]];
+const liveNext = [
+  liveStored[0],
+  { ...liveStored[1], value: "[REDACTED]" },
+  liveStored[2],
+  { id: "live_3", sessionId: "sess_live", type: "click", url: "https://a.test/", at: 4 }
+];
+const liveDiff = diffSessionSteps(liveStored, liveNext, "sess_live");
+assert.deepEqual(liveDiff.added.map((step) => step.id), ["live_3"]);
+assert.deepEqual(liveDiff.updated.map((step) => step.id), ["live_2"], "other sessions' steps should be ignored");
+const liveMerged = applyLiveStepUpdate(liveEdited, liveDiff);
+assert.deepEqual(liveMerged.map((step) => step.id), ["live_1", "live_2", "live_3"]);
+assert.equal(liveMerged[2].stepIndex, 3);
+assert.equal(liveMerged[0].title, "Open the menu", "user-edited titles should survive live updates");
+assert.ok(!liveMerged[1].instruction.includes("hunter2"), "derived text should follow values masked in storage");
+assert.equal(applyLiveStepUpdate(liveMerged, liveDiff).length, 3, "replayed updates should not duplicate steps");
+const discarded = diffSessionSteps(liveNext, liveNext.slice(0, 3), "sess_live");
+assert.deepEqual(applyLiveStepUpdate(liveMerged, discarded).map((step) => step.id), ["live_1", "live_2"]);
+assert.deepEqual(liveCaptureStatus({ isCapturing: true, isPaused: true }, { 7: "sess_live" }, "sess_live"), {
+  recording: true,
+  paused: true
+});
+assert.equal(liveCaptureStatus({ isCapturing: true }, { 7: "sess_other" }, "sess_live").recording, false);
+const feedUpdates: any[] = [];
+const liveFeed = createLiveStepFeed(
+  "sess_live",
+  ["live_1"],
+  async (steps) => steps.map((step) => ({ ...step, thumbnailDataUrl: `data:${step.id}` })),
+  (update) => feedUpdates.push(update)
+);
+const liveFeedDone = liveFeed
+  .start({ steps: liveStored, captureState: { isCapturing: true }, sessionByTab: { 7: "sess_live" } })
+  .then(() => liveFeed.apply({ steps: { oldValue: liveStored, newValue: liveNext } }))
+  .then(() => liveFeed.apply({ captureState: { newValue: { isCapturing: true } } }))
+  .then(() => liveFeed.apply({ captureState: { newValue: { isCapturing: false } } }))
+  .then(() => {
+    liveFeed.close();
+    return liveFeed.apply({ steps: { oldValue: liveNext, newValue: liveStored } });
+  })
+  .then(() => {
+    assert.deepEqual(feedUpdates[0].added.map((step: any) => step.id), ["live_2"], "snapshot should add unknown steps");
+    assert.equal(feedUpdates[0].added[0].thumbnailDataUrl, "data:live_2");
+    assert.deepEqual(feedUpdates[1].added.map((step: any) => step.id), ["live_3"]);
+    assert.deepEqual(feedUpdates[1].capture, { recording: true, paused: false });
+    assert.equal(feedUpdates.length, 3, "unchanged capture state and closed feeds should not publish");
+    assert.equal(feedUpdates[2].capture.recording, false);
+  });
+let rebaseCalls = 0;
+const rebased = rebaseHistory(paused, "abcd", (value) => {
+  rebaseCalls += 1;
+  return `${value}!`;
+});
+assert.equal(rebased.state, "abcd!");
+assert.equal(rebased.history.past[1].before, "abc!");
+assert.equal(rebaseCalls, 3, "snapshots shared between entries should be transformed once");
+
+const scriptTestId = (value: string) => ({
+  strategy: "testid",
+  attribute: "data-testid",
+  value,
+  selector: `[data-testid="${value}"]`,
+  unique: true
+});
+const scriptPayload: any = {
+  session: { id: "sess_script", startUrl: "https://app.example.com/login", startTitle: "Sign in" },
+  steps: [
+    { stepIndex: 1, type: "navigate", url: "https://app.example.com/login" },
+    {
+      stepIndex: 2,
+      type: "click",
+      title: "Click Save",
+      target: { role: "button", label: "Save" },
+      selectors: {
+        css: "#save",
+        candidates: [scriptTestId("save")]
+      }
+    },
+    {
+      stepIndex: 3,
+      type: "input",
+      title: "Enter email",
+      value: "qa@example.com",
+      selectors: {
+        css: "#email",
+        candidates: [scriptTestId("email")]
+      }
+    },
+    {
+      stepIndex: 4,
+      type: "input",
+      title: "Enter password",
+      value: "[REDACTED]",
+      sensitive: true,
+      selectors: { css: "#pw" }
+    },
+    { stepIndex: 5, type: "key", title: "Press Enter", key: "Enter", selectors: { css: "#pw" } },
+    { stepIndex: 6, type: "navigate", url: "https://app.example.com/home" },
+    {
+      stepIndex: 7,
+      type: "click",
+      title: "Open menu",
+      selectors: { css: "app-shell >>> #menu", xpath: "//*[@id='menu']" },
+      frame: { path: ["iframe#outer", "iframe#inner"], url: "https://app.example.com/embed" }
+    },
+    { stepIndex: 8, type: "navigate", url: "https://app.example.com/reports" }
+  ]
+};
+
+const playwright = asPlaywright(scriptPayload);
+assert.ok(playwright.includes('await page.goto("https://app.example.com/login");'));
+assert.equal(playwright.split("page.goto(").length, 2, "the start visit should not be repeated");
+assert.ok(playwright.includes('await page.getByRole("button", { name: "Save", exact: true }).click();'));
+assert.ok(playwright.includes('await page.getByTestId("email").fill("qa@example.com");'), "unique testids beat css");
+assert.ok(playwright.includes('await page.locator("#pw").fill(process.env.CAPME_STEP_4_VALUE ?? "");'));
+assert.ok(!playwright.includes("[REDACTED]"), "masked values should never be typed literally");
+assert.ok(playwright.includes('await page.waitForURL("https://app.example.com/home");'));
+assert.ok(
+  playwright.includes(
+    'await page.frameLocator("iframe#outer").frameLocator("iframe#inner").locator("app-shell #menu").click();'
+  ),
+  "iframe chains should become frameLocators and shadow hops plain descendants"
+);
+assert.ok(playwright.includes('await page.waitForURL("https://app.example.com/reports");'));
+assert.ok(playwright.endsWith('app.example.com/reports");\n});\n'), "no blank line before the closing brace");
+assert.ok(!playwright.includes("\n\n\n"));
+
+const cypress = asCypress(scriptPayload);
+assert.ok(cypress.includes('cy.get("[data-testid=\\"save\\"]").click();'), "Cypress should prefer unique testids");
+assert.ok(cypress.includes('cy.get("#pw").clear().type(Cypress.env("CAPME_STEP_4_VALUE"), { log: false });'));
+assert.ok(!cypress.includes("[REDACTED]"));
+assert.ok(cypress.includes('cy.location("href").should("eq", "https://app.example.com/home");'));
+assert.ok(
+  cypress.includes(
+    'cy.get("iframe#outer").its("0.contentDocument.body").then(cy.wrap)' +
+      '.find("iframe#inner").its("0.contentDocument.body").then(cy.wrap)' +
+      '.find("app-shell").shadow().find("#menu").click();'
+  )
+);
+assert.ok(cypress.endsWith('app.example.com/reports");\n  });\n});\n'), "no blank line before the closing braces");
+
+const side = asSeleniumSide(scriptPayload);
+const sideCommands = side.tests[0].commands;
+assert.equal(side.url, "https://app.example.com");
+assert.deepEqual(side.suites[0].tests, [side.tests[0].id]);
+assert.deepEqual(
+  sideCommands.map((command: any) => command.command),
+  ["open", "click", "type", "type", "sendKeys", "selectFrame", "selectFrame", "click", "selectFrame"],
+  "caused navigations should be dropped and direct ones kept"
+);
+assert.equal(sideCommands[0].target, "/login");
+assert.equal(sideCommands[3].value, "${CAPME_STEP_4_VALUE}", "masked values should become Selenium variables");
+assert.deepEqual(
+  sideCommands.slice(5, 7).map((command: any) => command.target),
+  ["css=iframe#outer", "css=iframe#inner"]
+);
+assert.deepEqual(sideCommands[7].targets, [
+  ["css=#menu", "css:finder"],
+  ["xpath=//*[@id='menu']", "xpath:position"]
+]);
+assert.ok(sideCommands[7].comment.includes("inside shadow DOM"));
+assert.equal(sideCommands[8].target, "relative=top");
+
+// Content scripts are classic scripts, so the functions under test are lifted out of the file into a sandbox.
+function loadExtensionFunctions(file: string, names: string[], globals: Record<string, unknown>) {
+  const source = fs.readFileSync(path.resolve(process.cwd(), file), "utf8").replace(/\r\n/g, "\n");
+  const declarations = names.map((name) => {
+    const start = source.indexOf(`\nfunction ${name}(`);
+    assert.ok(start >= 0, `${file} should declare ${name}`);
+    return source.slice(start, source.indexOf("\n}\n", start) + 3);
+  });
+  const sandbox = vm.createContext({ ...globals });
+  vm.runInContext(declarations.join("\n"), sandbox);
+  return sandbox as Record<string, any>;
+}
+
+function fakeElement(box: { left: number; top: number; width: number; height: number }, extra: any = {}) {
+  const rect = { ...box, right: box.left + box.width, bottom: box.top + box.height };
+  return { clientLeft: 0, clientTop: 0, getBoundingClientRect: () => rect, ...extra };
+}
+
+function fakeRoot(bySelector: Record<string, any[]>) {
+  return { querySelectorAll: (selector: string) => bySelector[selector] ?? [] };
+}
+
+const sameOriginPassword = fakeElement({ left: 5, top: 5, width: 50, height: 10 }, { type: "password" });
+const sameOriginFrame = fakeElement(
+  { left: 100, top: 200, width: 300, height: 100 },
+  { contentDocument: fakeRoot({ "input, textarea, select": [sameOriginPassword] }) }
+);
+const crossOriginFrame = fakeElement({ left: 0, top: 400, width: 400, height: 150 }, { contentDocument: null });
+const throwingFrame = fakeElement({ left: 500, top: 0, width: 100, height: 100 });
+Object.defineProperty(throwingFrame, "contentDocument", {
+  get() {
+    throw new Error("SecurityError");
+  }
+});
+const offScreenFrame = fakeElement({ left: 0, top: 900, width: 400, height: 150 }, { contentDocument: null });
+const redactionScript = loadExtensionFunctions(
+  "extension/content-script.js",
+  ["roundGeometry", "collectRedactionRects"],
+  {
+    window: { innerWidth: 800, innerHeight: 600 },
+    document: fakeRoot({ iframe: [sameOriginFrame, crossOriginFrame, throwingFrame, offScreenFrame] }),
+    MAX_REDACTION_RECTS: 100,
+    describeRedactionReason: (el: any) => (el.type === "password" ? "input-type:password" : null)
+  }
+);
+assert.deepEqual(redactionScript.collectRedactionRects([]).rects, [
+  { x: 105, y: 205, width: 50, height: 10, reason: "input-type:password" },
+  { x: 0, y: 400, width: 400, height: 150, reason: "cross-origin-frame" },
+  { x: 500, y: 0, width: 100, height: 100, reason: "cross-origin-frame" }
+]);
+
+void liveFeedDone.then(() => console.log("export-contract: ok"));